@@ -3,6 +3,9 @@
 // Calls your existing server/runAudit.js (unchanged).
 
 const cookie = require('cookie');
+const { normalizeScope } = require('../server/crawlScope');
+const { normalizeAuth } = require('../server/requestAuth');
+const { normalizeKeywords } = require('../server/targetKeywords');
 
 function getCookie(req, name) {
   const parsed = cookie.parse(req.headers.cookie || '');
@@ -28,14 +31,29 @@ module.exports = async (req, res) => {
     }
 
     // Pull inputs
-    const { url, siteType = 'base' } = req.body || {};
+    const { url, siteType = 'base', scope, auth, keywords } = req.body || {};
     if (!url || !/^https?:\/\//i.test(url)) {
       return res.status(400).json({ error: 'Invalid or missing URL' });
     }
+    try {
+      normalizeScope(scope);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid crawl scope', message: e.message });
+    }
+    try {
+      normalizeAuth(auth);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid auth', message: e.message });
+    }
+    try {
+      normalizeKeywords(keywords);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid keywords', message: e.message });
+    }
 
     // Run your existing audit pipeline
     const runAudit = require('../server/runAudit');
-    const result = await runAudit(url, siteType);
+    const result = await runAudit(url, siteType, { tier: hasPro ? 'pro' : 'basic', scope, auth, keywords });
 
     return res.status(200).json(result);
   } catch (err) {
@@ -1,10 +1,14 @@
 // audit-ui.js — Single, safe entry (ES module) — Snapshot now mirrors server scores
 import { renderGradeCards } from './gradesTab.js';
+import { renderSerpPreview } from './serpPreview.js';
+import { renderSocialPreview } from './socialPreview.js';
+import { renderHeadingOutline } from './headingOutline.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   // ---------- DOM ----------
   const siteUrlInput        = document.getElementById('siteUrlInput');
   const siteTypeSelect      = document.getElementById('siteTypeSelect');
+  const keywordsInput       = document.getElementById('keywordsInput');
   const startButton         = document.getElementById('startButton');
   const themeToggle         = document.getElementById('themeToggle');
   const exportButton        = document.getElementById('exportButton');
@@ -20,6 +24,9 @@ document.addEventListener('DOMContentLoaded', () => {
   const snapshotUX          = document.getElementById('snapshotUX');
   const snapshotPerformance = document.getElementById('snapshotPerformance');
 
+  const serpPreview         = document.getElementById('serpPreview');
+  const socialPreview       = document.getElementById('socialPreview');
+  const headingOutline      = document.getElementById('headingOutline');
   const scoreCards          = document.getElementById('scoreCards');
   const insightsContent     = document.getElementById('insightsContent');
   const planContent         = document.getElementById('planContent');
@@ -71,6 +78,9 @@ document.addEventListener('DOMContentLoaded', () => {
     snapshotSEO.textContent = '--';
     snapshotUX.textContent = '--';
     snapshotPerformance.textContent = '--';
+    serpPreview.innerHTML = '';
+    socialPreview.innerHTML = '';
+    headingOutline.innerHTML = '';
     scoreCards.innerHTML = '';
     insightsContent.innerHTML = '';
     planContent.innerHTML = '';
@@ -118,6 +128,11 @@ document.addEventListener('DOMContentLoaded', () => {
     snapshotPerformance.textContent = snapPerf ?? '--';
     snapshotUX.textContent = snapUx ?? '--';
 
+    // How the homepage would show up in Google (desktop + mobile)
+    renderSerpPreview(auditData.structuredSignals?._findings?.snippets);
+    renderSocialPreview(auditData.structuredSignals?._findings?.social);
+    renderHeadingOutline(auditData.structuredSignals?._findings?.headings);
+
     // Grades
     renderGradeCards(s);
 
@@ -131,7 +146,8 @@ document.addEventListener('DOMContentLoaded', () => {
           siteType,
           scores: s,
           structuredSignals: auditData.structuredSignals,
-          lighthouse: lh
+          lighthouse: lh,
+          crawl: auditData.crawl
         })
       });
 
@@ -157,6 +173,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const siteType = siteTypeSelect.value;
     if (!siteType) return showError('Please select a site type.');
+    const keywords = keywordsInput.value.trim();
 
     resetUI();
     loadingSection.classList.remove('hidden');
@@ -165,8 +182,12 @@ document.addEventListener('DOMContentLoaded', () => {
       const res = await fetch('/api/run-audit', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, siteType })
+        body: JSON.stringify({ url, siteType, keywords })
       });
+      if (res.status === 400) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.message || (typeof body.error === 'string' && body.error) || 'Invalid request.');
+      }
       if (!res.ok) throw new Error(`Audit failed: ${res.status} ${res.statusText}`);
 
       const data = await res.json();
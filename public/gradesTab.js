@@ -5,11 +5,12 @@ export function renderGradeCards(scoreData = {}) {
   if (!container) return;
   container.innerHTML = '';
 
-  const preferredOrder = ['seo', 'performance', 'accessibility', 'content', 'ux'];
+  const preferredOrder = ['seo', 'performance', 'accessibility', 'security', 'content', 'ux'];
   const labels = {
     seo: 'SEO',
     performance: 'Performance',
     accessibility: 'Accessibility',
+    security: 'Security',
     content: 'Content',
     ux: 'User Experience'
   };
@@ -17,6 +18,7 @@ export function renderGradeCards(scoreData = {}) {
     seo: 'Search visibility, crawling, metadata, structured data.',
     performance: 'Page speed, Core Web Vitals, resource optimization.',
     accessibility: 'Inclusive UX: semantics, contrast, keyboard usage.',
+    security: 'HTTPS, TLS certificate, security headers, cookies, mixed content.',
     content: 'Clarity, hierarchy, on-page relevance.',
     ux: 'Navigation, mobile ergonomics, consistency.'
   };
@@ -105,8 +107,10 @@ export function renderGradeCards(scoreData = {}) {
           const li = document.createElement('li');
           const pctSig = Math.round((s.score || 0) * 100);
           const label = s.label || pretty(s.id || 'Signal');
+          const scope = s.aggregate === 'failing' ? ' (share of pages passing)'
+            : s.aggregate === 'median' || s.aggregate === 'worst' ? ` (${s.aggregate} page)` : '';
           const hint = s.description || s.tip ? ` — ${s.description || s.tip}` : '';
-          li.textContent = `${label}: ${pctSig}%${hint}`;
+          li.textContent = `${label}${scope}: ${pctSig}%${hint}`;
           ul.appendChild(li);
         });
 
@@ -0,0 +1,80 @@
+// headingOutline.js — indented H1–H6 outline per page from structuredSignals._findings.headings
+
+export function renderHeadingOutline(headings) {
+  const container = document.getElementById('headingOutline');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const pages = (headings && headings.pages) || [];
+  if (!pages.length) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Heading outline';
+  container.appendChild(heading);
+
+  pages.forEach((page, i) => {
+    const problems = page.issues.length + page.outline.filter((h) => h.issues.length).length;
+
+    const details = document.createElement('details');
+    details.className = 'outline-page';
+    // Homepage open; other pages start collapsed (the summary flags the ones with problems)
+    details.open = i === 0;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${page.url} — ${problems ? `${problems} problem${problems === 1 ? '' : 's'}` : 'no problems'}`;
+    if (problems) summary.classList.add('outline-flagged');
+    details.appendChild(summary);
+
+    if (page.issues.length) {
+      const ul = document.createElement('ul');
+      ul.className = 'outline-page-issues';
+      page.issues.forEach((issue) => {
+        const li = document.createElement('li');
+        li.textContent = issue.message;
+        ul.appendChild(li);
+      });
+      details.appendChild(ul);
+    }
+
+    const list = document.createElement('ol');
+    list.className = 'outline-tree';
+    for (const h of page.outline) {
+      const li = document.createElement('li');
+      li.className = `outline-item outline-h${h.level}`;
+      if (h.issues.length) {
+        li.classList.add(h.issues.some((x) => x.severity === 'error') ? 'outline-error' : 'outline-warning');
+      }
+      if (h.hidden) li.classList.add('outline-hidden');
+
+      const tag = document.createElement('span');
+      tag.className = 'outline-tag';
+      tag.textContent = `H${h.level}`;
+      const text = document.createElement('span');
+      text.className = 'outline-text';
+      text.textContent = h.text || '(empty)';
+      li.append(tag, text);
+
+      if (h.issues.length) {
+        const notes = document.createElement('span');
+        notes.className = 'outline-notes';
+        notes.textContent = h.issues.map((x) => x.message).join(' · ');
+        li.appendChild(notes);
+      }
+      list.appendChild(li);
+    }
+    details.appendChild(list);
+    container.appendChild(details);
+  });
+
+  const dupes = headings.duplicateH1s || [];
+  if (dupes.length) {
+    const ul = document.createElement('ul');
+    ul.className = 'outline-page-issues';
+    dupes.slice(0, 10).forEach((d) => {
+      const li = document.createElement('li');
+      li.textContent = `H1 "${d.text}" is used on ${d.urls.length} pages: ${d.urls.join(', ')}`;
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+}
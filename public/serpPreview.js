@@ -0,0 +1,64 @@
+// serpPreview.js — Google-style snippet preview (desktop + mobile) from structuredSignals._findings.snippets
+
+export function renderSerpPreview(snippets) {
+  const container = document.getElementById('serpPreview');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const home = snippets && snippets.home;
+  if (!home || !home.preview) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Search result preview';
+  container.appendChild(heading);
+
+  const devices = document.createElement('div');
+  devices.className = 'serp-devices';
+
+  for (const device of ['desktop', 'mobile']) {
+    const view = home.preview[device] || {};
+    const card = document.createElement('div');
+    card.className = `serp-card serp-${device}`;
+
+    const label = document.createElement('div');
+    label.className = 'serp-device';
+    label.textContent = device === 'desktop' ? 'Desktop' : 'Mobile';
+
+    const url = document.createElement('div');
+    url.className = 'serp-url';
+    url.textContent = home.preview.displayUrl || '';
+
+    const title = document.createElement('div');
+    title.className = 'serp-title';
+    title.textContent = view.title || '(no title — Google will generate one)';
+    if (!view.title) title.classList.add('serp-missing');
+
+    const desc = document.createElement('div');
+    desc.className = 'serp-desc';
+    desc.textContent = view.description || '(no meta description — Google will pick text from the page)';
+    if (!view.description) desc.classList.add('serp-missing');
+
+    card.append(label, url, title, desc);
+    devices.appendChild(card);
+  }
+  container.appendChild(devices);
+
+  // Homepage issues, then a count of other pages with title / description problems
+  const issues = [...(home.title?.issues || []), ...(home.description?.issues || [])];
+  const others = (snippets.pages || []).filter((p) => p.url !== home.url).length;
+  if (issues.length || others) {
+    const ul = document.createElement('ul');
+    ul.className = 'serp-issues';
+    issues.forEach((text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      ul.appendChild(li);
+    });
+    if (others) {
+      const li = document.createElement('li');
+      li.textContent = `${others} other page${others === 1 ? '' : 's'} with title or meta description issues`;
+      ul.appendChild(li);
+    }
+    container.appendChild(ul);
+  }
+}
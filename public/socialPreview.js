@@ -0,0 +1,98 @@
+// socialPreview.js — Facebook / LinkedIn / X share-card previews from structuredSignals._findings.social
+
+const NETWORKS = [
+  { key: 'facebook', label: 'Facebook' },
+  { key: 'linkedin', label: 'LinkedIn' },
+  { key: 'x', label: 'X' },
+];
+
+export function renderSocialPreview(social) {
+  const container = document.getElementById('socialPreview');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const home = social && social.home;
+  if (!home || !home.preview) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Share previews';
+  container.appendChild(heading);
+
+  const cards = document.createElement('div');
+  cards.className = 'share-cards';
+
+  for (const { key, label } of NETWORKS) {
+    const view = home.preview[key];
+    if (!view) continue;
+    // X renders a small square thumbnail unless the page asks for summary_large_image
+    const compact = key === 'x' && view.card !== 'summary_large_image';
+
+    const card = document.createElement('div');
+    card.className = `share-card share-${key}${compact ? ' share-compact' : ''}`;
+
+    const network = document.createElement('div');
+    network.className = 'share-network';
+    network.textContent = key === 'x' && view.card ? `${label} · ${view.card}` : label;
+    card.appendChild(network);
+
+    const body = document.createElement('div');
+    body.className = 'share-body';
+
+    const media = document.createElement('div');
+    media.className = 'share-image';
+    if (view.image) {
+      const img = document.createElement('img');
+      img.src = view.image;
+      img.alt = '';
+      img.loading = 'lazy';
+      img.referrerPolicy = 'no-referrer';
+      img.addEventListener('error', () => {
+        media.textContent = 'Image failed to load';
+        media.classList.add('share-missing');
+      });
+      media.appendChild(img);
+    } else {
+      media.textContent = 'No image';
+      media.classList.add('share-missing');
+    }
+    body.appendChild(media);
+
+    const text = document.createElement('div');
+    text.className = 'share-text';
+    const domain = document.createElement('div');
+    domain.className = 'share-domain';
+    domain.textContent = (view.domain || '').toUpperCase();
+    const title = document.createElement('div');
+    title.className = 'share-title';
+    title.textContent = view.title || '(no title)';
+    text.append(domain, title);
+    if (key !== 'linkedin' && view.description) {
+      const desc = document.createElement('div');
+      desc.className = 'share-desc';
+      desc.textContent = view.description;
+      text.appendChild(desc);
+    }
+    body.appendChild(text);
+    card.appendChild(body);
+    cards.appendChild(card);
+  }
+  container.appendChild(cards);
+
+  const problems = [...(home.errors || []), ...(home.warnings || [])];
+  const others = (social.pages || []).filter((p) => p.url !== home.url && p.errors && p.errors.length).length;
+  if (problems.length || others) {
+    const ul = document.createElement('ul');
+    ul.className = 'share-issues';
+    problems.forEach((text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      ul.appendChild(li);
+    });
+    if (others) {
+      const li = document.createElement('li');
+      li.textContent = `${others} other page${others === 1 ? '' : 's'} with Open Graph / Twitter Card errors`;
+      ul.appendChild(li);
+    }
+    container.appendChild(ul);
+  }
+}
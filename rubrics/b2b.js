@@ -7,12 +7,15 @@ const base = require('../base');
 const r = JSON.parse(JSON.stringify(base));
 
 // --- B2B-specific weighting tweaks ---
-// Emphasize canonical hygiene + internal linking for multi-page B2B sites
+// Emphasize canonical hygiene + internal linking for multi-page B2B sites,
+// and penalize SEO content that only appears after JS (SPA-heavy marketing sites)
 r.seo.weightsBySiteType = {
   ...(r.seo.weightsBySiteType || {}),
   b2b: {
-    canonicalPresent: 0.12,
-    internalLinks: 0.12
+    canonicalQuality: 0.12,
+    siteArchitecture: 0.12,
+    renderingDependency: 0.14,
+    socialMetaQuality: 0.10       // content is distributed by link sharing (LinkedIn, X)
   }
 };
 
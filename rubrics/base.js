@@ -9,6 +9,9 @@ const sharedThresholds = [
   { grade: "F", minScore: 0.00 }
 ];
 
+// aggregate (optional): score the whole crawl instead of the homepage — "median" / "worst" page value,
+// or "failing" (share of pages passing). See scoringEngine.siteAggregate.
+// optional: true skips the rule when the signal has no value at all instead of scoring it 0.
 module.exports = {
   // ------------ SEO ------------
   seo: {
@@ -16,23 +19,35 @@ module.exports = {
     thresholds: sharedThresholds,
     signals: [
       { name: "Indexing Readiness",        key: "indexable",              type: "boolean",        weight: 0.15 },
-      { name: "HTTPS Usage",                key: "httpsUsage",             type: "boolean",        weight: 0.10 },
-      { name: "Canonical Present",          key: "canonicalPresent",       type: "boolean",        weight: 0.08 },
-      { name: "HTML lang Present",          key: "langAttrPresent",        type: "boolean",        weight: 0.05 },
+      { name: "HTTPS Usage",                key: "httpsUsage",             type: "boolean",        weight: 0.10, optional: true }, // null for offline http sources
+      { name: "Canonical Quality",          key: "canonicalQuality",       type: "normalized",     weight: 0.08, aggregate: "failing" }, // self/conflicting/redirect/noindex/sitemap
+      { name: "HTML lang Present",          key: "langAttrPresent",        type: "boolean",        weight: 0.05, aggregate: "failing" },
+      { name: "HTML lang Matches Content",  key: "langAttrMatch",          type: "normalized",     weight: 0.04, aggregate: "failing" }, // vs detected content language
+      { name: "hreflang Annotations",       key: "hreflangQuality",        type: "normalized",     weight: 0.06, aggregate: "median" }, // codes, return links, x-default, targets
       { name: "robots.txt Present",         key: "robotsTxtPresent",       type: "boolean",        weight: 0.05 },
       { name: "sitemap.xml Present",        key: "sitemapPresent",         type: "boolean",        weight: 0.05 },
-      { name: "Meta Tags Present",          key: "metaTagsPresent",        type: "normalized",     weight: 0.12 }, // tri-state
-      { name: "Alt Text Coverage",          key: "altTextCoverage",        type: "normalized",     weight: 0.10 },
-      { name: "Header Structure",           key: "headerStructure",        type: "enum_quality",   weight: 0.10 },
-      { name: "H1 Is Single",               key: "h1Single",               type: "enum_quality",   weight: 0.05 },
-      { name: "Internal Linking (norm.)",   key: "internalLinks",          type: "normalized",     weight: 0.10 },
+      { name: "Sitemap Quality",            key: "sitemapQuality",         type: "normalized",     weight: 0.06 },
+      { name: "Non-200 Pages (inverse)",    key: "nonOkPagesRatio",        type: "numeric_inverse", weight: 0.08 },
+      { name: "Redirect Chains (inverse)",  key: "redirectChainRatio",     type: "numeric_inverse", weight: 0.04 },
+      { name: "JS Rendering Dependency (inverse)", key: "renderingDependency", type: "numeric_inverse", weight: 0.06 }, // raw HTML vs rendered DOM
+      { name: "Meta Tags Present",          key: "metaTagsPresent",        type: "normalized",     weight: 0.12, aggregate: "failing" }, // tri-state
+      { name: "Title Length & Quality",     key: "titleQuality",           type: "normalized",     weight: 0.08, aggregate: "failing" }, // px width vs SERP cut-off, placeholders
+      { name: "Meta Description Length",    key: "metaDescriptionQuality", type: "normalized",     weight: 0.06, aggregate: "failing" },
+      { name: "Alt Text Coverage",          key: "altTextCoverage",        type: "normalized",     weight: 0.10, aggregate: "median" },
+      { name: "Image Optimization",         key: "imageOptimization",      type: "normalized",     weight: 0.06, aggregate: "median" }, // size, weight, format, CLS, lazy loading
+      { name: "Header Structure",           key: "headerStructure",        type: "enum_quality",   weight: 0.10, aggregate: "median" },
+      { name: "H1 Is Single",               key: "h1Single",               type: "enum_quality",   weight: 0.05, aggregate: "failing" },
+      { name: "Heading Outline",            key: "headingQuality",         type: "normalized",     weight: 0.06, aggregate: "median" }, // skipped levels, empty/hidden/styling headings, duplicate H1s
+      { name: "Site Architecture",          key: "siteArchitecture",       type: "normalized",     weight: 0.10 }, // click depth + orphans
       { name: "External Link Diversity",    key: "externalLinks",          type: "normalized",     weight: 0.05 },
-      { name: "Structured Data Present",    key: "structuredDataPresent",  type: "boolean",        weight: 0.10 }
+      { name: "Structured Data Present",    key: "structuredDataPresent",  type: "boolean",        weight: 0.10 },
+      { name: "Structured Data Validity",   key: "structuredDataValidity", type: "normalized",     weight: 0.10, aggregate: "median", optional: true }, // schema.org required/recommended props; null = no markup
+      { name: "Social Share Metadata",      key: "socialMetaQuality",      type: "normalized",     weight: 0.05, aggregate: "median" } // Open Graph + Twitter Cards
     ],
     weightsBySiteType: {
-      ecommerce: { structuredDataPresent: 0.14, internalLinks: 0.12, altTextCoverage: 0.12 },
-      b2b:       { canonicalPresent: 0.10, internalLinks: 0.11 },
-      media:     { externalLinks: 0.08,   altTextCoverage: 0.12 }
+      ecommerce: { structuredDataPresent: 0.14, structuredDataValidity: 0.16, siteArchitecture: 0.12, altTextCoverage: 0.12, imageOptimization: 0.10 },
+      b2b:       { canonicalQuality: 0.10, siteArchitecture: 0.11, renderingDependency: 0.12, socialMetaQuality: 0.08 },
+      media:     { externalLinks: 0.08,   altTextCoverage: 0.12, structuredDataValidity: 0.14, socialMetaQuality: 0.12 }
     }
   },
 
@@ -48,11 +63,29 @@ module.exports = {
   },
 
   // ------- Accessibility -------
+  // axe rules are optional: offline sources have no scan and fall back to Lighthouse alone
   accessibility: {
     label: "Accessibility",
     thresholds: sharedThresholds,
     signals: [
-      { name: "Accessibility (LH)", key: "accessibilityScore",  type: "lighthouse_score", weight: 1.0 }
+      { name: "WCAG A/AA Violations (axe)", key: "accessibilityQuality",  type: "normalized",       weight: 0.50, aggregate: "median",  optional: true },
+      { name: "No Critical/Serious Issues", key: "accessibilityBlockers", type: "normalized",       weight: 0.30, aggregate: "failing", optional: true },
+      { name: "Accessibility (LH)",         key: "accessibilityScore",    type: "lighthouse_score", weight: 0.20 }
+    ]
+  },
+
+  // ------- Security Hygiene -------
+  // redirect + certificate need the live host (null offline); header checks need captured response headers.
+  // An offline http source leaves every rule empty: the section is skipped instead of graded F.
+  security: {
+    label: "Security Hygiene",
+    thresholds: sharedThresholds,
+    signals: [
+      { name: "HTTPS Usage",                key: "httpsUsage",       type: "boolean",    weight: 0.10, optional: true }, // null for offline http sources
+      { name: "HTTP → HTTPS Redirect",      key: "httpsRedirect",    type: "normalized", weight: 0.15, optional: true }, // permanent, same host
+      { name: "TLS Certificate",            key: "tlsHealth",        type: "normalized", weight: 0.15, optional: true }, // valid chain, expiry, protocol
+      { name: "Security Headers",           key: "securityHeaders",  type: "normalized", weight: 0.45, aggregate: "median", optional: true }, // HSTS, CSP, nosniff, framing, referrer, permissions, cookies
+      { name: "No Mixed Content",           key: "mixedContentFree", type: "normalized", weight: 0.15, aggregate: "failing", optional: true }
     ]
   },
 
@@ -61,12 +94,15 @@ module.exports = {
     label: "Content Quality & Relevance",
     thresholds: sharedThresholds,
     signals: [
-      { name: "Title Tag Match",        key: "titleMatch",          type: "scaled_match",  weight: 0.20 },
-      { name: "Meta Description Match", key: "metaMatch",           type: "scaled_match",  weight: 0.15 },
-      { name: "Header Keyword Use",     key: "headerMatch",         type: "scaled_match",  weight: 0.15 },
-      { name: "Semantic Relevance",     key: "semanticScore",       type: "normalized",    weight: 0.25 },
-      { name: "Keyword Density",        key: "densityScore",        type: "normalized",    weight: 0.10 },
+      { name: "Title Tag Match",        key: "titleMatch",          type: "scaled_match",  weight: 0.20, aggregate: "median" },
+      { name: "Meta Description Match", key: "metaMatch",           type: "scaled_match",  weight: 0.15, aggregate: "median" },
+      { name: "Header Keyword Use",     key: "headerMatch",         type: "scaled_match",  weight: 0.15, aggregate: "median" },
+      { name: "Semantic Relevance",     key: "semanticScore",       type: "normalized",    weight: 0.25, aggregate: "median" },
+      { name: "Keyword Density",        key: "densityScore",        type: "normalized",    weight: 0.10, aggregate: "median" },
+      { name: "Readability",            key: "readability",         type: "normalized",    weight: 0.10, aggregate: "median", optional: true }, // Flesch-style per language + sentence length; null = too little prose
       { name: "Word Count (Home)",      key: "wordCountNormalized", type: "normalized",    weight: 0.15 },
+      { name: "Duplicate Content (inverse)", key: "duplicateContentRatio", type: "numeric_inverse", weight: 0.10 }, // near-dup pages + repeated titles/descriptions
+      { name: "Keyword Cannibalization (inverse)", key: "keywordCannibalization", type: "numeric_inverse", weight: 0.10 }, // pages competing for one primary term
       { name: "Trust Signals Present",  key: "trustSignalsPresent", type: "boolean",       weight: 0.10 }
     ]
   },
@@ -77,10 +113,10 @@ module.exports = {
     thresholds: sharedThresholds,
     signals: [
       { name: "Section Count (Home)",   key: "sectionCount",     type: "count_range",     idealRange: [4, 12], weight: 0.20 },
-      { name: "DOM Depth Ratio",        key: "domDepthRatio",    type: "normalized",                           weight: 0.20 },
-      { name: "Header Hierarchy Flow",  key: "headerFlow",       type: "enum_quality",                          weight: 0.15 },
-      { name: "CTA Clarity",            key: "ctaClarity",       type: "normalized",                             weight: 0.25 },
-      { name: "Mobile Consistency",     key: "mobileConsistency",type: "normalized",                             weight: 0.15 },
+      { name: "DOM Depth Ratio",        key: "domDepthRatio",    type: "normalized",                           weight: 0.20, aggregate: "median" },
+      { name: "Header Hierarchy Flow",  key: "headerFlow",       type: "enum_quality",                          weight: 0.15, aggregate: "median" },
+      { name: "CTA Clarity",            key: "ctaClarity",       type: "normalized",                             weight: 0.25, optional: true }, // null = layout not measured
+      { name: "Mobile Consistency",     key: "mobileConsistency",type: "normalized",                             weight: 0.15, aggregate: "worst" },
       { name: "Broken Links (inverse)", key: "brokenLinksRatio", type: "numeric_inverse",                        weight: 0.05 }
     ]
   }
@@ -12,8 +12,10 @@ r.seo.weightsBySiteType = {
   ...(r.seo.weightsBySiteType || {}),
   ecommerce: {
     structuredDataPresent: 0.16,   // product/offer schema is critical
-    internalLinks: 0.12,           // category/product discoverability
+    structuredDataValidity: 0.18,  // ...and only pays off when Product/Offer/Review validate
+    siteArchitecture: 0.12,        // category/product discoverability (click depth, orphans)
     altTextCoverage: 0.12,         // image-heavy catalogs
+    imageOptimization: 0.12,       // ...where oversized, non-WebP product shots dominate page weight
     indexable: 0.14,               // make sure nothing blocks crawling
     metaTagsPresent: 0.12          // titles/descriptions at scale
     // remaining keys inherit base weights
@@ -42,7 +44,8 @@ r.content.weightsBySiteType = {
     semanticScore: 0.24,           // align copy with shopper intent
     headerMatch: 0.16,             // category/product keyword cues
     wordCountNormalized: 0.12,     // enough copy for context, not walls of text
-    densityScore: 0.08             // prevent keyword stuffing on category/home
+    densityScore: 0.08,            // prevent keyword stuffing on category/home
+    duplicateContentRatio: 0.14    // faceted / variant pages that repeat the same copy
   }
 };
 
@@ -13,9 +13,12 @@ r.seo.weightsBySiteType = {
   media: {
     externalLinks: 0.14,          // citations / outbound authority
     altTextCoverage: 0.12,        // image-heavy articles
+    imageOptimization: 0.08,      // hero images: LCP, lazy loading, srcset
     structuredDataPresent: 0.12,  // Article/NewsArticle schema
-    canonicalPresent: 0.10,       // prevents duplicate indexation
-    metaTagsPresent: 0.12,        // titles/descriptions for share cards
+    structuredDataValidity: 0.14, // Article / Breadcrumb markup that actually validates
+    canonicalQuality: 0.10,       // prevents duplicate indexation
+    metaTagsPresent: 0.12,        // titles/descriptions (search snippets)
+    socialMetaQuality: 0.12,      // Open Graph / Twitter share cards
     indexable: 0.12               // guard against accidental noindex
     // remaining keys inherit base weights
   }
@@ -43,7 +46,8 @@ r.content.weightsBySiteType = {
     headerMatch: 0.18,
     wordCountNormalized: 0.16,
     trustSignalsPresent: 0.10,
-    densityScore: 0.08
+    densityScore: 0.08,
+    duplicateContentRatio: 0.12   // tag/archive pages and syndicated copies
   }
 };
 
@@ -0,0 +1,117 @@
+// /server/accessibilityAudit.js — axe-core results per page, grouped by rule across the crawl
+// Contract:
+//   wcagCriteria(tags) => { criteria: string[], level: 'A' | 'AA' | 'AAA' | null, version: '2.0' | '2.1' | '2.2' | null }
+//   pageAccessibility(axe) => { quality, blockers, violations, nodes } | null      // null = page not scanned
+//     quality: 0..1 (see Notes); blockers: 1 when no critical / serious violation, else 0
+//   accessibilityReport(rows) => {
+//     scanned,                                         // pages with an axe result
+//     counts: { critical, serious, moderate, minor },  // violated rules per impact, summed over pages
+//     rules: Array<{ id, impact, help, helpUrl, criteria, level, version, pages, nodes, urls: string[],
+//                    examples: Array<{ url, target, html, failureSummary }> }>,   // most widespread first
+//     pages: Array<{ url, quality, violations, nodes }>                           // scanned pages, worst first
+//   }
+//     rows: [{ url, axe: crawler AxeResult | null }]
+//
+// Notes:
+//  - WCAG success criteria come from axe tags: wcag143 → 1.4.3, wcag1410 → 1.4.10; the level / version tag
+//    (wcag2aa, wcag21a, wcag22aa…) gives the conformance level and the WCAG version that introduced the rule.
+//  - Per page: 1 − penalty per violated rule by impact (critical 0.2, serious 0.12, moderate 0.06,
+//    minor 0.02), floored at 0. A rule counts once per page however many elements fail it; how widespread
+//    a problem is shows in the crawl-wide rollup instead.
+//  - Rules are ordered by pages affected, then impact, then failing elements.
+
+'use strict';
+
+const IMPACT_PENALTY = { critical: 0.2, serious: 0.12, moderate: 0.06, minor: 0.02 };
+const IMPACT_RANK = { critical: 4, serious: 3, moderate: 2, minor: 1 };
+const MAX_URLS = 10;
+const MAX_EXAMPLES = 5;
+
+const VERSION_TAGS = { wcag2: '2.0', wcag21: '2.1', wcag22: '2.2' };
+
+function wcagCriteria(tags = []) {
+  const criteria = [];
+  let level = null;
+  let version = null;
+  for (const t of tags) {
+    const sc = /^wcag(\d)(\d)(\d{1,2})$/.exec(t);
+    if (sc) {
+      criteria.push(`${sc[1]}.${sc[2]}.${sc[3]}`);
+      continue;
+    }
+    const lv = /^(wcag2|wcag21|wcag22)(a{1,3})$/.exec(t);
+    if (lv) {
+      const l = lv[2].toUpperCase();
+      if (!level || l.length < level.length) level = l;
+      version = VERSION_TAGS[lv[1]];
+    }
+  }
+  return { criteria, level, version };
+}
+
+function pageAccessibility(axe) {
+  if (!axe || !Array.isArray(axe.violations)) return null;
+  let penalty = 0;
+  let nodes = 0;
+  let blocking = false;
+  for (const v of axe.violations) {
+    penalty += IMPACT_PENALTY[v.impact] || IMPACT_PENALTY.moderate;
+    nodes += v.nodeCount || 0;
+    if (v.impact === 'critical' || v.impact === 'serious') blocking = true;
+  }
+  return {
+    quality: Math.max(0, Math.round((1 - penalty) * 100) / 100),
+    blockers: blocking ? 0 : 1,
+    violations: axe.violations.length,
+    nodes,
+  };
+}
+
+/**
+ * @param {Array<{ url: string, axe: object|null }>} rows
+ */
+function accessibilityReport(rows = []) {
+  const byRule = new Map();
+  const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  const pages = [];
+
+  for (const r of rows) {
+    const summary = pageAccessibility(r.axe);
+    if (!summary) continue;
+    pages.push({ url: r.url, quality: summary.quality, violations: summary.violations, nodes: summary.nodes });
+
+    for (const v of r.axe.violations) {
+      if (counts[v.impact] != null) counts[v.impact]++;
+      if (!byRule.has(v.id)) {
+        byRule.set(v.id, {
+          id: v.id, impact: v.impact, help: v.help, helpUrl: v.helpUrl, ...wcagCriteria(v.tags),
+          pages: 0, nodes: 0, urls: [], examples: [],
+        });
+      }
+      const rule = byRule.get(v.id);
+      // impact can differ per page (axe reports the worst node); keep the most severe seen
+      if ((IMPACT_RANK[v.impact] || 0) > (IMPACT_RANK[rule.impact] || 0)) rule.impact = v.impact;
+      rule.pages++;
+      rule.nodes += v.nodeCount || 0;
+      if (rule.urls.length < MAX_URLS) rule.urls.push(r.url);
+      for (const n of v.nodes || []) {
+        if (rule.examples.length >= MAX_EXAMPLES) break;
+        rule.examples.push({ url: r.url, target: n.target, html: n.html, failureSummary: n.failureSummary });
+      }
+    }
+  }
+
+  const rules = [...byRule.values()].sort((a, b) =>
+    b.pages - a.pages ||
+    (IMPACT_RANK[b.impact] || 0) - (IMPACT_RANK[a.impact] || 0) ||
+    b.nodes - a.nodes);
+
+  return {
+    scanned: pages.length,
+    counts,
+    rules,
+    pages: pages.sort((a, b) => a.quality - b.quality),
+  };
+}
+
+module.exports = { wcagCriteria, pageAccessibility, accessibilityReport };
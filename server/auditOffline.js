@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// /server/auditOffline.js — command-line entry for runOfflineAudit (build folder / HAR / WARC, no live site)
+// Usage:
+//   npm run audit:offline -- <source> [--site-type base] [--base-url URL] [--max-pages N]
+//                                     [--keywords "a, b"] [--no-lighthouse] [--out report.json]
+//
+// Notes:
+//  - Prints the audit result as JSON (stdout, or --out); progress and warnings go to stderr.
+//  - Exit code 2 for bad arguments or input the audit rejects (scope / keyword validation), 1 for failures.
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { runOfflineAudit } = require('./runAudit');
+
+const USAGE = 'usage: audit:offline <directory|file.har|file.warc[.gz]> [--site-type base] [--base-url URL] '
+  + '[--max-pages N] [--keywords "a, b"] [--no-lighthouse] [--out report.json]';
+
+function readArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'site-type': { type: 'string', default: 'base' },
+      'base-url': { type: 'string' },
+      'max-pages': { type: 'string' },
+      keywords: { type: 'string' },
+      'no-lighthouse': { type: 'boolean', default: false },
+      out: { type: 'string' },
+    },
+  });
+  if (positionals.length !== 1) throw new Error(USAGE);
+  const maxPages = values['max-pages'] != null ? Number(values['max-pages']) : undefined;
+  if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1)) {
+    throw new Error('--max-pages must be a positive integer');
+  }
+  return { source: positionals[0], values, maxPages };
+}
+
+async function main() {
+  let args;
+  try {
+    args = readArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  const { source, values, maxPages } = args;
+
+  let result;
+  try {
+    result = await runOfflineAudit(source, values['site-type'], {
+      baseUrl: values['base-url'],
+      maxPages,
+      keywords: values.keywords,
+      lighthouse: !values['no-lighthouse'],
+    });
+  } catch (e) {
+    console.error(`[audit:offline] ${e.message}`);
+    return /^(crawl scope|target keywords|offline):/.test(e.message) ? 2 : 1;
+  }
+
+  const json = JSON.stringify(result, null, 2);
+  if (values.out) {
+    fs.writeFileSync(values.out, json);
+    console.error(`[audit:offline] report written to ${values.out}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+  return 0;
+}
+
+main().then((code) => { process.exitCode = code; });
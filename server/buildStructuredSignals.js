@@ -1,51 +1,79 @@
 // /server/buildStructuredSignals.js
-// Deterministic signal extraction from homepage (+ a few pages)
+// Deterministic signal extraction from every crawled page, rolled up to site level
+// (flat keys keep the homepage values; _pages / _site carry per-page values and median / worst / % failing)
 // Focuses on MAIN CONTENT to avoid header/footer noise and improves:
 // - Alt text coverage (main area only, ignores decorative/system images)
-// - CTA clarity (weighted by anchor/button text + prominence)
+// - Image optimization: oversized / heavy / legacy-format files, missing width+height, lazy loading vs fold
+//   and LCP, srcset, file-name alt text (./imageAudit; rendered facts from the crawl, file headers probed)
+// - CTA clarity from rendered boxes at desktop + mobile viewports: first screen, size, contrast, competing CTAs,
+//   overlays; vocabulary per site type and language (./ctaAnalysis, ./ctaVocabulary)
 // - Trust/Testimonial detection (copy cues + schema.org Review/AggregateRating)
-// - Structured data presence (robust ld+json parse incl. arrays/graphs)
+// - Structured data presence (robust ld+json parse incl. arrays/graphs) + schema.org validation and
+//   rich-result eligibility for JSON-LD / Microdata / RDFa (./structuredData)
 // - Section count (RAW integer; rubric uses count_range)
-// - Broken-link sampling across a few pages (capped; HEAD only)
+// - Keyword modeling + readability in the page's own language: Intl word segmentation, per-language stop words,
+//   Flesch-style score and average sentence length (./textAnalysis)
+// - Target keywords (opts.keywords): keyword signals scored against what the site wants to rank for, plus the
+//   page that best targets each keyword (./targetKeywords); without them the keyword is inferred per page
+// - Broken links: every unique crawled link via ./linkChecker (HEAD → GET fallback, redirects, cached)
+// - Sitemap quality: sitemap URLs vs crawled URLs (non-200, noindex, missing) when a crawl report is given
+// - Response health from crawler page records: non-200 pages, redirect chains > 1 hop, soft redirects, X-Robots-Tag
+// - Site architecture from the internal link graph (click depth + orphans); falls back to internalLinks
+// - Rendering dependency: raw server HTML vs rendered DOM (title, meta, canonical, robots, H1, body copy)
+// - Open Graph / Twitter Card validation (share images probed for size + reachability) and share previews
+// - Title / meta description length + pixel width vs SERP truncation, placeholder titles, snippet preview
+// - Duplicate content: exact / near-duplicate main content + repeated titles and descriptions (./duplicateContent)
+// - Topics: site-wide TF-IDF over main content, titles and H1s; pages clustered by topic, and keyword
+//   cannibalization (pages competing for one primary term) with a suggested primary page (./topicClusters)
+// - International: hreflang from <link>, Link headers and sitemaps (./hreflang) + html lang vs detected
+//   content language (./language)
+// - Canonicals: self / internal / cross-domain / conflicting / invalid, relative hrefs, redirecting / non-200 / noindex
+//   targets, conflicts with meta robots and sitemap inclusion (./canonical)
+// - Heading outline: full H1–H6 tree per page with skipped levels, empty / CSS-hidden headings, headings used
+//   for styling and H1s repeated across pages (./headingOutline; computed styles from the crawl)
+// - Accessibility: axe-core WCAG 2.x A/AA violations per page from the crawl, grouped by rule with WCAG
+//   criteria, example selectors and affected URLs (./accessibilityAudit)
+// - Security hygiene from the main document responses: HSTS (+ preload eligibility), CSP weaknesses,
+//   nosniff, framing, Referrer-Policy, Permissions-Policy, cookie flags, mixed content; HTTP → HTTPS redirect
+//   and TLS certificate from a direct connection, skipped offline (./securityAudit)
 
 'use strict';
 
 const { load } = require('cheerio');
 const { URL } = require('url');
-const http = require('http');
-const https = require('https');
+
+const { sitemapCoverage } = require('./sitemap');
+const { renderingReport } = require('./renderDiff');
+const { createLinkChecker, checkLinks } = require('./linkChecker');
+const { aggregatePages } = require('./signalAggregate');
+const { duplicateReport } = require('./duplicateContent');
+const { topicReport } = require('./topicClusters');
+const { analyzeSnippet } = require('./serpSnippet');
+const { validateStructuredData, summarizeStructuredData } = require('./structuredData');
+const { extractSocialMeta, socialImageUrls, validateSocialMeta } = require('./socialMeta');
+const { createImageProber } = require('./imageProbe');
+const { htmlImages, imageAuditUrls, auditImages } = require('./imageAudit');
+const { extractHreflang, parseLinkHeader, htmlLangMatch, hreflangReport } = require('./hreflang');
+const { detectLanguage } = require('./language');
+const { textLanguage, keywordTokens, countWords, readability } = require('./textAnalysis');
+const { normalizeKeywords, mapKeywords } = require('./targetKeywords');
+const { extractCanonicals, headerCanonicals, canonicalReport } = require('./canonical');
+const { htmlHeadings, headingReport } = require('./headingOutline');
+const { htmlCtaCandidates, analyzeCtas } = require('./ctaAnalysis');
+const { ctaVocabulary } = require('./ctaVocabulary');
+const { pageAccessibility, accessibilityReport } = require('./accessibilityAudit');
+const { auditSecurityHeaders, mixedContent, transportReport, hstsPreload } = require('./securityAudit');
 
 // -------------------- tiny utils --------------------
-const STOP = new Set([
-  'the','and','for','with','you','your','our','are','this','that','from','have','has','was','were','will',
-  'can','not','but','all','any','out','use','how','why','what','about','more','into','over','under','a','an','of','to','in','on','at','by','it','as'
-]);
+const SITEMAP_STATUS_SAMPLE = Math.max(0, Math.min(200, Number(process.env.SITEMAP_STATUS_SAMPLE) || 30));
+const SOCIAL_IMAGE_SAMPLE = Math.max(0, Math.min(200, Number(process.env.SOCIAL_IMAGE_SAMPLE) || 50));
+const IMAGE_AUDIT_SAMPLE = Math.max(0, Math.min(1000, Number(process.env.IMAGE_AUDIT_SAMPLE) || 200));
 const clamp01 = (x) => (typeof x === 'number' && isFinite(x)) ? Math.max(0, Math.min(1, x)) : 0;
 
-function head(url, timeout = 6000) {
-  return new Promise((resolve) => {
-    try {
-      const mod = url.startsWith('https') ? https : http;
-      const req = mod.request(url, { method: 'HEAD', timeout }, (res) => resolve(res.statusCode || 0));
-      req.on('timeout', () => { req.destroy(); resolve(0); });
-      req.on('error', () => resolve(0));
-      req.end();
-    } catch { resolve(0); }
-  });
-}
-
-function tokenize(t) {
-  return (t || '')
-    .toLowerCase()
-    .replace(/[\u0000-\u001F]+/g, ' ')
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter((w) => w.length >= 4 && !STOP.has(w));
-}
-
-function topKeywords(text, n = 8) {
+// Language-aware: stop words and word boundaries follow the page language (./textAnalysis)
+function topKeywords(text, n = 8, lang = 'en') {
   const m = new Map();
-  for (const w of tokenize(text)) m.set(w, (m.get(w) || 0) + 1);
+  for (const w of keywordTokens(text, lang)) m.set(w, (m.get(w) || 0) + 1);
   return [...m.entries()].sort((a, b) => b[1] - a[1]).slice(0, n).map(([w]) => w);
 }
 
@@ -147,81 +175,139 @@ function ldContainsTypes(ldBlocks, typeNames) {
   return ldBlocks.some(checkNode);
 }
 
-// -------------------- CTA heuristics --------------------
-const CTA_WORDS = [
-  'get started','get a quote','get quote','request quote','start now','start free','free trial','try free',
-  'book now','book a demo','request demo','schedule demo','contact sales','contact us','sign up','sign in',
-  'learn more','shop now','buy now','add to cart','subscribe','join now','download','compare plans'
-];
-function computeCtaClarity($, mainNode) {
-  const textFrom = (el) => $(el).text().toLowerCase().replace(/\s+/g, ' ').trim();
-  const btns = $(mainNode).find('a,button,[role="button"]');
-  if (!btns.length) return 0;
-
-  let hits = 0;
-  let strong = 0;
-  let aboveFoldHits = 0;
-
-  btns.each((_, el) => {
-    const t = textFrom(el);
-    if (!t || t.length > 120) return;
-    const matched = CTA_WORDS.some((w) => t.includes(w));
-    if (matched) {
-      hits++;
-      // treat anchors/buttons with typical CTA classes as stronger
-      const cls = (el.attribs?.class || '').toLowerCase();
-      const isPrimary = /(btn(?!-group)|primary|cta|button|hero|call-to-action)/i.test(cls);
-      if (isPrimary) strong++;
-
-      // rough "above the fold": scan if element appears in first 1500 chars of main HTML
-      // (cheap heuristic without layout/positions)
-      const html = $(mainNode).html() || '';
-      const pos = html.toLowerCase().indexOf(t);
-      if (pos >= 0 && pos < 1500) aboveFoldHits++;
+// -------------------- HTTP response health --------------------
+// "X-Robots-Tag: googlebot: noindex, nofollow" / "noindex" => [{ agent, directives: [...] }]
+function parseXRobotsTag(value) {
+  const out = [];
+  for (const part of String(value || '').split(/\n/)) {
+    const m = part.match(/^\s*([a-z0-9_-]+)\s*:\s*(.*)$/i);
+    const isAgent = m && !/^(unavailable_after|max-snippet|max-image-preview|max-video-preview)$/i.test(m[1]);
+    const agent = isAgent ? m[1].toLowerCase() : '*';
+    const rest = isAgent ? m[2] : part;
+    const directives = rest.split(',').map((d) => d.trim().toLowerCase()).filter(Boolean);
+    if (directives.length) out.push({ agent, directives });
+  }
+  return out;
+}
+
+const sameDocument = (a, b) => {
+  const key = (u) => { try { const x = new URL(u); return x.origin + x.pathname.replace(/\/+$/, ''); } catch { return u; } };
+  return key(a) === key(b);
+};
+
+function responseHealth(pages = []) {
+  const withStatus = pages.filter((p) => typeof p.status === 'number');
+  const nonOk = withStatus.filter((p) => p.status !== 200).map((p) => ({ url: p.url, status: p.status }));
+
+  const redirectChains = pages
+    .filter((p) => Array.isArray(p.redirectChain) && p.redirectChain.length > 1)
+    .map((p) => ({ url: p.url, hops: p.redirectChain.length, chain: p.redirectChain }));
+
+  // Soft redirects: meta refresh, or the browser ended elsewhere without any HTTP redirect
+  const softRedirects = [];
+  for (const p of pages) {
+    if (/<meta[^>]+http-equiv=["']?refresh["']?[^>]*url=/i.test(p.html || '')) {
+      softRedirects.push({ url: p.url, via: 'meta-refresh' });
+    } else if (p.finalUrl && !(p.redirectChain || []).length && !sameDocument(p.url, p.finalUrl)) {
+      softRedirects.push({ url: p.url, finalUrl: p.finalUrl, via: 'javascript' });
     }
-  });
+  }
 
-  if (!hits) return 0;
+  const xRobots = [];
+  for (const p of pages) {
+    const value = p.headers && p.headers['x-robots-tag'];
+    if (!value) continue;
+    const rules = parseXRobotsTag(value);
+    const applies = rules.filter((r) => r.agent === '*' || r.agent === 'googlebot');
+    const has = (d) => applies.some((r) => r.directives.includes(d) || r.directives.includes('none'));
+    xRobots.push({ url: p.url, value, noindex: has('noindex'), nofollow: has('nofollow') });
+  }
 
-  // Score blend: base presence + strength + above-the-fold bonus
-  // Normalize by common ranges (hits up to 4; strong up to 2; aboveFold up to 2)
-  const presence = Math.min(1, hits / 2);
-  const strength = Math.min(1, strong / 2);
-  const fold     = Math.min(1, aboveFoldHits / 2);
-  return clamp01(0.6 * presence + 0.25 * strength + 0.15 * fold);
+  return { checked: withStatus.length, nonOk, redirectChains, softRedirects, xRobots };
 }
 
-// -------------------- main extractor --------------------
-module.exports = async function buildStructuredSignals(homepage, pages = []) {
-  if (!homepage || !homepage.url || !homepage.html) {
-    throw new Error('buildStructuredSignals: homepage {url, html} required');
-  }
+const sitemapEntriesCount = (crawl) =>
+  crawl && crawl.sitemap && Array.isArray(crawl.sitemap.entries) ? crawl.sitemap.entries.length : 0;
+
+// -------------------- per-page signals --------------------
+// Per-page keys rolled up by ./signalAggregate (a page fails below 0.5 unless `pass` says otherwise);
+// sectionCount passes on its ideal range (rubric: count_range [4, 12]), tri-state checks only when complete
+const PAGE_SIGNAL_SPECS = {
+  titleMatch: {}, metaMatch: {}, headerMatch: {}, densityScore: {}, semanticScore: {},
+  sectionCount: { quality: (v) => rangeScore(v, 4, 12) },
+  domDepthRatio: {}, headerFlow: {}, h1Single: {}, ctaClarity: {}, mobileConsistency: { pass: 1 },
+  metaTagsPresent: { pass: 1 }, titleQuality: { pass: 0.75 }, metaDescriptionQuality: { pass: 0.75 },
+  altTextCoverage: {}, headerStructure: {}, internalLinks: {}, externalLinks: {},
+  indexable: {}, structuredDataPresent: {}, structuredDataValidity: {}, socialMetaQuality: {}, imageOptimization: {}, canonicalPresent: {}, canonicalQuality: { pass: 0.75 }, langAttrPresent: {}, wordCountNormalized: {}, readability: {},
+  hreflangQuality: {}, langAttrMatch: {}, headingQuality: {},
+  accessibilityQuality: {}, accessibilityBlockers: { pass: 1 },
+  securityHeaders: {}, mixedContentFree: { pass: 1 },
+};
 
-  const $ = load(homepage.html);
-  const homeURL = new URL(homepage.url);
-  const origin  = homeURL.origin;
-  const host    = homeURL.host;
+// Rendered HTML documents only: error pages and non-HTML responses are covered by nonOkPagesRatio
+const isAuditablePage = (p) =>
+  !!(p && p.url && p.html) && (typeof p.status !== 'number' || (p.status >= 200 && p.status < 300));
+
+/**
+ * Everything that can be judged from one document.
+ * @param {{ url: string, finalUrl?: string, html: string }} page
+ * @param {Map<string, { noindex: boolean }>} xRobotsByUrl  X-Robots-Tag verdicts from responseHealth
+ * @param {{ siteType?: string }} ctx  rubric key, picks the CTA vocabulary
+ */
+function pageSignals(page, xRobotsByUrl = new Map(), ctx = {}) {
+  const $ = load(page.html);
+  let host = '';
+  try { host = new URL(page.finalUrl || page.url).host; } catch {}
+
+  // Head-level checks before boilerplate stripping removes <script> (JSON-LD)
+  const robotsMeta = $('meta[name="robots"]').attr('content') || '';
+  const xRobots = xRobotsByUrl.get(page.url);
+  const indexable = !/noindex/i.test(robotsMeta) && !(xRobots && xRobots.noindex);
+  const ldBlocks = parseLdJsonBlocks($);
+  // validity is null when the page has no markup, so the site median only covers pages that carry some
+  const structuredData = validateStructuredData($);
+  const structuredDataPresent = ldBlocks.length > 0 || structuredData.items.length > 0 ? 1 : 0;
+  const canonicals = extractCanonicals($, page.finalUrl || page.url);
+  const canonicalPresent = canonicals.length > 0 ? 1 : 0;
+  const social = extractSocialMeta($);
+  // Rendered <img> records from the crawl; attribute-only fallback for offline / raw pages
+  const images = Array.isArray(page.images) ? page.images : htmlImages($, page.finalUrl || page.url);
+  const htmlLang = String($('html').attr('lang') || '').trim();
+  const langAttrPresent = htmlLang ? 1 : 0;
+  const hreflang = extractHreflang($, page.finalUrl || page.url);
+  // Rendered H1–H6 from the crawl; nav / footer headings are still in the DOM here for the offline fallback
+  const headings = Array.isArray(page.headings) ? page.headings : htmlHeadings($);
+  // Response headers of the main document (null quality when unknown) + http:// sub-resources on https pages
+  const security = auditSecurityHeaders(page.headers, page.finalUrl || page.url);
+  const insecure = mixedContent($, page.finalUrl || page.url);
+  const mixedContentFree = /^https:/i.test(page.finalUrl || page.url) ? (insecure.length ? 0 : 1) : null;
 
   // Clean up & pin main node
   stripBoilerplate($);
   const mainNode = extractMainNode($);
   const mainText = elementText($, mainNode);
-  const wordCount = Math.max(1, mainText.split(/\s+/).length);
+  // null on pages with too little prose to tell; langAttrMatch then stays null too (skipped in the rollup)
+  const detectedLang = detectLanguage(mainText);
+  const langAttrMatch = htmlLangMatch(htmlLang, detectedLang && detectedLang.lang);
+  // Tokenization, stop words and readability follow the detected language (html lang when undetectable)
+  const lang = textLanguage(detectedLang, htmlLang);
+  const wordCount = Math.max(1, countWords(mainText, lang));
+  const readabilityReport = readability(mainText, lang);
 
   // Title/meta/headers (from head + visible headings)
   const title = $('title').first().text().trim();
   const metaDesc = $('meta[name="description"]').attr('content')?.trim() || '';
-  const hText = $('h1, h2, h3').map((_, el) => $(el).text().toLowerCase().trim()).get();
+  const hText = $('h1, h2, h3').map((_, el) => $(el).text().toLocaleLowerCase(lang).trim()).get();
 
   // Keyword modeling (mainText heavily weighted)
-  const kwsTitle   = topKeywords(title, 5);
-  const kwsHeaders = topKeywords(hText.join(' '), 10);
-  const kwsBody    = topKeywords(mainText.slice(0, 6000), 12);
+  const kwsTitle   = topKeywords(title, 5, lang);
+  const kwsHeaders = topKeywords(hText.join(' '), 10, lang);
+  const kwsBody    = topKeywords(mainText.slice(0, 6000), 12, lang);
   const topicKeywords = [...new Set([...kwsTitle, ...kwsHeaders, ...kwsBody])].slice(0, 8);
   const primaryKeyword = topicKeywords[0] || '';
 
   const titleMatch  = presenceScore(title, primaryKeyword);
-  const metaMatch   = topicKeywords.length ? topicKeywords.filter(k => metaDesc.toLowerCase().includes(k)).length / topicKeywords.length : 0;
+  const metaMatch   = topicKeywords.length ? topicKeywords.filter(k => metaDesc.toLocaleLowerCase(lang).includes(k)).length / topicKeywords.length : 0;
   const headerMatch = hText.length ? hText.filter(h => topicKeywords.some(k => h.includes(k))).length / hText.length : 0;
 
   const hits = primaryKeyword ? ((mainText.match(new RegExp(primaryKeyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi')) || []).length) : 0;
@@ -232,7 +318,7 @@ module.exports = async function buildStructuredSignals(homepage, pages = []) {
       ? clamp01(density / 0.01)
       : clamp01(0.03 / density);
 
-  const semanticScore = jaccard(topicKeywords, topKeywords(mainText.slice(0, 1200), 10));
+  const semanticScore = jaccard(topicKeywords, topKeywords(mainText.slice(0, 1200), 10, lang));
 
   // ---- UX / layout ----
   // Section count is RAW integer; rubric uses count_range([4,12])
@@ -252,16 +338,28 @@ module.exports = async function buildStructuredSignals(homepage, pages = []) {
   const headerFlow = !hasH1 ? 0 : (nonDec ? 1 : 0.5);
   const h1Single = $('h1').length === 1 ? 1 : 0;
 
-  // CTA clarity (0..1)
-  const ctaClarity = computeCtaClarity($, mainNode);
+  // CTA clarity (0..1): rendered boxes from the crawl, main-content text match without them
+  const ctas = analyzeCtas(
+    page.ctas ? { layout: page.ctas } : { candidates: htmlCtaCandidates($, mainNode) },
+    ctaVocabulary(ctx.siteType, lang),
+  );
+  const ctaClarity = ctas.quality;
 
   const mobileConsistency = $('meta[name="viewport"]').attr('content') ? 1 : 0.6;
 
   // ---- SEO / platform ----
+  // axe-core scan from the crawl; null when the page was not scanned (offline sources, AXE_SCAN=false)
+  const a11y = pageAccessibility(page.axe);
+
   const hasTitle = !!$('title').length;
   const hasDesc  = !!$('meta[name="description"]').length;
   const metaTagsPresent = hasTitle && hasDesc ? 1 : (hasTitle || hasDesc ? 0.5 : 0);
 
+  // Length / pixel width / placeholder checks + SERP preview (./serpSnippet)
+  const snippet = analyzeSnippet({ url: page.url, title, titlePresent: hasTitle, description: metaDesc, descriptionPresent: hasDesc });
+  const titleQuality = snippet.title.quality;
+  const metaDescriptionQuality = snippet.description.quality;
+
   // Alt coverage (MAIN area only; ignore likely decorative/system images)
   const imgs = $(mainNode).find('img').get();
   const isInformative = (imgEl) => {
@@ -292,19 +390,347 @@ module.exports = async function buildStructuredSignals(homepage, pages = []) {
   // Internal/external links (normalize by main word count to avoid nav bias)
   const anchors = $('a[href]').map((_, a) => $(a).attr('href')).get().filter(Boolean);
   const normalized = anchors
-    .map((href) => { try { return new URL(href, homepage.url); } catch { return null; } })
+    .map((href) => { try { return new URL(href, page.finalUrl || page.url); } catch { return null; } })
     .filter(Boolean);
   const internalLinksCount = normalized.filter((u) => u.host === host).length;
   const externalHosts = new Set(normalized.filter((u) => u.host !== host).map((u) => u.host));
   const internalLinks = Math.min(1, internalLinksCount / Math.max(1, Math.round(wordCount / 200)));
   const externalLinks = Math.min(1, externalHosts.size / 5);
 
-  const robotsMeta = $('meta[name="robots"]').attr('content') || '';
-  const indexable = !/noindex/i.test(robotsMeta);
+  // Word count quality (ideal 300–1200) — based on MAIN content only
+  const wordCountNormalized = rangeScore(wordCount, 300, 1200);
 
-  const ldBlocks = parseLdJsonBlocks($);
-  const structuredDataPresent =
-    ldBlocks.length > 0 || $('[itemscope]').length > 0 ? 1 : 0;
+  return {
+    url: page.url,
+    finalUrl: page.finalUrl || page.url,
+    signals: {
+      titleMatch, metaMatch, headerMatch, densityScore, semanticScore,
+      sectionCount, domDepthRatio, headerFlow, h1Single, ctaClarity, mobileConsistency,
+      metaTagsPresent, titleQuality, metaDescriptionQuality, altTextCoverage, headerStructure, internalLinks, externalLinks,
+      indexable: indexable ? 1 : 0, structuredDataPresent, structuredDataValidity: structuredData.validity,
+      canonicalPresent, langAttrPresent, langAttrMatch, wordCountNormalized,
+      readability: readabilityReport ? readabilityReport.quality : null,
+      accessibilityQuality: a11y ? a11y.quality : null,
+      accessibilityBlockers: a11y ? a11y.blockers : null,
+      securityHeaders: security.quality, mixedContentFree,
+    },
+    derived: {
+      primaryKeyword, topicKeywords, wordCount, lang, title, metaDescription: metaDesc,
+      canonical: canonicals.length ? canonicals[0].href : null,
+    },
+    snippet,
+    // inputs for target-keyword scoring (./targetKeywords)
+    keywordPage: {
+      title, metaDescription: metaDesc, headings: hText, mainText, wordCount, lang,
+      bodyKeywords: topKeywords(mainText.slice(0, 6000), 20, lang),
+    },
+    structuredData,
+    social,
+    readability: readabilityReport,
+    images,
+    headings,
+    ctas,
+    axe: page.axe || null,
+    security: { ...security, mixedContent: insecure },
+    canonicals,
+    international: { htmlLang, hreflang, detectedLang },
+    mainText,
+    ldBlocks,
+  };
+}
+
+// -------------------- main extractor --------------------
+/**
+ * @param {{ url: string, html: string }} homepage
+ * @param {Array<{ url: string, html: string }>} pages  crawled pages (homepage first)
+ * @param {{ crawl?: object, linkGraph?: object, auth?: object, statusOf?: (url: string) => number|null,
+ *           keywords?: Array<string|{ keyword: string, url?: string }>, siteType?: string }} opts
+ *        crawl report from crawler.crawlWithReport (robots, sitemap), linkGraph.buildLinkGraph output,
+ *        site credentials (requestAuth.createRequestAuth) for the HEAD checks, an offline status lookup
+ *        that replaces them entirely (offlineSource; null = unknown, skipped), target keywords
+ *        (targetKeywords.normalizeKeywords input, optionally mapped to URLs) and the rubric key, which
+ *        picks the CTA vocabulary
+ */
+module.exports = async function buildStructuredSignals(homepage, pages = [], opts = {}) {
+  if (!homepage || !homepage.url || !homepage.html) {
+    throw new Error('buildStructuredSignals: homepage {url, html} required');
+  }
+
+  const homeURL = new URL(homepage.url);
+  const origin  = homeURL.origin;
+  // One cached checker per audit: robots/sitemap probes and the link inventory share results
+  const linkChecker = createLinkChecker({
+    headersFor: opts.auth ? opts.auth.headersFor : null,
+    statusOf: opts.statusOf || null,
+  });
+  const probe = (u) => linkChecker.status(u);
+
+  // Crawl-wide response health first: per-page indexability needs each page's X-Robots-Tag
+  const health = responseHealth(pages && pages.length ? pages : [homepage]);
+  const xRobotsByUrl = new Map(health.xRobots.map((x) => [x.url, x]));
+
+  // Same extraction for every crawled HTML page; the flat map keeps the homepage values
+  const ctx = { siteType: opts.siteType || 'base' };
+  const home = pageSignals(homepage, xRobotsByUrl, ctx);
+  const pageRows = [];
+  for (const p of pages || []) {
+    if (!isAuditablePage(p)) continue;
+    pageRows.push(p === homepage || p.url === homepage.url ? home : pageSignals(p, xRobotsByUrl, ctx));
+  }
+  if (!pageRows.some((r) => r.url === homepage.url)) pageRows.unshift(home);
+
+  // Open Graph / Twitter Cards: share images are probed once each (reachability + dimensions)
+  const imageProber = createImageProber({
+    headersFor: opts.auth ? opts.auth.headersFor : null,
+    statusOf: opts.statusOf || null,
+  });
+  const socialImages = new Map();
+  const socialImageList = [...new Set(pageRows.flatMap((r) => socialImageUrls(r.social, r.url)))].slice(0, SOCIAL_IMAGE_SAMPLE);
+  await Promise.all(socialImageList.map(async (u) => socialImages.set(u, await imageProber.probe(u))));
+  for (const r of pageRows) {
+    r.socialReport = validateSocialMeta(r.social, {
+      url: r.url, title: r.derived.title, description: r.derived.metaDescription, canonical: r.derived.canonical,
+    }, socialImages);
+    r.signals.socialMetaQuality = r.socialReport.quality;
+  }
+
+  // Image audit: file headers (format, bytes, natural size) probed once each, shared with the share images
+  const imageProbes = new Map(socialImages);
+  const auditList = [...new Set(pageRows.flatMap((r) => imageAuditUrls(r.images)))]
+    .filter((u) => !imageProbes.has(u))
+    .slice(0, IMAGE_AUDIT_SAMPLE);
+  await Promise.all(auditList.map(async (u) => imageProbes.set(u, await imageProber.probe(u))));
+  for (const r of pageRows) {
+    r.imageReport = auditImages(r.images, imageProbes);
+    r.signals.imageOptimization = r.imageReport.quality;
+  }
+
+  // hreflang across the crawl: return links need every page's annotations (html, Link header, sitemap)
+  const linkHeaders = new Map((pages || []).filter((p) => p.headers && p.headers.link).map((p) => [p.url, p]));
+  const sitemapList = opts.crawl && opts.crawl.sitemap && Array.isArray(opts.crawl.sitemap.entries) ? opts.crawl.sitemap.entries : [];
+  const hreflang = await hreflangReport(pageRows.map((r) => {
+    const p = linkHeaders.get(r.url);
+    return {
+      url: r.url,
+      canonical: r.derived.canonical,
+      htmlLang: r.international.htmlLang,
+      detectedLang: r.international.detectedLang && r.international.detectedLang.lang,
+      html: r.international.hreflang,
+      header: p ? parseLinkHeader(p.headers.link, p.finalUrl || p.url) : [],
+    };
+  }), { sitemapEntries: sitemapList, checker: linkChecker });
+  pageRows.forEach((r, i) => { r.signals.hreflangQuality = hreflang.pages[i].quality; });
+
+  // Canonicals: <link> + Link header per page, judged against the crawl (noindex, redirects) and the sitemap
+  const canonicals = await canonicalReport(pageRows.map((r) => {
+    const p = linkHeaders.get(r.url);
+    return {
+      url: r.url,
+      finalUrl: r.finalUrl,
+      canonicals: [...r.canonicals, ...(p ? headerCanonicals(p.headers.link, p.finalUrl || p.url) : [])],
+      noindex: r.signals.indexable === 0,
+    };
+  }), { sitemapUrls: sitemapList.map((e) => e.url || e.loc), checker: linkChecker });
+  pageRows.forEach((r, i) => { r.signals.canonicalQuality = canonicals.pages[i].quality; });
+
+  // Heading outlines: duplicate H1s need every page
+  const headingOutlines = headingReport(pageRows.map((r) => ({ url: r.url, headings: r.headings })));
+  pageRows.forEach((r, i) => { r.signals.headingQuality = headingOutlines.pages[i].quality; });
+
+  // Target keywords replace the inferred keyword in the five keyword signals
+  const targets = normalizeKeywords(opts.keywords);
+  const keywordMap = mapKeywords(pageRows.map((r) => ({ url: r.url, page: r.keywordPage })), targets);
+  for (const r of pageRows) {
+    const m = keywordMap.pages.get(r.url);
+    if (!m) continue;
+    const { relevance, ...fit } = m.fit;
+    Object.assign(r.signals, fit);
+    r.derived.targetKeywords = m.keywords;
+    r.derived.targetRelevance = relevance;
+  }
+
+  const perPage = pageRows.map(({ url, signals }) => ({ url, signals }));
+  const site = aggregatePages(perPage, PAGE_SIGNAL_SPECS);
+
+  const { mainText, ldBlocks } = home;
+  const {
+    titleMatch, metaMatch, headerMatch, densityScore, semanticScore,
+    sectionCount, domDepthRatio, headerFlow, h1Single, ctaClarity, mobileConsistency,
+    metaTagsPresent, titleQuality, metaDescriptionQuality, altTextCoverage, headerStructure, internalLinks, externalLinks, indexable,
+    structuredDataPresent, structuredDataValidity, socialMetaQuality, canonicalPresent, langAttrPresent, wordCountNormalized,
+    hreflangQuality, langAttrMatch, canonicalQuality, imageOptimization, readability: readabilityScore, headingQuality,
+    accessibilityQuality, accessibilityBlockers, securityHeaders, mixedContentFree,
+  } = home.signals;
+  const { primaryKeyword, topicKeywords, wordCount, lang } = home.derived;
+
+  // Exact / near-duplicate main content and repeated titles + descriptions across the crawl
+  const duplicates = duplicateReport(pageRows.map((r) => ({
+    url: r.url, text: r.mainText, title: r.derived.title, metaDescription: r.derived.metaDescription,
+  })));
+  const duplicateContentRatio = clamp01(duplicates.ratio);
+
+  // TF-IDF topic model across the crawl: clusters + pages competing for the same primary term; link
+  // authority and click depth from the link graph pick which competitor should keep the term
+  const graphNodes = opts.linkGraph && Array.isArray(opts.linkGraph.nodes) ? opts.linkGraph.nodes : [];
+  const topics = topicReport(pageRows.map((r) => ({
+    url: r.url,
+    title: r.derived.title,
+    h1s: r.headings.filter((h) => h.level === 1).map((h) => h.text),
+    text: r.mainText,
+    lang: r.derived.lang,
+    indexable: r.signals.indexable === 1,
+    canonical: r.derived.canonical,
+  })), {
+    authority: graphNodes.length ? new Map(graphNodes.map((g) => [g.url, g.authority])) : null,
+    depth: new Map(graphNodes.filter((g) => g.depth != null).map((g) => [g.url, g.depth])),
+  });
+  const keywordCannibalization = clamp01(topics.ratio);
+
+  // Schema.org validation per page (JSON-LD, Microdata, RDFa) and rich-result eligibility across the crawl
+  const structuredData = summarizeStructuredData(pageRows);
+
+  // Share-card previews for the homepage; per-page Open Graph / Twitter problems for the report
+  const social = {
+    home: { url: homepage.url, og: home.social.og, twitter: home.social.twitter, ...home.socialReport },
+    pages: pageRows
+      .filter((r) => r.socialReport.errors.length || r.socialReport.warnings.length)
+      .map(({ url, socialReport: { errors, warnings, quality } }) => ({ url, quality, errors, warnings })),
+    images: [...socialImages.values()],
+  };
+
+  // Which page best targets each keyword (and whether the page it is mapped to does)
+  const keywords = targets.length ? {
+    targets: keywordMap.targets,
+    pages: pageRows.map((r) => ({
+      url: r.url,
+      keywords: r.derived.targetKeywords,
+      assigned: keywordMap.pages.get(r.url).assigned,
+      relevance: r.derived.targetRelevance,
+    })),
+  } : null;
+
+  // Readability per page (pages with too little prose to judge are left out)
+  const readabilityFindings = {
+    pages: pageRows
+      .filter((r) => r.readability)
+      .map(({ url, readability: { lang, formula, score, avgSentenceLength, avgSyllablesPerWord, quality } }) => ({
+        url, lang, formula, score, avgSentenceLength, avgSyllablesPerWord, quality,
+      })),
+  };
+
+  // Images with issues per page, plus the heaviest files across the crawl
+  const imageFindings = {
+    total: pageRows.reduce((n, r) => n + r.imageReport.total, 0),
+    bytes: pageRows.reduce((n, r) => n + r.imageReport.bytes, 0),
+    counts: pageRows.reduce((acc, r) => {
+      for (const [k, v] of Object.entries(r.imageReport.counts)) acc[k] = (acc[k] || 0) + v;
+      return acc;
+    }, {}),
+    pages: pageRows
+      .filter((r) => r.imageReport.images.some((i) => i.issues.length))
+      .map(({ url, imageReport: { quality, total, images } }) => ({
+        url, quality, total, images: images.filter((i) => i.issues.length).slice(0, 25),
+      })),
+    heaviest: [...new Map(pageRows.flatMap((r) => r.imageReport.images)
+      .filter((i) => i.bytes != null).map((i) => [i.src, i])).values()]
+      .sort((a, b) => b.bytes - a.bytes).slice(0, 10)
+      .map(({ src, bytes, format, naturalWidth, naturalHeight }) => ({ src, bytes, format, naturalWidth, naturalHeight })),
+  };
+
+  // Full outline per page (homepage first) so the report can show the tree, problem headings marked
+  const headingFindings = {
+    counts: headingOutlines.counts,
+    duplicateH1s: headingOutlines.duplicateH1s,
+    pages: headingOutlines.pages.map(({ url, quality, counts, issues, outline }) => ({
+      url, quality, counts, issues, outline: outline.slice(0, 150),
+    })),
+  };
+
+  // WCAG violations by rule across the crawl, most widespread first
+  const accessibility = accessibilityReport(pageRows.map((r) => ({ url: r.url, axe: r.axe })));
+
+  // Primary CTA per viewport and what holds it back (pages without CTA problems are left out)
+  const ctaFindings = {
+    pages: pageRows
+      .filter((r) => r.ctas.issues.length)
+      .map(({ url, ctas: { quality, matched, viewports, issues } }) => ({ url, quality, matched, viewports, issues })),
+  };
+
+  // Canonical issues per page (pages whose canonical is fine are left out)
+  const canonicalFindings = {
+    counts: canonicals.counts,
+    issues: canonicals.pages
+      .filter((p) => p.errors.length || p.warnings.length)
+      .map(({ url, canonical, type, quality, errors, warnings }) => ({ url, canonical, type, quality, errors, warnings })),
+    targets: canonicals.targets,
+  };
+
+  // hreflang problems per page + html lang that disagrees with the copy; a site whose pages declare several
+  // languages (html lang) but carry no hreflang at all scores 0, a single-language site without any has nothing to fix
+  const international = {
+    annotatedPages: hreflang.annotatedPages,
+    languages: hreflang.languages,
+    multilingualWithoutHreflang: hreflang.multilingualWithoutHreflang,
+    pages: hreflang.pages
+      .filter((p) => p.errors.length || p.warnings.length)
+      .map(({ url, quality, errors, warnings, annotations }) => ({ url, quality, errors, warnings, annotations })),
+    langMismatches: pageRows
+      .filter((r) => r.signals.langAttrMatch === 0)
+      .map(({ url, international: { htmlLang, detectedLang } }) => ({
+        url, htmlLang: htmlLang || null,
+        detected: detectedLang ? detectedLang.lang : null, confidence: detectedLang ? detectedLang.confidence : null,
+      })),
+    targets: hreflang.targets,
+  };
+
+  // SERP snippet preview for the homepage; per-page title / description problems for the report
+  const snippets = {
+    home: { url: homepage.url, ...home.snippet },
+    pages: pageRows
+      .filter((r) => r.snippet.title.issues.length || r.snippet.description.issues.length)
+      .map(({ url, snippet: { title, description } }) => ({
+        url,
+        title: { value: title.value, chars: title.chars, px: title.px, status: title.status, issues: title.issues },
+        description: { value: description.value, chars: description.chars, px: description.px, status: description.status, issues: description.issues },
+      })),
+  };
+
+  // Site architecture: crawled pages within 3 clicks of home + sitemap URLs that are linked somewhere.
+  // A crawl cut short by the page cap cannot tell an orphan from a page linked beyond the cap: ratio unknown.
+  const graph = opts.linkGraph && Array.isArray(opts.linkGraph.nodes) && opts.linkGraph.edges.length ? opts.linkGraph : null;
+  let siteArchitecture = internalLinks;
+  let orphanPagesRatio = 0;
+  let architectureFindings = null;
+  if (graph) {
+    const crawledNodes = graph.nodes.filter((n) => n.crawled);
+    const shallow = crawledNodes.filter((n) => n.depth != null && n.depth <= 3).length;
+    const depthScore = crawledNodes.length ? shallow / crawledNodes.length : 0;
+    const sitemapCount = sitemapEntriesCount(opts.crawl);
+    if (graph.orphansComplete === false) {
+      orphanPagesRatio = null;
+      siteArchitecture = clamp01(depthScore);
+    } else {
+      orphanPagesRatio = sitemapCount ? clamp01(graph.orphans.length / sitemapCount) : 0;
+      siteArchitecture = clamp01(0.6 * depthScore + 0.4 * (1 - orphanPagesRatio));
+    }
+
+    const weakest = [...crawledNodes].sort((a, b) => a.authority - b.authority).slice(0, 10);
+    architectureFindings = {
+      depthHistogram: graph.depthHistogram,
+      deepPages: crawledNodes.filter((n) => n.depth != null && n.depth > 3).map((n) => ({ url: n.url, depth: n.depth })),
+      unreachable: graph.unreachable,
+      orphans: graph.orphans,
+      orphansComplete: graph.orphansComplete !== false,
+      weakestPages: weakest.map(({ url, inlinks, authority }) => ({ url, inlinks, authority })),
+    };
+  }
+
+  const nonOkPagesRatio = health.checked ? clamp01(health.nonOk.length / health.checked) : 0;
+  const redirectChainRatio = pages && pages.length ? clamp01(health.redirectChains.length / pages.length) : 0;
+
+  // How much of the SEO-relevant markup only exists after JavaScript runs (0 = none)
+  const rendering = renderingReport(pages && pages.length ? pages : [homepage]);
+  const renderingDependency = rendering.dependency != null ? clamp01(rendering.dependency) : 0;
 
   // Trust/testimonials (keywords OR schema Review/AggregateRating on home,
   // plus a light scan of a few more pages)
@@ -323,68 +749,122 @@ module.exports = async function buildStructuredSignals(homepage, pages = []) {
     }
   }
 
-  const canonicalPresent = $('link[rel="canonical"]').length > 0 ? 1 : 0;
-  const httpsUsage = homeURL.protocol === 'https:' ? 1 : 0;
-  const langAttrPresent = !!$('html').attr('lang') ? 1 : 0;
+  // An offline http source (build folder on localhost, capture of a staging copy) says nothing about production
+  const httpsUsage = homeURL.protocol === 'https:' ? 1 : opts.statusOf ? null : 0;
+
+  // HTTP → HTTPS redirect and the TLS certificate need the live host; offline sources leave both null
+  const transport = opts.statusOf ? null : await transportReport(home.finalUrl);
+  const httpsRedirect = transport ? transport.httpRedirect.score : null;
+  const tlsHealth = transport && transport.tls ? transport.tls.score : null;
+
+  // Header checks per page (only pages with something to fix), plus how each check fares across the crawl
+  const securityFindings = {
+    transport,
+    hstsPreload: /^https:/i.test(home.finalUrl) && home.security.quality != null
+      ? hstsPreload(home.security.hsts, transport && transport.httpRedirect.finalUrl ? transport.httpRedirect : null)
+      : null,
+    checks: pageRows.reduce((acc, r) => {
+      for (const c of r.security.checks) {
+        acc[c.id] = acc[c.id] || { pass: 0, warn: 0, fail: 0, 'n/a': 0 };
+        acc[c.id][c.status]++;
+      }
+      return acc;
+    }, {}),
+    pages: pageRows
+      .filter((r) => r.security.mixedContent.length || r.security.checks.some((c) => c.status === 'warn' || c.status === 'fail'))
+      .map(({ url, security: { quality, checks, cookies, mixedContent: insecure } }) => ({
+        url, quality,
+        checks: checks.filter((c) => c.status === 'warn' || c.status === 'fail'),
+        cookies: cookies.filter((c) => c.issues.length),
+        mixedContent: insecure.slice(0, 25),
+      })),
+  };
 
-  // robots.txt & sitemap.xml via HEAD (best-effort)
+  // robots.txt via HEAD (best-effort); sitemap from the crawl's inventory, else HEAD /sitemap.xml
+  const sitemapReport = opts.crawl && opts.crawl.sitemap ? opts.crawl.sitemap : null;
   const [robotsCode, sitemapCode] = await Promise.all([
-    head(new URL('/robots.txt', origin).href),
-    head(new URL('/sitemap.xml', origin).href),
+    probe(new URL('/robots.txt', origin).href),
+    sitemapReport ? Promise.resolve(0) : probe(new URL('/sitemap.xml', origin).href),
   ]);
   const robotsTxtPresent = (robotsCode && robotsCode < 400) ? 1 : 0;
-  const sitemapPresent   = (sitemapCode && sitemapCode < 400) ? 1 : 0;
-
-  // Word count quality (ideal 300–1200) — based on MAIN content only
-  const wordCountNormalized = rangeScore(wordCount, 300, 1200);
-
-  // Broken links sampling across a few pages (capped for speed)
-  const sample = [];
-  for (const p of (pages || []).slice(0, 6)) {
-    const $p = load(p.html || '');
-    stripBoilerplate($p);
-    const hrefs = $p('a[href]').map((_, a) => $p(a).attr('href')).get().filter(Boolean);
-    for (const h of hrefs) {
-      try {
-        const u = new URL(h, p.url);
-        if (/^https?:/i.test(u.href)) sample.push(u.href);
-        if (sample.length >= 20) break;
-      } catch {}
-    }
-    if (sample.length >= 20) break;
+  const sitemapEntries = sitemapReport && Array.isArray(sitemapReport.entries) ? sitemapReport.entries : [];
+  const sitemapPresent = sitemapReport
+    ? (sitemapEntries.length ? 1 : 0)
+    : ((sitemapCode && sitemapCode < 400) ? 1 : 0);
+
+  // Sitemap quality: listed URLs should be 200 + indexable, crawled pages should be listed
+  let sitemapQuality = 0;
+  let sitemapFindings = null;
+  if (sitemapEntries.length) {
+    const cov = await sitemapCoverage(sitemapReport, pages || [], { statusOf: probe, limit: SITEMAP_STATUS_SAMPLE });
+    const judged = cov.statusChecked + cov.inSitemapCrawled;
+    const okRatio = judged ? 1 - (cov.nonOk.length + cov.noindex.length) / judged : 1;
+    const listedRatio = cov.crawledUrls ? 1 - cov.missingFromSitemap.length / cov.crawledUrls : 1;
+    sitemapQuality = clamp01(0.6 * okRatio + 0.4 * listedRatio);
+    sitemapFindings = {
+      sources: (sitemapReport.sources || []).map(({ url, type, status, gzip, urls, error }) => ({ url, type, status, gzip, urls, error })),
+      truncated: !!sitemapReport.truncated,
+      ...cov,
+    };
   }
-  const uniq = [...new Set(sample)];
-  let broken = 0, checked = 0;
-  for (const u of uniq) {
-    const code = await head(u);
-    checked++; if (!code || code >= 400) broken++;
-    if (checked >= 12) break;
-  }
-  const brokenLinksRatio = checked ? clamp01(broken / checked) : 0;
+
+  // Every unique link from the crawl (internal + external), HEAD with GET fallback
+  const links = await checkLinks(pages && pages.length ? pages : [homepage], { checker: linkChecker });
+  const brokenLinksRatio = links.checked ? clamp01(links.broken.length / links.checked) : 0;
 
   // Final flat map (keys align with rubric)
   return {
     // relevance / content
-    titleMatch, metaMatch, headerMatch, densityScore, semanticScore,
+    titleMatch, metaMatch, headerMatch, densityScore, semanticScore, duplicateContentRatio, keywordCannibalization,
+    readability: readabilityScore, // null under 30 words of prose: optional rule, not a 0
 
     // ux (note: sectionCount is RAW)
     sectionCount, domDepthRatio, headerFlow, h1Single, ctaClarity, mobileConsistency,
 
     // seo
-    metaTagsPresent, altTextCoverage, headerStructure, internalLinks, externalLinks, indexable,
+    metaTagsPresent, titleQuality, metaDescriptionQuality, altTextCoverage, headerStructure, internalLinks, externalLinks,
+    indexable: indexable === 1,
+    siteArchitecture, orphanPagesRatio,
 
     // extras used by rubric or AI layer
     structuredDataPresent,
+    structuredDataValidity, // null without markup: structuredDataPresent already scores that
+    socialMetaQuality,
+    imageOptimization: imageOptimization ?? 1,
     trustSignalsPresent,
     canonicalPresent,
+    canonicalQuality,
+    headingQuality,
+    accessibilityQuality,
+    accessibilityBlockers,
     httpsUsage,
+    httpsRedirect,
+    tlsHealth,
+    securityHeaders,
+    mixedContentFree,
     langAttrPresent,
+    langAttrMatch: langAttrMatch ?? langAttrPresent,
+    hreflangQuality: typeof hreflangQuality === 'number' ? hreflangQuality : (hreflang.multilingualWithoutHreflang ? 0 : 1),
     robotsTxtPresent,
     sitemapPresent,
+    sitemapQuality,
     wordCountNormalized,
     brokenLinksRatio,
+    nonOkPagesRatio,
+    redirectChainRatio,
+    renderingDependency,
 
     // debug (handy to surface in Insights if needed)
-    _derived: { primaryKeyword, topicKeywords, wordCount }
+    _derived: {
+      primaryKeyword, topicKeywords, wordCount, lang, readability: home.readability,
+      targetKeywords: home.derived.targetKeywords || [],
+    },
+
+    // per-page values (homepage included) and their site-level rollup; rubric rules pick one via `aggregate`
+    _pages: perPage,
+    _site: site,
+
+    // per-check detail lists for reports (not scored directly)
+    _findings: { sitemap: sitemapFindings, responses: health, architecture: architectureFindings, rendering, links, duplicates, topics: { ...topics, clusters: topics.clusters.slice(0, 50), conflicts: topics.conflicts.slice(0, 100) }, snippets, structuredData, social, international, canonicals: canonicalFindings, images: imageFindings, readability: readabilityFindings, keywords, headings: headingFindings, ctas: ctaFindings, accessibility, security: securityFindings }
   };
 };
@@ -0,0 +1,174 @@
+// /server/canonical.js — rel=canonical resolution and classification across the crawl
+// Contract:
+//   extractCanonicals($, baseUrl) => Array<{ raw, href, relative, source: 'html' }>
+//   headerCanonicals(linkHeader, baseUrl) => Array<{ raw, href, relative, source: 'header' }>
+//   canonicalReport(rows, { sitemapUrls?, checker?, limit? }) => Promise<{
+//     pages: Array<{ url, canonical, type, errors, warnings, quality }>,   // row order
+//     counts: { [type]: number },
+//     targets: Array<{ href, status, finalUrl, error }>                   // canonical targets that are not a clean 200
+//   }>
+//     rows: [{ url, finalUrl?, canonicals: [...], noindex?: boolean }]
+//     type: 'self' | 'internal' | 'cross-domain' | 'missing' | 'conflicting' | 'invalid'
+//
+// Notes:
+//  - A canonical must be absolute (relative ones resolve, but are a warning), unique (several different
+//    targets → Google ignores all of them) and point at a 200, indexable page that does not redirect.
+//  - Crawled targets are judged from the crawl (noindex, their own canonical); others go through the shared
+//    linkChecker, sampled by CANONICAL_TARGET_SAMPLE.
+//  - Conflicts: noindex + canonical to another URL (mixed signals) and sitemap URLs canonicalized elsewhere.
+//  - invalid: the href does not resolve to a URL; it is reported as an error and never probed.
+//  - quality: missing = 0; otherwise 1 − 0.35 per error − 0.1 per warning (floored at 0). Pointing at another
+//    page is a legitimate choice and not penalized by itself.
+
+'use strict';
+
+const { URL } = require('url');
+
+const CANONICAL_TARGET_SAMPLE = Math.max(0, Math.min(500, Number(process.env.CANONICAL_TARGET_SAMPLE) || 100));
+const WEIGHT_ERROR = 0.35;
+const WEIGHT_WARNING = 0.1;
+
+// Same document: scheme + host + path (trailing slash ignored) + query
+const docKey = (u) => {
+  try {
+    const x = new URL(u);
+    return `${x.protocol}//${x.host.toLowerCase()}${x.pathname.replace(/\/+$/, '')}${x.search}`;
+  } catch {
+    return String(u || '');
+  }
+};
+
+const hostOf = (u) => { try { return new URL(u).hostname.toLowerCase().replace(/^www\./, ''); } catch { return ''; } };
+
+const resolve = (raw, base, source) => {
+  const value = String(raw || '').trim();
+  let href = null;
+  try { href = value ? new URL(value, base).href : null; } catch {}
+  return { raw: value, href, relative: !!value && !/^https?:\/\//i.test(value), source };
+};
+
+function extractCanonicals($, baseUrl) {
+  const out = [];
+  $('link[rel]').each((_, el) => {
+    const rel = String($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+    if (rel.includes('canonical')) out.push(resolve($(el).attr('href'), baseUrl, 'html'));
+  });
+  return out;
+}
+
+function headerCanonicals(linkHeader, baseUrl) {
+  const out = [];
+  for (const m of String(linkHeader || '').matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const rel = m[2].match(/;\s*rel\s*=\s*"?([^";,]*)"?/i);
+    if (rel && rel[1].toLowerCase().split(/\s+/).includes('canonical')) out.push(resolve(m[1], baseUrl, 'header'));
+  }
+  return out;
+}
+
+/**
+ * @param {Array<object>} rows  see Contract
+ * @param {{ sitemapUrls?: string[], checker?: { check: (url: string) => Promise<object> }, limit?: number }} opts
+ */
+async function canonicalReport(rows = [], opts = {}) {
+  const limit = Number.isFinite(opts.limit) ? Math.max(0, opts.limit) : CANONICAL_TARGET_SAMPLE;
+  const inSitemap = new Set((opts.sitemapUrls || []).map(docKey));
+  const byKey = new Map();
+  for (const r of rows) {
+    byKey.set(docKey(r.url), r);
+    if (r.finalUrl) byKey.set(docKey(r.finalUrl), r);
+  }
+
+  const pages = rows.map((r) => {
+    const self = docKey(r.finalUrl || r.url);
+    const all = (r.canonicals || []).filter((c) => c.raw);
+    const distinct = [...new Set(all.map((c) => docKey(c.href)))];
+    const canonical = all.length ? all[0].href : null;
+    let type;
+    if (!all.length) type = 'missing';
+    else if (distinct.length > 1) type = 'conflicting';
+    else if (!canonical) type = 'invalid';
+    else if (distinct[0] === self || docKey(canonical) === docKey(r.url)) type = 'self';
+    else if (hostOf(canonical) === hostOf(r.finalUrl || r.url)) type = 'internal';
+    else type = 'cross-domain';
+    return { row: r, canonical, type, all, errors: [], warnings: [] };
+  });
+
+  // Targets outside the crawl: probe once each through the shared checker
+  const external = [...new Set(pages
+    .filter((p) => p.type === 'internal' || p.type === 'cross-domain')
+    .map((p) => p.canonical)
+    .filter((href) => !byKey.has(docKey(href))))];
+  const results = new Map();
+  if (opts.checker) {
+    await Promise.all(external.slice(0, limit).map(async (href) => results.set(href, await opts.checker.check(href))));
+  }
+  const targets = [];
+  for (const [href, r] of results) {
+    if (r.status == null || (r.ok && !r.redirects.length && r.status === 200)) continue;
+    targets.push({ href, status: r.status, finalUrl: r.finalUrl, error: r.error || (r.redirects.length ? 'redirects' : null) });
+  }
+  const badTarget = new Map(targets.map((t) => [t.href, t]));
+
+  for (const p of pages) {
+    const { row, canonical, type, all, errors, warnings } = p;
+    if (type === 'missing') {
+      warnings.push('no canonical');
+      continue;
+    }
+
+    if (type === 'conflicting') {
+      errors.push(`${all.length} canonicals point at different URLs (${[...new Set(all.map((c) => c.href || c.raw))].join(', ')})`);
+    } else if (all.length > 1) {
+      warnings.push(`canonical declared ${all.length} times (${[...new Set(all.map((c) => c.source))].join(' + ')})`);
+    }
+    for (const c of all) {
+      if (!c.href) errors.push(`canonical "${c.raw}" is not a valid URL`);
+      else if (c.relative) warnings.push(`relative canonical "${c.raw}"`);
+    }
+    if (type === 'cross-domain') warnings.push(`canonical points to another domain (${hostOf(canonical)})`);
+
+    if (type === 'internal' || type === 'cross-domain') {
+      const target = byKey.get(docKey(canonical));
+      if (target) {
+        if (target.noindex) errors.push(`canonical target ${canonical} is noindex`);
+        if (target.finalUrl && docKey(target.finalUrl) !== docKey(canonical)) {
+          errors.push(`canonical target ${canonical} redirects to ${target.finalUrl}`);
+        }
+        const next = (target.canonicals || []).find((c) => c.href);
+        if (next && docKey(next.href) !== docKey(canonical)) {
+          warnings.push(`canonical target ${canonical} is itself canonicalized to ${next.href}`);
+        }
+      } else if (badTarget.has(canonical)) {
+        const t = badTarget.get(canonical);
+        errors.push(t.error === 'redirects'
+          ? `canonical target ${canonical} redirects to ${t.finalUrl}`
+          : `canonical target ${canonical} returns ${t.status || t.error}`);
+      }
+
+      if (row.noindex) errors.push('noindex page canonicalized to another URL (conflicting signals)');
+      if (inSitemap.has(docKey(row.url)) || (row.finalUrl && inSitemap.has(docKey(row.finalUrl)))) {
+        errors.push(`listed in the sitemap but canonicalized to ${canonical}`);
+      }
+    }
+  }
+
+  const counts = {};
+  for (const p of pages) counts[p.type] = (counts[p.type] || 0) + 1;
+
+  return {
+    pages: pages.map(({ row, canonical, type, errors, warnings }) => ({
+      url: row.url,
+      canonical,
+      type,
+      errors,
+      warnings,
+      quality: type === 'missing'
+        ? 0
+        : Math.max(0, Math.round((1 - WEIGHT_ERROR * errors.length - WEIGHT_WARNING * warnings.length) * 100) / 100),
+    })),
+    counts,
+    targets,
+  };
+}
+
+module.exports = { extractCanonicals, headerCanonicals, canonicalReport };
@@ -16,13 +16,13 @@ function pct(n) {
 }
 
 function sectionLabel(k) {
-  const map = { seo: 'SEO', performance: 'Performance', accessibility: 'Accessibility', content: 'Content', ux: 'User Experience' };
+  const map = { seo: 'SEO', performance: 'Performance', accessibility: 'Accessibility', security: 'Security', content: 'Content', ux: 'User Experience' };
   return map[k] || (k || '').toUpperCase();
 }
 
 function summarizeScores(scores = {}) {
   // Stable order for readability
-  const order = ['seo', 'performance', 'accessibility', 'content', 'ux'];
+  const order = ['seo', 'performance', 'accessibility', 'security', 'content', 'ux'];
   const keys = Object.keys(scores);
   const rest = keys.filter(k => !order.includes(k)).sort();
   const ordered = order.filter(k => keys.includes(k)).concat(rest);
@@ -66,9 +66,12 @@ function summarizeSignals(sig = {}) {
   const flags = [];
   const yes = (k) => sig[k] === 1 || sig[k] === true;
   const maybe = (k) => typeof sig[k] === 'number' ? pct(sig[k]) + '%' : 'n/a';
+  const site = sig._site && sig._site.signals ? sig._site : null;
+  const failing = (k) => site && site.signals[k] ? `${pct(site.signals[k].failing)}% of ${site.pages} pages` : 'n/a';
 
   if (yes('httpsUsage')) flags.push('HTTPS enabled');
-  if (yes('canonicalPresent')) flags.push('Canonical tag present');
+  if (yes('canonicalQuality')) flags.push('Canonical tag valid');
+  else if (yes('canonicalPresent')) flags.push('Canonical tag present');
   if (yes('robotsTxtPresent')) flags.push('robots.txt present');
   if (yes('sitemapPresent')) flags.push('sitemap.xml present');
   if (yes('langAttrPresent')) flags.push('HTML lang is set');
@@ -77,13 +80,76 @@ function summarizeSignals(sig = {}) {
   const kv = [
     `Alt text coverage: ${maybe('altTextCoverage')}`,
     `Broken links ratio: ${maybe('brokenLinksRatio')}`,
+    `Sitemap quality: ${maybe('sitemapQuality')}`,
+    `Non-200 pages in crawl: ${maybe('nonOkPagesRatio')}`,
+    `Pages behind multi-hop redirects: ${maybe('redirectChainRatio')}`,
+    `JS rendering dependency (SEO content missing from raw HTML): ${maybe('renderingDependency')}`,
     `Internal links (normalized): ${maybe('internalLinks')}`,
+    `Site architecture (click depth + orphans): ${maybe('siteArchitecture')}`,
     `External link diversity: ${maybe('externalLinks')}`,
     `Keyword density score: ${maybe('densityScore')}`,
     `Semantic relevance score: ${maybe('semanticScore')}`,
+    `Readability (Flesch-style for the page language + sentence length): ${maybe('readability')}`,
+    `Structured data validity (schema.org required/recommended properties): ${maybe('structuredDataValidity')}`,
+    `Social share metadata (Open Graph / Twitter Cards): ${maybe('socialMetaQuality')}`,
+    `Image optimization (oversized/heavy files, WebP/AVIF, width+height, lazy loading, srcset): ${maybe('imageOptimization')}`,
+    `hreflang annotations (codes, return links, x-default, targets): ${maybe('hreflangQuality')}`,
+    `Duplicate content (near-duplicate pages + repeated titles/descriptions): ${maybe('duplicateContentRatio')}`,
+    `Keyword cannibalization (pages that should yield their primary term to another page): ${maybe('keywordCannibalization')}`,
     `Header flow: ${maybe('headerFlow')}`,
+    `CTA clarity (desktop + mobile: first screen, size, contrast, competing CTAs, overlays): ${maybe('ctaClarity')}`,
+    `Heading outline (skipped levels, empty/hidden headings, headings used for styling, duplicate H1s): ${maybe('headingQuality')}`,
+    `Pages missing a title or meta description: ${failing('metaTagsPresent')}`,
+    `Pages with truncated, too-short or placeholder titles: ${failing('titleQuality')}`,
+    `Pages with truncated, too-short or placeholder meta descriptions: ${failing('metaDescriptionQuality')}`,
+    `Pages without exactly one H1: ${failing('h1Single')}`,
+    `Pages without a viewport meta tag: ${failing('mobileConsistency')}`,
+    `Pages with canonical problems (missing, conflicting, non-200 / noindex target): ${failing('canonicalQuality')}`,
+    `Pages whose html lang does not match the content language: ${failing('langAttrMatch')}`,
   ];
 
+  const a11y = sig._findings && sig._findings.accessibility;
+  if (a11y && a11y.scanned) {
+    const top = a11y.rules.slice(0, 5).map((r) =>
+      `${r.id} (${r.impact}${r.criteria.length ? `, WCAG ${r.criteria.join('/')} ${r.level || ''}`.trimEnd() : ''}) on ${r.pages}/${a11y.scanned} pages`);
+    kv.push(`axe-core WCAG A/AA violations, most widespread first: ${top.length ? top.join('; ') : 'none'}`);
+  }
+
+  const topics = sig._findings && sig._findings.topics;
+  if (topics && topics.conflicts.length) {
+    kv.push(`Keyword cannibalization (term: competing pages → suggested primary): ${topics.conflicts.slice(0, 5)
+      .map((c) => `"${c.term}" [${c.severity}]: ${c.pages.map((p) => p.url).join(', ')} → ${c.suggested}`)
+      .join('; ')}`);
+  }
+  if (topics && topics.clusters.length) {
+    kv.push(`Topic clusters (label: pages): ${topics.clusters.slice(0, 6).map((c) => `${c.label.join(' / ')}: ${c.urls.length}`).join('; ')}`);
+  }
+
+  const security = sig._findings && sig._findings.security;
+  if (security) {
+    const weak = Object.entries(security.checks)
+      .filter(([, c]) => c.warn + c.fail)
+      .map(([id, c]) => `${id} ${c.warn + c.fail}/${c.pass + c.warn + c.fail} pages`);
+    const t = security.transport;
+    kv.push(`Security headers (pages with warnings or failures per check): ${weak.length ? weak.join(', ') : 'none'}` +
+      `; mixed content on ${security.pages.filter((p) => p.mixedContent.length).length} pages` +
+      (security.hstsPreload ? `; HSTS preload ${security.hstsPreload.eligible ? 'eligible' : `not eligible (${security.hstsPreload.missing.join(', ')})`}` : '') +
+      (t && t.httpRedirect ? `; http:// ${t.httpRedirect.upgrades ? `redirects to https (${t.httpRedirect.hops.map((h) => h.status).join(' → ')})` : t.httpRedirect.error ? `unreachable (${t.httpRedirect.error})` : 'does not redirect to https'}` : '') +
+      (t && t.tls ? `; TLS certificate ${t.tls.error ? `unreadable (${t.tls.error})` : `by ${t.tls.issuer || 'unknown issuer'}, ${t.tls.daysLeft} days left${t.tls.authorized ? '' : `, untrusted (${t.tls.authorizationError})`}`}` : ''));
+  }
+
+  const ctaPages = sig._findings && sig._findings.ctas ? sig._findings.ctas.pages : [];
+  if (ctaPages.length) {
+    kv.push(`CTA problems (${ctaPages.length} pages; first page): ${ctaPages[0].url} — ${ctaPages[0].issues.slice(0, 4).join('; ')}`);
+  }
+
+  const targets = sig._findings && sig._findings.keywords ? sig._findings.keywords.targets : [];
+  if (targets.length) {
+    kv.push(`Target keywords (keyword → best-fitting page, relevance): ${targets.slice(0, 10)
+      .map((t) => `"${t.keyword}" → ${t.bestPage || 'no page'} (${pct(t.bestRelevance)}%)${t.url ? `, mapped to ${t.url}${t.mappedRelevance != null ? ` (${pct(t.mappedRelevance)}%)` : ' (not crawled)'}` : ''}`)
+      .join('; ')}`);
+  }
+
   const bullets = [
     flags.length ? `**Site Hygiene:** ${flags.join(', ')}` : null,
     ...kv
@@ -92,6 +158,21 @@ function summarizeSignals(sig = {}) {
   return bullets.join('\n- ');
 }
 
+function summarizeCrawl(crawl = {}) {
+  const robots = crawl.robots || {};
+  const blocked = Array.isArray(robots.blocked) ? robots.blocked : [];
+  const unknown = robots.unavailable
+    ? `${robots.unavailable} (after a retry): its rules are unknown, so the crawl ignored them. Crawlers that cannot read robots.txt may stop crawling the site.`
+    : '';
+  if (!blocked.length) return unknown;
+  const lines = blocked.slice(0, 5).map((b) => {
+    const r = b.rule || {};
+    return `- ${b.url} — ${r.type === 'allow' ? 'Allow' : 'Disallow'}: ${r.pattern} (line ${r.line})`;
+  });
+  const more = blocked.length > 5 ? `\n- …and ${blocked.length - 5} more` : '';
+  return `robots.txt blocked ${blocked.length} crawled URL(s) for agent "${robots.agent || '*'}":\n${lines.join('\n')}${more}`;
+}
+
 function splitSections(markdown) {
   // Expect exact H2 headings as instructed; fall back gracefully.
   const md = String(markdown || '');
@@ -110,18 +191,19 @@ function splitSections(markdown) {
 // ---------- main ----------
 async function generateRecommendations(arg1, arg2, arg3) {
   // Support both shapes:
-  // 1) generateRecommendations({ url, siteType, scores, structuredSignals, lighthouse })
+  // 1) generateRecommendations({ url, siteType, scores, structuredSignals, lighthouse, crawl })
   // 2) generateRecommendations(url, siteType, scores)
-  let url, siteType, scores, structuredSignals, lighthouse;
+  let url, siteType, scores, structuredSignals, lighthouse, crawl;
 
   if (typeof arg1 === 'object' && arg1 !== null && !Array.isArray(arg1)) {
-    ({ url, siteType = 'base', scores = {}, structuredSignals = {}, lighthouse = {} } = arg1);
+    ({ url, siteType = 'base', scores = {}, structuredSignals = {}, lighthouse = {}, crawl = {} } = arg1);
   } else {
     url = arg1;
     siteType = arg2 || 'base';
     scores = arg3 || {};
     structuredSignals = {};
     lighthouse = {};
+    crawl = {};
   }
 
   if (!cohere) {
@@ -131,6 +213,7 @@ async function generateRecommendations(arg1, arg2, arg3) {
   const scoresMd = summarizeScores(scores);
   const lhMd = summarizeLighthouse(lighthouse);
   const sigMd = summarizeSignals(structuredSignals);
+  const crawlMd = summarizeCrawl(crawl);
 
   const system = `You are Mindly, an AI site audit assistant for MTBB. 
 - Be concise, tactical, and professional.
@@ -148,7 +231,7 @@ ${lhMd}
 
 ### Site Signals
 - ${sigMd || '_No structured signals_'}
-`;
+${crawlMd ? `\n### Crawl Findings\n${crawlMd}\n` : ''}`;
 
   const instruction = `Using the context above, produce **two sections** in GitHub-flavored Markdown:
 
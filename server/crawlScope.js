@@ -0,0 +1,186 @@
+// /server/crawlScope.js — user-supplied crawl scope (include/exclude patterns, max depth, query-param identity)
+// Contract:
+//   normalizeScope(input?) => { include: string[], exclude: string[], maxDepth: number|null, queryParams: string[] }
+//     throws Error('crawl scope: ...') on malformed input (callers map it to a 400)
+//   createScopeMatcher(scope) => { check(url, depth) => { allowed: boolean, reason: 'excluded'|'not_included'|'too_deep'|null } }
+//
+// Notes:
+//  - Patterns are matched against path + query of the crawl-canonical URL (only allowlisted params remain).
+//  - "re:<source>" is a case-insensitive regular expression (unanchored, so no leading / trailing ".*" is
+//    needed), at most 100 characters and rejected when it could backtrack catastrophically on a long URL:
+//    more than one unbounded quantifier ("*", "+", "{n,}"), a repeated group that itself repeats or
+//    alternates ("(a|ab){2,9}"), backreferences. Anything else is a glob
+//    anchored at both ends: "*" = any run of characters except "/", "**" = anything,
+//    "?" = one character except "/". A trailing "/" or "/**" means the directory and everything
+//    below it ("/blog/" matches "/blog" and "/blog/a/b"). Globs allow one "**" (besides a trailing
+//    "/**") and one "*" per path segment, for the same reason.
+//  - Exclude wins over include; an empty include list means "everything".
+//  - maxDepth counts link hops from the start URL (0 = start page only).
+//  - queryParams are exact, case-sensitive names kept in URL identity (sorted); all others are dropped.
+
+'use strict';
+
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_REGEX_LENGTH = 100;
+const MAX_DEPTH = 50;
+const PARAM_NAME = /^[\w.\-[\]]{1,100}$/;
+
+function toList(value, field) {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length > MAX_PATTERNS) throw new Error(`crawl scope: ${field} allows at most ${MAX_PATTERNS} entries`);
+  return list.map((v) => {
+    if (typeof v !== 'string' || !v.trim()) throw new Error(`crawl scope: ${field} entries must be non-empty strings`);
+    if (v.length > MAX_PATTERN_LENGTH) throw new Error(`crawl scope: ${field} entry is too long`);
+    return v.trim();
+  });
+}
+
+function globToRegExp(glob) {
+  let src = '';
+  let rest = glob;
+  let dirSuffix = false;
+  if (rest.endsWith('/**')) { rest = rest.slice(0, -3); dirSuffix = true; }
+  else if (rest.length > 1 && rest.endsWith('/')) { rest = rest.slice(0, -1); dirSuffix = true; }
+  for (let i = 0; i < rest.length; i++) {
+    const ch = rest[i];
+    if (ch === '*') {
+      if (rest[i + 1] === '*') { src += '.*'; i++; } else src += '[^/]*';
+    } else if (ch === '?') {
+      src += '[^/]';
+    } else {
+      src += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${src}${dirSuffix ? '(?:/.*)?' : ''}$`);
+}
+
+// Why a glob would backtrack badly (several wildcard runs competing for the same characters), or null
+function globHazard(glob) {
+  const body = glob.endsWith('/**') ? glob.slice(0, -3) : glob;
+  if ((body.match(/\*\*/g) || []).length > 1) return 'more than one "**"';
+  if (body.split('/').some((seg) => (seg.replace(/\*\*/g, '').match(/\*/g) || []).length > 1)) {
+    return 'more than one "*" in a path segment';
+  }
+  return null;
+}
+
+// Why a regex source is unsafe to run on every discovered URL, or null. A conservative scan, not a full
+// parser: a second unbounded quantifier anywhere (".*.*x" is polynomial), and a repeated group that
+// contains a quantifier or "|" (exponential), are rejected outright.
+function regexHazard(src) {
+  if (src.length > MAX_REGEX_LENGTH) return `longer than ${MAX_REGEX_LENGTH} characters`;
+  const stack = [{ repeats: false, alternates: false }];
+  let open = 0; // unbounded quantifiers seen so far
+  // unbounded: more than one repetition (nesting check); open: no upper bound at all
+  const quantifierAt = (i) => {
+    const ch = src[i];
+    if (ch === '*' || ch === '+' || ch === '?') return { length: 1, unbounded: ch !== '?', open: ch !== '?' };
+    const m = ch === '{' && /^\{(\d+)(,(\d*))?\}/.exec(src.slice(i));
+    if (!m) return null;
+    return { length: m[0].length, unbounded: m[2] != null && (m[3] === '' || Number(m[3]) > 1), open: m[3] === '' };
+  };
+  const tooMany = (q) => q && q.open && ++open > 1;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\\') {
+      if (/[1-9k]/.test(src[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+    } else if (ch === '[') {
+      for (i++; i < src.length && src[i] !== ']'; i++) if (src[i] === '\\') i++;
+    } else if (ch === '(') {
+      stack.push({ repeats: false, alternates: false });
+      if (src[i + 1] === '?') i += src[i + 2] === '<' && !/[=!]/.test(src[i + 3] || '') ? src.indexOf('>', i) - i : 2;
+    } else if (ch === ')') {
+      const group = stack.length > 1 ? stack.pop() : { repeats: false, alternates: false };
+      const q = quantifierAt(i + 1);
+      if (q && q.unbounded && (group.repeats || group.alternates)) return 'nested or alternating repetition';
+      if (tooMany(q)) return 'more than one unbounded quantifier';
+      if (q) i += q.length;
+      stack[stack.length - 1].repeats ||= group.repeats || Boolean(q);
+    } else if (ch === '|') {
+      stack[stack.length - 1].alternates = true;
+    } else {
+      const q = quantifierAt(i);
+      if (tooMany(q)) return 'more than one unbounded quantifier';
+      if (q) { stack[stack.length - 1].repeats = true; i += q.length - 1; }
+    }
+  }
+  return null;
+}
+
+function compilePattern(pattern, field) {
+  if (/^re:/i.test(pattern)) {
+    const src = pattern.slice(3);
+    let re;
+    try {
+      re = new RegExp(src, 'i');
+    } catch (e) {
+      throw new Error(`crawl scope: invalid ${field} regex ${pattern} (${e.message})`);
+    }
+    const hazard = regexHazard(src);
+    if (hazard) throw new Error(`crawl scope: unsafe ${field} regex ${pattern.slice(0, 60)} (${hazard})`);
+    return re;
+  }
+  const hazard = globHazard(pattern);
+  if (hazard) throw new Error(`crawl scope: unsafe ${field} pattern ${pattern.slice(0, 60)} (${hazard})`);
+  return globToRegExp(pattern);
+}
+
+/**
+ * Validate and normalize a scope from an API body. The result is plain data (safe to echo in reports).
+ * @param {{ include?: string|string[], exclude?: string|string[], maxDepth?: number|string, queryParams?: string|string[] }=} input
+ */
+function normalizeScope(input = {}) {
+  if (input == null) input = {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('crawl scope: expected an object');
+
+  const include = toList(input.include, 'include');
+  const exclude = toList(input.exclude, 'exclude');
+  include.forEach((p) => compilePattern(p, 'include'));
+  exclude.forEach((p) => compilePattern(p, 'exclude'));
+
+  let maxDepth = null;
+  if (input.maxDepth != null && input.maxDepth !== '') {
+    const n = Number(input.maxDepth);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_DEPTH) {
+      throw new Error(`crawl scope: maxDepth must be an integer between 0 and ${MAX_DEPTH}`);
+    }
+    maxDepth = n;
+  }
+
+  const queryParams = [...new Set(toList(input.queryParams, 'queryParams'))].sort();
+  for (const name of queryParams) {
+    if (!PARAM_NAME.test(name)) throw new Error(`crawl scope: invalid query parameter name "${name}"`);
+  }
+
+  return { include, exclude, maxDepth, queryParams };
+}
+
+function createScopeMatcher(scope) {
+  const s = scope || normalizeScope();
+  const include = s.include.map((p) => compilePattern(p, 'include'));
+  const exclude = s.exclude.map((p) => compilePattern(p, 'exclude'));
+
+  const target = (urlStr) => {
+    try {
+      const u = new URL(urlStr);
+      return u.pathname + u.search;
+    } catch {
+      return '';
+    }
+  };
+
+  return {
+    check(urlStr, depth = 0) {
+      const t = target(urlStr);
+      if (exclude.some((re) => re.test(t))) return { allowed: false, reason: 'excluded' };
+      if (include.length && !include.some((re) => re.test(t))) return { allowed: false, reason: 'not_included' };
+      if (s.maxDepth != null && depth > s.maxDepth) return { allowed: false, reason: 'too_deep' };
+      return { allowed: true, reason: null };
+    },
+  };
+}
+
+module.exports = { normalizeScope, createScopeMatcher };
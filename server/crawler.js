@@ -1,15 +1,51 @@
-// /server/crawler.js — robust, single-tab, same-site crawler (BFS, 25 pages, sitemap seeding, basic robots)
+// /server/crawler.js — robust same-site crawler (BFS, 25 pages, sitemap seeding, robots.txt, optional tab pool)
 // Contract:
-//   crawlSite(startUrl, maxPages = 25, browser?) =>
-//     Promise<Array<{ url: string, html: string, links: { internal: number, external: number, total: number } }>>
+//   crawlSite(startUrl, maxPages = 25, browser?, { scope?, auth? }?) =>
+//     Promise<Array<{ url, depth, finalUrl, status, redirectChain, headers, contentType, ttfb, html, rawStatus, rawHtml, rawTruncated,
+//                     links: { internal: number, external: number, total: number },
+//                     outlinks: Array<{ href, target, anchor, nofollow, internal }>,
+//                     images: Array<RenderedImage>, headings: Array<RenderedHeading>,
+//                     ctas: { desktop: CtaLayout, mobile: CtaLayout } | null, axe: AxeResult | null }>>
+//     (status/redirectChain/headers/contentType/ttfb come from the main document response; see describeResponse;
+//      outlinks.target is the crawl-canonical URL for internal pages, null for external/asset links;
+//      rawHtml is the same URL fetched without rendering, null when RAW_HTML_COMPARE=false; rawTruncated = only
+//      its first 512KB)
+//   RenderedImage = { src, alt, widthAttr, heightAttr, loading, srcset, sizes, sourceTypes, renderedWidth,
+//                     renderedHeight, naturalWidth, naturalHeight, aboveFold, lcp }   // see collectImages
+//   RenderedHeading = { level, text, hidden, landmark, fontSize, bodyFontSize }         // see collectHeadings
+//   CtaLayout = { viewport: { width, height }, candidates: Array<{ text, tag, className, x, y, width, height,
+//                 aboveFold, contrast, obscuredBy }> }                                   // see collectCtas
+//   AxeResult = { violations: Array<{ id, impact, tags, help, helpUrl, nodeCount,
+//                 nodes: Array<{ target, html, failureSummary }> }>, passes, incomplete }  // see runAxe
+//   crawlSite.crawlWithReport(startUrl, maxPages = 25, browser?, { concurrency?, hostDelayMs?, scope?, auth? }?) =>
+//     Promise<{ pages: Array<...same as above>, report: { robots, sitemap, scope, concurrency, hostDelayMs, truncated } }>
 //
 // Notes:
-//  - Reuses ONE page for speed and to look more “human”.
+//  - Reuses ONE tab by default for speed and to look more “human”; CRAWL_CONCURRENCY (or opts.concurrency)
+//    runs a pool of up to 8 tabs. Results are deterministic either way (in-order commit, see crawlWithReport).
+//  - Per-host politeness: at most one navigation per HOST_DELAY_MS per host, across all tabs.
 //  - Accepts an existing Puppeteer browser from runAudit (preferred).
 //  - Survives redirects (http -> https, apex <-> www) and widens allowed host set accordingly.
-//  - Blocks heavy trackers/media/fonts to keep crawl fast and reduce bot flags.
-//  - Seeds from /sitemap.xml when present (top N URLs), still capped by maxPages.
-//  - Basic robots.txt Disallow parsing for User-agent: * (respect on by default; disable with RESPECT_ROBOTS=false)
+//  - Blocks heavy trackers/media/fonts to keep crawl fast and reduce bot flags. Images do load: the image
+//    audit needs their natural size, and the largest-contentful-paint element is recorded per page.
+//  - Seeds from sitemaps via ./sitemap (index recursion, .xml.gz; top N URLs), still capped by maxPages.
+//    The full sitemap inventory is returned in report.sitemap for coverage checks.
+//  - Full robots.txt matching via ./robots (Allow/Disallow precedence, per-agent groups, `$` anchors).
+//    Respected by default (disable with RESPECT_ROBOTS=false); Crawl-delay is honored up to MAX_CRAWL_DELAY_MS.
+//    Every URL a rule matched is listed in report.robots.blocked, whether or not it was enforced.
+//    A robots.txt that stays unreachable or 5xx after one retry is reported (report.robots.unavailable) and
+//    the crawl goes ahead without rules.
+//  - Each page is also fetched once without JavaScript (right after its render, in a politeness slot of its
+//    own) so renderDiff can compare server HTML with the rendered DOM.
+//  - Optional scope (./crawlScope): include/exclude patterns and maxDepth gate which discovered URLs are
+//    queued; queryParams lists the parameters kept in URL identity (all others are stripped).
+//    report.scope echoes the normalized scope plus how many URLs each rule turned away.
+//  - Clickable elements are measured twice, at the desktop viewport and at MOBILE_VIEWPORT (CSS breakpoints
+//    only: the user agent stays desktop, so sites that switch markup by user agent are judged on desktop HTML).
+//  - axe-core runs on every rendered page (WCAG 2.0 / 2.1 / 2.2 A + AA rules; AXE_SCAN=false skips it). The
+//    script is injected through the DevTools protocol, so a page's Content-Security-Policy cannot block it.
+//  - Optional auth (./requestAuth) is applied to tabs, robots.txt, sitemaps and raw fetches; it never
+//    appears in the report.
 
 'use strict';
 
@@ -17,46 +53,93 @@ const { URL } = require('url');
 const http = require('http');
 const https = require('https');
 const puppeteer = require('puppeteer');
+const axeCore = require('axe-core');
+
+const { createRobotsMatcher } = require('./robots');
+const { AUDIT_UA } = require('./userAgent');
+const { fetchSitemaps } = require('./sitemap');
+const { normalizeScope, createScopeMatcher } = require('./crawlScope');
 
 const NAV_TIMEOUT_MS   = 35_000;
 const BODY_WAIT_MS     = 5_000;
 const IDLE_TIMEOUT_MS  = 3_000;
 const VIEWPORT         = { width: 1366, height: 768 };
+const MOBILE_VIEWPORT  = { width: 390, height: 844 };
 
 // --------- env toggles ---------
 const RESPECT_ROBOTS = String(process.env.RESPECT_ROBOTS || 'true').toLowerCase() !== 'false';
+const ROBOTS_RETRY_MS = 2_000;
 const SITEMAP_SEED_LIMIT = Math.max(5, Math.min(20, Number(process.env.SITEMAP_SEED_LIMIT) || 10));
+const MAX_CRAWL_DELAY_MS = Math.max(0, Math.min(30_000, Number(process.env.MAX_CRAWL_DELAY_MS) || 10_000));
+const MAX_CONCURRENCY = 8;
+const CRAWL_CONCURRENCY = Math.max(1, Math.min(MAX_CONCURRENCY, Number(process.env.CRAWL_CONCURRENCY) || 1));
+const HOST_DELAY_MS = process.env.HOST_DELAY_MS != null && isFinite(Number(process.env.HOST_DELAY_MS))
+  ? Math.max(0, Math.min(10_000, Number(process.env.HOST_DELAY_MS)))
+  : 250; // min gap between navigations per host
+// Second, non-rendered fetch of every page so renderDiff can spot JS-only SEO elements
+const RAW_HTML_COMPARE = String(process.env.RAW_HTML_COMPARE || 'true').toLowerCase() !== 'false';
+// <img> elements recorded per page for the image audit (document order)
+const MAX_IMAGES_PER_PAGE = Math.max(10, Math.min(500, Number(process.env.MAX_IMAGES_PER_PAGE) || 120));
+const MAX_HEADINGS_PER_PAGE = 300;
+const MAX_CTA_CANDIDATES = 80;
+// axe-core accessibility scan per page (WCAG A/AA rules only; best-practice rules are not WCAG evidence)
+const AXE_SCAN = String(process.env.AXE_SCAN || 'true').toLowerCase() !== 'false';
+const AXE_TIMEOUT_MS = Math.max(2_000, Math.min(60_000, Number(process.env.AXE_TIMEOUT_MS) || 15_000));
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+const AXE_MAX_NODES = 5;
+const REFLOW_WAIT_MS = 300;
 
 // ---------- tiny helpers ----------
-function httpGet(url, timeout = 8000) {
+// GET with redirect following (robots.txt & sitemaps are often behind http->https or apex->www hops).
+// Resolves { status, body, truncated }; status 0 means network error/timeout.
+// Bodies are cut at ~512KB (the RFC 9309 minimum a robots.txt parser must read): the prefix is kept and
+// truncated is set, so callers that need the whole document (raw HTML comparison) can leave it out.
+// Sends AUDIT_UA unless headers override it; headersFor(url) adds per-hop headers (site credentials must not
+// follow a redirect off-site).
+const MAX_BODY = 512 * 1024;
+function httpFetch(url, { timeout = 8000, headers = {}, headersFor = null } = {}, redirectsLeft = 5) {
   return new Promise((resolve) => {
     try {
       const mod = url.startsWith('https') ? https : http;
-      const req = mod.get(url, { timeout }, (res) => {
+      const hopHeaders = { 'User-Agent': AUDIT_UA, ...headers, ...(headersFor ? headersFor(url) : {}) };
+      const req = mod.get(url, { timeout, headers: hopHeaders }, (res) => {
+        const status = res.statusCode || 0;
+        if (status >= 300 && status < 400 && res.headers.location && redirectsLeft > 0) {
+          res.resume();
+          let next;
+          try { next = new URL(res.headers.location, url).href; } catch { return resolve({ status, body: '', truncated: false }); }
+          return resolve(httpFetch(next, { timeout, headers, headersFor }, redirectsLeft - 1));
+        }
         let data = '';
         res.setEncoding('utf8');
         res.on('data', (chunk) => {
           data += chunk;
-          if (data.length > 512 * 1024) { // cap ~512KB
+          if (data.length > MAX_BODY) {
             req.destroy();
-            resolve('');
+            resolve({ status, body: data.slice(0, MAX_BODY), truncated: true });
           }
         });
-        res.on('end', () => resolve(data || ''));
+        res.on('end', () => resolve({ status, body: data || '', truncated: false }));
       });
-      req.on('timeout', () => { req.destroy(); resolve(''); });
-      req.on('error', () => resolve(''));
+      req.on('timeout', () => { req.destroy(); resolve({ status: 0, body: '', truncated: false }); });
+      req.on('error', () => resolve({ status: 0, body: '', truncated: false }));
     } catch {
-      resolve('');
+      resolve({ status: 0, body: '', truncated: false });
     }
   });
 }
 
-function canonicalize(raw) {
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// keepParams: query parameter names that are part of URL identity (scope.queryParams); the rest are dropped
+function canonicalize(raw, keepParams = null) {
   try {
     const u = new URL(raw);
     u.hash = '';   // drop fragments
-    u.search = ''; // drop query for identity
+    const kept = keepParams && keepParams.size
+      ? [...u.searchParams].filter(([k]) => keepParams.has(k)).sort((a, b) => (a[0] === b[0] ? 0 : a[0] < b[0] ? -1 : 1))
+      : [];
+    u.search = kept.length ? new URLSearchParams(kept).toString() : '';
     if (u.pathname !== '/') u.pathname = u.pathname.replace(/\/+$/, ''); // normalize trailing slash
     return u.toString();
   } catch {
@@ -74,93 +157,35 @@ function buildAllowedHosts(host) {
   return new Set([host.toLowerCase(), bare.toLowerCase(), (`www.${bare}`).toLowerCase()]);
 }
 
-function normalizeLink(href, baseUrl, allowedHosts) {
+function normalizeLink(href, baseUrl, allowedHosts, keepParams = null) {
   try {
     const u = new URL(href, baseUrl);
     if (!/^https?:$/.test(u.protocol)) return null;
     if (!allowedHosts.has(u.host.toLowerCase())) return null;
-    const c = canonicalize(u.toString());
-    if (!c || isAsset(c)) return null;
+    const c = canonicalize(u.toString(), keepParams);
+    if (!c || isAsset(new URL(c).pathname)) return null;
     return c;
   } catch {
     return null;
   }
 }
 
-// ---------- robots.txt (basic Disallow for UA: *) ----------
-function parseRobots(robotsTxt) {
-  // Very simple parser: collect Disallow under "User-agent: *" until the next "User-agent:"
-  const lines = (robotsTxt || '').split(/\r?\n/).map(l => l.trim());
-  const disallow = [];
-  let inStar = false;
-  for (const line of lines) {
-    if (!line || line.startsWith('#')) continue;
-    const lower = line.toLowerCase();
-    if (lower.startsWith('user-agent:')) {
-      const ua = line.split(':')[1]?.trim().toLowerCase() || '';
-      inStar = (ua === '*' || ua === '"*"');
-    } else if (inStar && lower.startsWith('disallow:')) {
-      const path = line.split(':')[1]?.trim() || '';
-      if (path) disallow.push(path);
-    }
-  }
-  return disallow;
-}
-
-function pathDisallowed(pathname, disallows) {
-  // Convert basic robots wildcards to regex
-  for (const rule of disallows) {
-    let r = rule.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'); // escape + wildcard
-    if (!r.startsWith('/')) r = '/' + r;
-    const re = new RegExp('^' + r);
-    if (re.test(pathname)) return true;
-  }
-  return false;
-}
-
-// ---------- sitemap.xml seeding ----------
-async function fetchSitemapUrls(origin, limit = SITEMAP_SEED_LIMIT) {
-  // Try robots.txt to find Sitemap: lines first; else fallback to /sitemap.xml
-  let locations = [];
-  if (RESPECT_ROBOTS) {
-    const robots = await httpGet(new URL('/robots.txt', origin).href);
-    const lines = robots.split(/\r?\n/);
-    for (const ln of lines) {
-      const m = ln.match(/^\s*sitemap:\s*(.+)$/i);
-      if (m && m[1]) locations.push(m[1].trim());
-    }
-  }
-  if (locations.length === 0) {
-    locations = [new URL('/sitemap.xml', origin).href];
-  }
-
-  const urls = new Set();
-  for (const loc of locations) {
-    const xml = await httpGet(loc);
-    if (!xml) continue;
-
-    // super-lightweight: extract <loc> ... </loc>
-    const re = /<loc>([^<]+)<\/loc>/gi;
-    let m;
-    while ((m = re.exec(xml)) && urls.size < limit) {
-      const href = m[1].trim();
-      try {
-        const u = new URL(href, origin);
-        urls.add(u.toString());
-      } catch {}
-    }
-    if (urls.size >= limit) break;
+// ---------- robots.txt ----------
+// One retry on a 5xx / network error; still unavailable => crawl without rules (report.robots.unavailable)
+async function fetchRobots(origin, auth = null) {
+  const url = new URL('/robots.txt', origin).href;
+  let res = await httpFetch(url, { headersFor: auth && auth.headersFor });
+  if (res.status === 0 || res.status >= 500) {
+    await sleep(ROBOTS_RETRY_MS);
+    res = await httpFetch(url, { headersFor: auth && auth.headersFor });
   }
-  return [...urls];
+  return createRobotsMatcher(res.body, undefined, { status: res.status });
 }
 
 // ---------- “stealthy” page setup ----------
-async function hardenPage(page) {
-  const ua =
-    process.env.AUDIT_UA ||
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
-
-  await page.setUserAgent(ua);
+// auth (./requestAuth) adds site credentials: cookies via the jar, headers on same-site requests only
+async function hardenPage(page, auth = null) {
+  await page.setUserAgent(AUDIT_UA);
   await page.setExtraHTTPHeaders({
     'Accept-Language': 'en-US,en;q=0.9',
     'Upgrade-Insecure-Requests': '1',
@@ -179,31 +204,84 @@ async function hardenPage(page) {
             : orig(p);
       }
     } catch {}
+    // Largest contentful paint element (image URL) for collectImages
+    try {
+      new PerformanceObserver((list) => {
+        const last = list.getEntries().pop();
+        if (last) window.__auditLcpUrl = last.url || null;
+      }).observe({ type: 'largest-contentful-paint', buffered: true });
+    } catch {}
   });
 
+  if (auth) await auth.applyToPage(page, { intercept: false });
   await page.setRequestInterception(true);
   const blockRe = /(doubleclick\.net|googletagmanager\.com|google-analytics\.com|hotjar\.com|facebook\.net|optimizely\.com|segment\.io|newrelic\.com|nr-data\.net)/i;
   page.on('request', (req) => {
     const url = req.url();
     const rtype = req.resourceType();
     if (blockRe.test(url) || rtype === 'media' || rtype === 'font') return req.abort();
-    return req.continue();
+    return req.continue(auth ? auth.requestOverrides(req) : undefined);
   });
 }
 
-// Try different wait modes to get some HTML even on JS-heavy pages
+// Try different wait modes to get some HTML even on JS-heavy pages.
+// Resolves the main document response (or null when every attempt failed).
 async function navigateWithFallback(page, url) {
+  let response = null;
   try {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+    response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
   } catch {
     try {
-      await page.goto(url, { waitUntil: 'load', timeout: NAV_TIMEOUT_MS });
+      response = await page.goto(url, { waitUntil: 'load', timeout: NAV_TIMEOUT_MS });
     } catch {
-      await page.goto(url, { timeout: NAV_TIMEOUT_MS }).catch(() => {});
+      response = await page.goto(url, { timeout: NAV_TIMEOUT_MS }).catch(() => null);
     }
   }
   await page.waitForSelector('body', { timeout: BODY_WAIT_MS }).catch(() => {});
   await page.waitForNetworkIdle({ idleTime: 1_000, timeout: IDLE_TIMEOUT_MS }).catch(() => {});
+  return response;
+}
+
+/**
+ * Summarize a Puppeteer main-document response for the page record.
+ * @param {import('puppeteer').HTTPResponse|null} response
+ * @returns {{ status: number|null, redirectChain: Array<{ url: string, status: number|null, location: string|null }>,
+ *             headers: Object<string,string>, contentType: string|null, ttfb: number|null }}
+ */
+function describeResponse(response) {
+  const out = { status: null, redirectChain: [], headers: {}, contentType: null, ttfb: null };
+  if (!response) return out;
+  try {
+    out.status = response.status();
+    out.headers = response.headers() || {};
+    out.contentType = out.headers['content-type'] || null;
+
+    const chain = response.request().redirectChain() || [];
+    out.redirectChain = chain.map((req) => {
+      const res = req.response();
+      const hdrs = res ? res.headers() : {};
+      return { url: req.url(), status: res ? res.status() : null, location: hdrs.location || null };
+    });
+
+    // receiveHeadersEnd is ms since the request started (DNS + connect + server time)
+    const timing = response.timing();
+    if (timing && typeof timing.receiveHeadersEnd === 'number' && timing.receiveHeadersEnd >= 0) {
+      out.ttfb = Math.round(timing.receiveHeadersEnd);
+    }
+  } catch {}
+  return out;
+}
+
+// The document as a non-rendering crawler sees it (same UA as the tab, no JavaScript).
+// Resolves { rawStatus, rawHtml, rawTruncated }; rawHtml is '' for non-HTML or failed responses.
+async function fetchRawHtml(url, auth = null) {
+  const { status, body, truncated } = await httpFetch(url, {
+    timeout: 15_000,
+    headers: { 'User-Agent': AUDIT_UA, 'Accept': 'text/html,application/xhtml+xml', 'Accept-Language': 'en-US,en;q=0.9' },
+    headersFor: auth && auth.headersFor,
+  });
+  const html = /<(?:!doctype\s+html|html|head|body)\b/i.test(body) ? body : '';
+  return { rawStatus: status || null, rawHtml: html, rawTruncated: truncated };
 }
 
 async function fetchHtml(page, url) {
@@ -212,19 +290,284 @@ async function fetchHtml(page, url) {
   return html || '';
 }
 
-async function extractLinks(page, currentUrl, allowedHosts) {
-  const hrefs = await page
-    .$$eval('a[href]', (as) => as.map((a) => a.getAttribute('href')).filter(Boolean))
+async function extractAnchors(page) {
+  const anchors = await page
+    .$$eval('a[href]', (as) => as.map((a) => {
+      const img = a.querySelector('img[alt]');
+      const text = (a.innerText || a.textContent || '').replace(/\s+/g, ' ').trim() || (img ? img.getAttribute('alt') : '') || '';
+      return { href: a.getAttribute('href'), text: text.slice(0, 200), rel: (a.getAttribute('rel') || '').toLowerCase() };
+    }).filter((a) => a.href))
     .catch(() => []);
+  return anchors.filter((a) => !/^(mailto:|tel:|javascript:|#)/i.test(a.href));
+}
+
+function normalizeLinks(anchors, baseUrl, allowedHosts, keepParams = null) {
   const out = new Set();
-  for (const h of hrefs) {
-    if (/^(mailto:|tel:|javascript:|#)/i.test(h)) continue;
-    const n = normalizeLink(h, currentUrl, allowedHosts);
+  for (const a of anchors) {
+    const n = normalizeLink(a.href, baseUrl, allowedHosts, keepParams);
     if (n) out.add(n);
   }
   return out;
 }
 
+// Rendered <img> facts only the browser knows: displayed vs natural size, fold position, LCP
+async function collectImages(page) {
+  return page.evaluate((max) => {
+    const fold = window.innerHeight;
+    const lcp = window.__auditLcpUrl || null;
+    return Array.from(document.images).slice(0, max).map((img) => {
+      const r = img.getBoundingClientRect();
+      const top = r.top + window.scrollY;
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+      const sources = picture ? Array.from(picture.querySelectorAll('source')) : [];
+      return {
+        src: img.currentSrc || img.src || '',
+        alt: img.getAttribute('alt'),
+        widthAttr: img.getAttribute('width'),
+        heightAttr: img.getAttribute('height'),
+        loading: (img.getAttribute('loading') || '').toLowerCase() || null,
+        srcset: img.getAttribute('srcset') || sources.map((s) => s.getAttribute('srcset')).filter(Boolean).join(', ') || null,
+        sizes: img.getAttribute('sizes'),
+        sourceTypes: sources.map((s) => (s.getAttribute('type') || '').toLowerCase()).filter(Boolean),
+        renderedWidth: Math.round(r.width),
+        renderedHeight: Math.round(r.height),
+        naturalWidth: img.naturalWidth || null,
+        naturalHeight: img.naturalHeight || null,
+        aboveFold: r.width > 0 && r.height > 0 && top < fold,
+        lcp: !!lcp && (img.currentSrc === lcp || img.src === lcp),
+      };
+    });
+  }, MAX_IMAGES_PER_PAGE).catch(() => []);
+}
+
+// H1–H6 as rendered: computed visibility, landmark, font size against the body copy (median <p> size)
+async function collectHeadings(page) {
+  return page.evaluate((max) => {
+    const px = (el) => Math.round(parseFloat(getComputedStyle(el).fontSize) * 10) / 10 || null;
+    const sizes = Array.from(document.querySelectorAll('p')).slice(0, 50)
+      .filter((p) => (p.textContent || '').trim().length > 40).map(px).filter(Boolean).sort((a, b) => a - b);
+    const bodyFontSize = sizes.length ? sizes[Math.floor(sizes.length / 2)] : (document.body ? px(document.body) : null);
+    return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).slice(0, max).map((h) => {
+      const cs = getComputedStyle(h);
+      const r = h.getBoundingClientRect();
+      const alts = Array.from(h.querySelectorAll('img[alt]')).map((i) => i.getAttribute('alt')).join(' ');
+      const landmark = h.closest('nav, [role="navigation"]') ? 'nav'
+        : h.closest('footer, [role="contentinfo"]') ? 'footer'
+          : h.closest('aside, [role="complementary"]') ? 'aside' : null;
+      return {
+        level: Number(h.tagName.substring(1)),
+        text: `${h.textContent || ''} ${alts}`.replace(/\s+/g, ' ').trim().slice(0, 200),
+        hidden: !h.getClientRects().length || cs.visibility === 'hidden' || Number(cs.opacity) === 0 ||
+          (r.width <= 1 && r.height <= 1) || (cs.position === 'absolute' && /rect\(0(px)?,? 0(px)?/.test(cs.clip)),
+        landmark,
+        fontSize: px(h),
+        bodyFontSize,
+      };
+    });
+  }, MAX_HEADINGS_PER_PAGE).catch(() => []);
+}
+
+// Links and buttons in the first two screens: box, fold, WCAG contrast against the effective background
+// (null over background images) and the element covering its centre, if any (cookie walls, sticky bars, modals)
+function measureCtas(max) {
+  const rgba = (c) => {
+    const m = String(c || '').match(/rgba?\(([^)]+)\)/);
+    if (!m) return null;
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const ch = (v) => { v /= 255; return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4; };
+    return 0.2126 * ch(r) + 0.7152 * ch(g) + 0.0722 * ch(b);
+  };
+  const background = (el) => {
+    for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+      const cs = getComputedStyle(n);
+      if (cs.backgroundImage && cs.backgroundImage !== 'none') return null;
+      const c = rgba(cs.backgroundColor);
+      if (c && c.a >= 0.5) return c;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+  const describe = (n) => {
+    const id = n.id ? `#${n.id}` : '';
+    const cls = typeof n.className === 'string' && n.className.trim() ? `.${n.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '';
+    return `${n.tagName.toLowerCase()}${id}${cls}`;
+  };
+
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const out = [];
+  for (const el of document.querySelectorAll('a[href], button, [role="button"], input[type="submit"], input[type="button"]')) {
+    if (out.length >= max) break;
+    const r = el.getBoundingClientRect();
+    if (r.width < 1 || r.height < 1 || r.top > vh * 2 || r.bottom < 0) continue;
+    const cs = getComputedStyle(el);
+    if (cs.visibility === 'hidden' || Number(cs.opacity) === 0) continue;
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 120) continue;
+
+    const fg = rgba(cs.color);
+    const bg = background(el);
+    let contrast = null;
+    if (fg && bg) {
+      const [hi, lo] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+      contrast = Math.round(((hi + 0.05) / (lo + 0.05)) * 10) / 10;
+    }
+    const aboveFold = r.top < vh && r.bottom > 0 && r.left < vw && r.right > 0;
+    let obscuredBy = null;
+    if (aboveFold) {
+      const cx = Math.min(vw - 1, Math.max(0, r.left + r.width / 2));
+      const cy = Math.min(vh - 1, Math.max(0, r.top + r.height / 2));
+      const hit = document.elementFromPoint(cx, cy);
+      if (hit && hit !== el && !el.contains(hit) && !hit.contains(el)) obscuredBy = describe(hit);
+    }
+    out.push({
+      text: text.slice(0, 120),
+      tag: el.tagName.toLowerCase(),
+      className: typeof el.className === 'string' ? el.className.slice(0, 100) : '',
+      x: Math.round(r.left),
+      y: Math.round(r.top),
+      width: Math.round(r.width),
+      height: Math.round(r.height),
+      aboveFold,
+      contrast,
+      obscuredBy,
+    });
+  }
+  return { viewport: { width: vw, height: vh }, candidates: out };
+}
+
+async function collectCtas(page) {
+  try {
+    await page.evaluate(() => window.scrollTo(0, 0));
+    const desktop = await page.evaluate(measureCtas, MAX_CTA_CANDIDATES);
+    let mobile = null;
+    try {
+      await page.setViewport(MOBILE_VIEWPORT);
+      await new Promise((r) => setTimeout(r, REFLOW_WAIT_MS));
+      mobile = await page.evaluate(measureCtas, MAX_CTA_CANDIDATES);
+    } finally {
+      await page.setViewport(VIEWPORT).catch(() => {});
+    }
+    return { desktop, mobile };
+  } catch {
+    return null;
+  }
+}
+
+// axe-core against the rendered DOM: violations with a few example nodes each, plus pass / incomplete counts
+async function runAxe(page) {
+  if (!AXE_SCAN) return null;
+  let timer;
+  try {
+    await page.evaluate(axeCore.source);
+    const scan = page.evaluate(async (tags, maxNodes) => {
+      const r = await window.axe.run(document, {
+        runOnly: { type: 'tag', values: tags },
+        resultTypes: ['violations'],
+      });
+      return {
+        violations: r.violations.map((v) => ({
+          id: v.id,
+          impact: v.impact,
+          tags: v.tags,
+          help: v.help,
+          helpUrl: v.helpUrl,
+          nodeCount: v.nodes.length,
+          nodes: v.nodes.slice(0, maxNodes).map((n) => ({
+            target: n.target.join(' '),
+            html: String(n.html || '').slice(0, 300),
+            failureSummary: String(n.failureSummary || '').slice(0, 500),
+          })),
+        })),
+        passes: r.passes.length,
+        incomplete: r.incomplete.length,
+      };
+    }, AXE_TAGS, AXE_MAX_NODES);
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('axe timeout')), AXE_TIMEOUT_MS); });
+    return await Promise.race([scan, timeout]);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Every followable <a href> on a page as a link-graph edge candidate
+function describeOutlinks(anchors, baseUrl, allowedHosts, keepParams = null) {
+  const out = [];
+  for (const a of anchors) {
+    let u;
+    try { u = new URL(a.href, baseUrl); } catch { continue; }
+    if (!/^https?:$/.test(u.protocol)) continue;
+    const internal = allowedHosts.has(u.host.toLowerCase());
+    out.push({
+      href: u.href,
+      target: internal ? normalizeLink(u.href, baseUrl, allowedHosts, keepParams) : null,
+      anchor: a.text || '',
+      nofollow: /\bnofollow\b/.test(a.rel || ''),
+      internal,
+    });
+  }
+  return out;
+}
+
+// Load one URL in a tab and collect everything the crawl needs from it.
+// Pure with respect to crawl state: link normalization happens at commit time.
+async function visitPage(page, url, auth = null) {
+  const out = {
+    finalUrl: url, html: '', links: { internal: 0, external: 0, total: 0 }, anchors: [], images: [], headings: [], ctas: null, axe: null,
+    ...describeResponse(null),
+  };
+  try {
+    const response = await navigateWithFallback(page, url);
+    Object.assign(out, describeResponse(response));
+    out.finalUrl = page.url() || url;
+    out.html = await page.content();
+
+    out.links = await page.evaluate(() => {
+      const anchors = Array.from(document.querySelectorAll('a[href]'));
+      let data = { internal: 0, external: 0, total: 0 };
+      const here = location.host.toLowerCase();
+      for (const a of anchors) {
+        const href = a.getAttribute('href');
+        if (!href || /^(mailto:|tel:|javascript:|#)/i.test(href)) continue;
+        try {
+          const u = new URL(href, location.href);
+          data.total++;
+          if (u.host.toLowerCase() === here) data.internal++;
+          else data.external++;
+        } catch {}
+      }
+      return data;
+    });
+  } catch {
+    // keep going
+  }
+  out.anchors = await extractAnchors(page);
+  out.images = await collectImages(page);
+  out.headings = await collectHeadings(page);
+  out.ctas = await collectCtas(page);
+  out.axe = await runAxe(page);
+  return out;
+}
+
+// ---------- per-host politeness ----------
+// Reserves navigation slots per host so concurrent tabs never exceed the host's rate.
+function createHostScheduler(minDelayMs) {
+  const nextAt = new Map();
+  return async function waitTurn(urlStr) {
+    if (!minDelayMs) return;
+    let host = '';
+    try { host = new URL(urlStr).host.toLowerCase(); } catch {}
+    const now = Date.now();
+    const slot = Math.max(now, nextAt.get(host) || 0);
+    nextAt.set(host, slot + minDelayMs);
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
 // ---------- diversity bias ----------
 function bucketKey(urlStr) {
   try {
@@ -238,27 +581,53 @@ function bucketKey(urlStr) {
 }
 
 /**
- * Crawl a site breadth-first using a single tab.
+ * Crawl a site breadth-first, returning pages plus a crawl report.
+ * With opts.concurrency > 1 a pool of tabs fetches in parallel; pages are still committed
+ * (recorded + their links enqueued) strictly in dispatch order, and new work is only dispatched
+ * right after a commit, so the same site yields the same page list regardless of timing.
  * @param {string} startUrl
  * @param {number} maxPages (default 25)
  * @param {import('puppeteer').Browser=} browser
+ * @param {{ concurrency?: number, hostDelayMs?: number, scope?: object, auth?: object }=} opts
+ *        scope: include/exclude patterns, maxDepth, queryParams (see ./crawlScope); the start URL is always crawled
+ *        auth: a ./requestAuth createRequestAuth() object for password-protected sites
  */
-async function crawlSite(startUrl, maxPages = 25, browser = null) {
+async function crawlWithReport(startUrl, maxPages = 25, browser = null, opts = {}) {
   if (!/^https?:\/\//i.test(startUrl)) throw new Error('crawler: startUrl must be http(s)');
 
-  const startCanon = canonicalize(startUrl);
+  const scope = normalizeScope(opts.scope);
+  const inScope = createScopeMatcher(scope);
+  const keepParams = new Set(scope.queryParams);
+  const scopeReport = { ...scope, outOfScope: { excluded: 0, not_included: 0, too_deep: 0 } };
+
+  const startCanon = canonicalize(startUrl, keepParams);
   if (!startCanon) throw new Error('crawler: invalid start URL');
 
   const start = new URL(startCanon);
   const origin = start.origin;
   const allowedHosts = buildAllowedHosts(start.host);
-
-  // robots
-  let disallows = [];
-  if (RESPECT_ROBOTS) {
-    const robotsTxt = await httpGet(new URL('/robots.txt', origin).href);
-    disallows = parseRobots(robotsTxt);
-  }
+  const concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, Number(opts.concurrency) || CRAWL_CONCURRENCY));
+
+  // robots (always fetched so blocked URLs can be reported even when not enforced)
+  const auth = opts.auth || null;
+  const robots = await fetchRobots(origin, auth);
+  const crawlDelayMs = robots.crawlDelay != null ? Math.min(MAX_CRAWL_DELAY_MS, robots.crawlDelay * 1000) : 0;
+  const robotsReport = {
+    status: robots.status,
+    unavailable: robots.unavailable, // rules unknown after a retry: crawled as if there were none
+    enforced: RESPECT_ROBOTS,
+    agent: robots.agent,
+    crawlDelay: robots.crawlDelay,
+    sitemaps: robots.sitemaps,
+    blocked: [], // [{ url, rule: { type, pattern, line } }]
+  };
+
+  // per-host politeness: the stricter of our own delay and robots Crawl-delay
+  const hostDelayMs = Math.max(
+    opts.hostDelayMs != null ? Math.max(0, Number(opts.hostDelayMs) || 0) : HOST_DELAY_MS,
+    RESPECT_ROBOTS ? crawlDelayMs : 0
+  );
+  const waitTurn = createHostScheduler(hostDelayMs);
 
   let ownBrowser = false;
   if (!browser) {
@@ -270,21 +639,34 @@ async function crawlSite(startUrl, maxPages = 25, browser = null) {
     ownBrowser = true;
   }
 
-  const page = await browser.newPage();
-  await hardenPage(page);
-
+  const tabs = [];
   const visited = new Set();
   const queued  = new Set();
   const queue   = [];
   const results = [];
-
-  // seed: start + sitemap (top N)
+  const depthOf = new Map([[startCanon, 0]]); // link hops from the start URL
+  const outOfScope = new Set();
+  let capped = false; // discovered links dropped because the page cap was reached
+
+  // Scope gate for newly discovered URLs (each rejected URL is counted once)
+  const admit = (n, depth) => {
+    const verdict = inScope.check(n, depth);
+    if (verdict.allowed) return true;
+    if (!outOfScope.has(n)) { outOfScope.add(n); scopeReport.outOfScope[verdict.reason]++; }
+    return false;
+  };
+
+  // seed: start + sitemap (top N); keep the whole inventory for the report
   const seeds = new Set([startCanon]);
+  let sitemapReport = { sources: [], entries: [], truncated: false };
   try {
-    const smUrls = await fetchSitemapUrls(origin, SITEMAP_SEED_LIMIT);
-    for (const u of smUrls) {
-      const n = normalizeLink(u, origin, allowedHosts);
-      if (n) seeds.add(n);
+    sitemapReport = await fetchSitemaps(origin, { locations: robots.sitemaps, headersFor: auth && auth.headersFor });
+    for (const e of sitemapReport.entries) {
+      e.url = canonicalize(e.loc, keepParams) || e.loc; // same identity as crawled page URLs
+      if (seeds.size > SITEMAP_SEED_LIMIT) continue;
+      const n = normalizeLink(e.loc, origin, allowedHosts, keepParams);
+      // sitemap seeds count as one hop from the start page
+      if (n && !seeds.has(n) && admit(n, 1)) { seeds.add(n); depthOf.set(n, 1); }
     }
   } catch {}
   for (const s of seeds) {
@@ -294,97 +676,153 @@ async function crawlSite(startUrl, maxPages = 25, browser = null) {
   // keep track of buckets to prefer diverse templates
   const seenBuckets = new Set([bucketKey(startCanon)]);
 
-  try {
-    while (queue.length && results.length < maxPages) {
+  // Record a finished visit and enqueue its neighbors (BFS with diversity bias)
+  const commit = (url, visit) => {
+    // expand allowed hosts if redirected (apex <-> www)
+    try {
+      buildAllowedHosts(new URL(visit.finalUrl).host).forEach((h) => allowedHosts.add(h));
+    } catch {}
+
+    const depth = depthOf.get(url) ?? 0;
+    results.push({
+      url,
+      depth,
+      finalUrl: visit.finalUrl,
+      status: visit.status,
+      redirectChain: visit.redirectChain,
+      headers: visit.headers,
+      contentType: visit.contentType,
+      ttfb: visit.ttfb,
+      html: visit.html || '',
+      rawStatus: visit.rawStatus ?? null,
+      rawHtml: visit.rawHtml ?? null,
+      rawTruncated: !!visit.rawTruncated,
+      links: visit.links,
+      outlinks: describeOutlinks(visit.anchors, visit.finalUrl || url, allowedHosts, keepParams),
+      images: visit.images,
+      headings: visit.headings,
+      ctas: visit.ctas,
+      axe: visit.axe,
+    });
+
+    try {
+      const links = [...normalizeLinks(visit.anchors, visit.finalUrl || url, allowedHosts, keepParams)]
+        .filter((n) => visited.has(n) || queued.has(n) || admit(n, depth + 1));
+
+      // Prefer links that introduce new first-path buckets first
+      const fresh = [];
+      const common = [];
+      for (const n of links) {
+        const b = bucketKey(n);
+        if (!visited.has(n) && !queued.has(n)) {
+          if (!seenBuckets.has(b)) fresh.push(n);
+          else common.push(n);
+        }
+      }
+
+      // add fresh buckets first, then common
+      for (const n of fresh) {
+        const b = bucketKey(n);
+        seenBuckets.add(b);
+        if (results.length + queue.length >= maxPages + 8) { capped = true; break; }
+        queue.push(n); queued.add(n); depthOf.set(n, depth + 1);
+      }
+      for (const n of common) {
+        if (results.length + queue.length >= maxPages + 8) { capped = true; break; }
+        queue.push(n); queued.add(n); depthOf.set(n, depth + 1);
+      }
+    } catch {
+      /* ignore extract errors */
+    }
+  };
+
+  // Pull the next crawlable URL off the queue (robots verdicts are recorded here)
+  const nextUrl = () => {
+    while (queue.length) {
       const current = queue.shift();
       queued.delete(current);
       if (visited.has(current)) continue;
 
-      // robots Disallow?
-      try {
-        const curPath = new URL(current).pathname;
-        if (RESPECT_ROBOTS && disallows.length && pathDisallowed(curPath, disallows)) {
+      const verdict = robots.check(current);
+      if (!verdict.allowed) {
+        robotsReport.blocked.push({ url: current, rule: verdict.rule });
+        if (RESPECT_ROBOTS) {
           visited.add(current);
           continue;
         }
-      } catch {}
-
-      let html = '';
-      let linksBreakdown = { internal: 0, external: 0, total: 0 };
-
-      try {
-        await navigateWithFallback(page, current);
-
-        // expand allowed hosts if redirected (apex <-> www)
-        try {
-          const finalUrl = page.url();
-          const finalHost = new URL(finalUrl).host;
-          buildAllowedHosts(finalHost).forEach((h) => allowedHosts.add(h));
-        } catch {}
-
-        html = await page.content();
-
-        linksBreakdown = await page.evaluate(() => {
-          const anchors = Array.from(document.querySelectorAll('a[href]'));
-          let data = { internal: 0, external: 0, total: 0 };
-          const here = location.host.toLowerCase();
-          for (const a of anchors) {
-            const href = a.getAttribute('href');
-            if (!href || /^(mailto:|tel:|javascript:|#)/i.test(href)) continue;
-            try {
-              const u = new URL(href, location.href);
-              data.total++;
-              if (u.host.toLowerCase() === here) data.internal++;
-              else data.external++;
-            } catch {}
-          }
-          return data;
-        });
-      } catch {
-        // keep going
       }
-
       visited.add(current);
-      results.push({ url: current, html, links: linksBreakdown });
-
-      // Enqueue neighbors (BFS with diversity bias)
-      try {
-        const links = await extractLinks(page, current, allowedHosts);
-
-        // Prefer links that introduce new first-path buckets first
-        const fresh = [];
-        const common = [];
-        for (const n of links) {
-          const b = bucketKey(n);
-          if (!visited.has(n) && !queued.has(n)) {
-            if (!seenBuckets.has(b)) fresh.push(n);
-            else common.push(n);
-          }
-        }
+      return current;
+    }
+    return null;
+  };
 
-        // add fresh buckets first, then common
-        for (const n of fresh) {
-          const b = bucketKey(n);
-          seenBuckets.add(b);
-          if (results.length + queue.length >= maxPages + 8) break;
-          queue.push(n); queued.add(n);
-        }
-        for (const n of common) {
-          if (results.length + queue.length >= maxPages + 8) break;
-          queue.push(n); queued.add(n);
-        }
-      } catch {
-        /* ignore extract errors */
+  try {
+    for (let i = 0; i < concurrency; i++) {
+      const tab = await browser.newPage();
+      await hardenPage(tab, auth);
+      tabs.push(tab);
+    }
+    const freeTabs = [...tabs];
+    const inFlight = []; // FIFO of { url, promise, tab } in dispatch order
+
+    const dispatch = () => {
+      while (freeTabs.length && results.length + inFlight.length < maxPages) {
+        const url = nextUrl();
+        if (!url) break;
+        const tab = freeTabs.shift();
+        const promise = waitTurn(url)
+          .then(() => visitPage(tab, url, auth))
+          .then(async (visit) => {
+            if (!RAW_HTML_COMPARE) return visit;
+            await waitTurn(url); // a second request to the same host: it waits for its own slot
+            return { ...visit, ...(await fetchRawHtml(url, auth)) };
+          });
+        inFlight.push({ url, promise, tab });
       }
+    };
+
+    dispatch();
+    while (inFlight.length) {
+      const head = inFlight.shift();
+      const visit = await head.promise;
+      freeTabs.push(head.tab);
+      commit(head.url, visit);
+      dispatch();
     }
   } finally {
-    await page.close().catch(() => {});
+    await Promise.all(tabs.map((t) => t.close().catch(() => {})));
     if (ownBrowser) {
       await browser.close().catch(() => {});
     }
   }
 
-  return results;
+  // truncated: the page cap ended the crawl with known URLs left unvisited (link-graph orphans are then unknown)
+  const truncated = capped || queue.some((u) => !visited.has(u));
+  return {
+    pages: results,
+    report: { robots: robotsReport, sitemap: sitemapReport, scope: scopeReport, concurrency, hostDelayMs, truncated },
+  };
+}
+
+/**
+ * Crawl a site breadth-first using a single tab.
+ * @param {string} startUrl
+ * @param {number} maxPages (default 25)
+ * @param {import('puppeteer').Browser=} browser
+ * @param {{ scope?: object, auth?: object }=} opts  crawl scope (see ./crawlScope) and site credentials (./requestAuth)
+ */
+async function crawlSite(startUrl, maxPages = 25, browser = null, opts = {}) {
+  const { pages } = await crawlWithReport(startUrl, maxPages, browser, { concurrency: 1, scope: opts.scope, auth: opts.auth });
+  return pages;
 }
 
 module.exports = crawlSite;
+module.exports.crawlWithReport = crawlWithReport;
+module.exports.describeResponse = describeResponse;
+module.exports.fetchRawHtml = fetchRawHtml;
+// URL identity + link helpers shared with offline audits (./offlineSource)
+module.exports.canonicalize = canonicalize;
+module.exports.buildAllowedHosts = buildAllowedHosts;
+module.exports.normalizeLink = normalizeLink;
+module.exports.describeOutlinks = describeOutlinks;
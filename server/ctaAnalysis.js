@@ -0,0 +1,147 @@
+// /server/ctaAnalysis.js — call-to-action prominence from rendered layout (desktop + mobile viewports)
+// Contract:
+//   htmlCtaCandidates($, mainNode) => Array<{ text, tag, className }>     // no layout: offline / raw pages
+//   analyzeCtas({ layout?, candidates? }, vocabulary) => {
+//     quality,                                          // 0..1 → ctaClarity; null when neither viewport was measured
+//     matched,                                          // candidates whose text matches the vocabulary
+//     viewports: { desktop: ViewportCta|null, mobile: ViewportCta|null } | null,   // null without layout
+//     issues: string[]
+//   }
+//     layout: crawler { desktop: CtaLayout, mobile: CtaLayout } (see crawler.js); vocabulary: ctaVocabulary()
+//   ViewportCta = { primary: { text, x, y, width, height, contrast, aboveFold, obscuredBy } | null,
+//                   aboveFold: number, competing: string[], quality, issues: string[] }
+//
+// Notes:
+//  - Primary CTA = the matched element with the most visual weight: area, ×2 in the first screen, ×1.5 when
+//    styled as a button, scaled down below 4.5:1 contrast. Mobile keeps the desktop primary when the same
+//    text is on the page, so a CTA that shrinks or disappears under an overlay on phones is reported as such.
+//  - Per viewport: 0.35 first screen + 0.2 size + 0.15 contrast + 0.15 competition + 0.15 not obscured.
+//    Size targets: 80×32 px on desktop, 44×44 px (tap target) on mobile. Contrast is skipped over background
+//    images, where it cannot be measured. Competing = other CTAs in the first screen with at least half the
+//    primary's area; one is fine (primary + secondary), each further one costs 0.25.
+//  - Without layout only presence and button styling count (0.7 / 0.3), matching the old string heuristic.
+
+'use strict';
+
+const STRONG_CLASS = /(btn(?!-group)|primary|cta|button|hero|call-to-action)/i;
+const TARGETS = { desktop: { width: 80, height: 32 }, mobile: { width: 44, height: 44 } };
+const CONTRAST_AA = 4.5;
+const CONTRAST_LARGE = 3;
+const WEIGHTS = { fold: 0.35, size: 0.2, contrast: 0.15, competition: 0.15, unobscured: 0.15 };
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const norm = (s) => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+function htmlCtaCandidates($, mainNode) {
+  return $(mainNode).find('a, button, [role="button"], input[type="submit"], input[type="button"]').get()
+    .map((el) => {
+      const $el = $(el);
+      return {
+        text: norm($el.text() || $el.attr('value') || $el.attr('aria-label')),
+        tag: el.tagName.toLowerCase(),
+        className: $el.attr('class') || '',
+      };
+    })
+    .filter((c) => c.text && c.text.length <= 120);
+}
+
+const isCta = (c, vocabulary) => {
+  const t = norm(c.text);
+  return !!t && vocabulary.some((w) => t.includes(w));
+};
+
+const styledAsButton = (c) => c.tag === 'button' || c.tag === 'input' || STRONG_CLASS.test(c.className || '');
+
+function weight(c) {
+  const contrast = c.contrast == null ? 1 : Math.min(1, c.contrast / CONTRAST_AA);
+  return c.width * c.height * (c.aboveFold ? 2 : 1) * (styledAsButton(c) ? 1.5 : 1) * contrast;
+}
+
+function analyzeViewport(layout, vocabulary, label, preferred = null) {
+  if (!layout || !Array.isArray(layout.candidates)) return null;
+  const matched = layout.candidates.filter((c) => isCta(c, vocabulary));
+  const issues = [];
+  if (!matched.length) {
+    issues.push(`no call to action recognized on ${label}`);
+    return { primary: null, aboveFold: 0, competing: [], quality: 0, issues };
+  }
+
+  const same = preferred ? matched.filter((c) => norm(c.text) === norm(preferred)) : [];
+  const primary = (same.length ? same : matched).reduce((best, c) => (weight(c) > weight(best) ? c : best));
+  const above = matched.filter((c) => c.aboveFold);
+  const score = {};
+
+  score.fold = primary.aboveFold ? 1 : above.length ? 0.5 : 0;
+  if (!above.length) issues.push(`no call to action in the first ${label} screen (${layout.viewport.width}×${layout.viewport.height})`);
+  else if (!primary.aboveFold) issues.push(`main call to action "${primary.text}" is below the fold on ${label}`);
+
+  const target = TARGETS[label];
+  score.size = Math.min(1, primary.width / target.width) * Math.min(1, primary.height / target.height);
+  if (score.size < 1) {
+    issues.push(`"${primary.text}" is ${primary.width}×${primary.height} px on ${label} (aim for at least ${target.width}×${target.height})`);
+  }
+
+  if (primary.contrast == null) {
+    score.contrast = null;
+  } else {
+    score.contrast = primary.contrast >= CONTRAST_AA ? 1 : primary.contrast >= CONTRAST_LARGE ? 0.75 : 0.5 * primary.contrast / CONTRAST_AA;
+    if (primary.contrast < CONTRAST_AA) issues.push(`"${primary.text}" has ${primary.contrast}:1 text contrast on ${label} (needs ${CONTRAST_AA}:1)`);
+  }
+
+  const area = primary.width * primary.height;
+  const competing = [...new Set(above
+    .filter((c) => c !== primary && norm(c.text) !== norm(primary.text) && c.width * c.height >= area / 2)
+    .map((c) => c.text))];
+  score.competition = competing.length <= 1 ? 1 : Math.max(0, 1 - 0.25 * (competing.length - 1));
+  if (competing.length > 1) {
+    issues.push(`${competing.length} other calls to action of similar size compete with "${primary.text}" in the first ${label} screen`);
+  }
+
+  score.unobscured = primary.obscuredBy ? 0 : 1;
+  if (primary.obscuredBy) issues.push(`"${primary.text}" is covered by ${primary.obscuredBy} on ${label}`);
+
+  const parts = Object.entries(WEIGHTS).filter(([k]) => score[k] != null);
+  const total = parts.reduce((n, [, w]) => n + w, 0);
+  const quality = round2(parts.reduce((n, [k, w]) => n + w * score[k], 0) / total);
+
+  return {
+    primary: {
+      text: primary.text, x: primary.x, y: primary.y, width: primary.width, height: primary.height,
+      contrast: primary.contrast, aboveFold: primary.aboveFold, obscuredBy: primary.obscuredBy,
+    },
+    aboveFold: above.length,
+    competing,
+    quality,
+    issues,
+  };
+}
+
+/**
+ * @param {{ layout?: object|null, candidates?: Array<object>|null }} input
+ * @param {string[]} vocabulary  ctaVocabulary(siteType, lang)
+ */
+function analyzeCtas(input = {}, vocabulary = []) {
+  const { layout, candidates } = input;
+  if (layout && (layout.desktop || layout.mobile)) {
+    const desktop = analyzeViewport(layout.desktop, vocabulary, 'desktop');
+    const mobile = analyzeViewport(layout.mobile, vocabulary, 'mobile', desktop && desktop.primary ? desktop.primary.text : null);
+    const views = [desktop, mobile].filter(Boolean);
+    return {
+      quality: views.length ? round2(views.reduce((n, v) => n + v.quality, 0) / views.length) : null,
+      matched: ((layout.desktop || layout.mobile).candidates || []).filter((c) => isCta(c, vocabulary)).length,
+      viewports: { desktop, mobile },
+      issues: views.flatMap((v) => v.issues),
+    };
+  }
+
+  const matched = (candidates || []).filter((c) => isCta(c, vocabulary));
+  const strong = matched.filter(styledAsButton).length;
+  return {
+    quality: round2(0.7 * Math.min(1, matched.length / 2) + 0.3 * Math.min(1, strong / 2)),
+    matched: matched.length,
+    viewports: null,
+    issues: matched.length ? [] : ['no call to action recognized'],
+  };
+}
+
+module.exports = { htmlCtaCandidates, analyzeCtas };
@@ -0,0 +1,130 @@
+// /server/ctaVocabulary.js — call-to-action phrases per site type and language
+// Contract:
+//   ctaVocabulary(siteType?, lang?) => string[]     // lower-case phrases, matched as substrings of CTA text
+//     siteType: rubric key ('base' | 'b2b' | 'ecommerce' | 'media'); lang: primary subtag ('de', 'ja', ...)
+//
+// Notes:
+//  - Phrases = common[lang] + siteType[lang] ('base' or an unknown type gets every type's list), plus the
+//    English lists for any other language: English CTAs are everywhere ("Shop now" on a German store), and a
+//    phrase that never appears costs nothing.
+//  - CTA_VOCABULARY_FILE points at a JSON file that extends the built-in lists:
+//      { "<siteType | *>": { "<lang | *>": ["phrase", ...] } }     ("*" = every site type / language)
+//    It is read once; a missing or malformed file is logged and ignored so an audit never fails on it.
+
+'use strict';
+
+const fs = require('fs');
+
+const COMMON = {
+  en: ['get started', 'start now', 'sign up', 'join now', 'join us', 'contact us', 'get in touch', 'learn more',
+    'find out more', 'download', 'register', 'try it', 'try for free', 'apply now', 'book now', 'discover'],
+  de: ['jetzt starten', 'loslegen', 'registrieren', 'anmelden', 'kontakt', 'kontaktieren', 'mehr erfahren',
+    'jetzt entdecken', 'herunterladen', 'jetzt testen', 'kostenlos testen', 'jetzt buchen', 'jetzt bewerben'],
+  fr: ['commencer', 'démarrer', "s'inscrire", 'inscrivez-vous', 'contactez-nous', 'nous contacter', 'en savoir plus',
+    'découvrir', 'télécharger', 'essayer', 'essai gratuit', 'réserver'],
+  es: ['empezar', 'comenzar', 'regístrate', 'registrarse', 'contáctanos', 'contacto', 'más información', 'saber más',
+    'descubrir', 'descargar', 'pruébalo', 'prueba gratis', 'reservar'],
+  it: ['inizia', 'iscriviti', 'registrati', 'contattaci', 'scopri di più', 'scopri', 'scarica', 'prova gratis', 'prenota'],
+  pt: ['começar', 'comece agora', 'inscreva-se', 'cadastre-se', 'fale conosco', 'contato', 'saiba mais', 'descubra',
+    'baixar', 'experimente', 'teste grátis', 'reservar'],
+  nl: ['aan de slag', 'begin nu', 'aanmelden', 'registreren', 'neem contact op', 'contact', 'meer informatie',
+    'lees meer', 'ontdek', 'downloaden', 'probeer gratis', 'boek nu'],
+  sv: ['kom igång', 'registrera', 'bli medlem', 'kontakta oss', 'läs mer', 'upptäck', 'ladda ner', 'prova gratis', 'boka nu'],
+  da: ['kom i gang', 'tilmeld', 'opret konto', 'kontakt os', 'læs mere', 'opdag', 'download', 'prøv gratis', 'book nu'],
+  nb: ['kom i gang', 'registrer deg', 'meld deg på', 'kontakt oss', 'les mer', 'oppdag', 'last ned', 'prøv gratis', 'bestill nå'],
+  pl: ['zacznij', 'rozpocznij', 'zarejestruj', 'zapisz się', 'skontaktuj się', 'kontakt', 'dowiedz się więcej',
+    'odkryj', 'pobierz', 'wypróbuj', 'zarezerwuj'],
+  ja: ['今すぐ', '始める', 'はじめる', '登録', 'お問い合わせ', '問い合わせ', '詳しく', '詳細', 'ダウンロード', '無料で試す', '予約'],
+  zh: ['立即', '开始', '注册', '联系我们', '了解更多', '查看详情', '下载', '免费试用', '预约', '預約', '聯繫我們', '註冊'],
+};
+
+const BY_SITE_TYPE = {
+  b2b: {
+    en: ['book a demo', 'request a demo', 'request demo', 'schedule a demo', 'get a demo', 'get a quote', 'get quote',
+      'request a quote', 'request quote', 'contact sales', 'talk to sales', 'talk to an expert', 'start free trial',
+      'free trial', 'start free', 'see pricing', 'view pricing', 'compare plans'],
+    de: ['demo anfragen', 'demo vereinbaren', 'angebot anfordern', 'angebot einholen', 'vertrieb kontaktieren',
+      'beratung vereinbaren', 'preise ansehen', 'tarife vergleichen'],
+    fr: ['demander une démo', 'réserver une démo', 'demander un devis', 'obtenir un devis', 'contacter les ventes',
+      'voir les tarifs', 'comparer les offres'],
+    es: ['solicitar demo', 'solicita una demo', 'pedir presupuesto', 'solicitar presupuesto', 'hablar con ventas',
+      'ver precios', 'comparar planes'],
+    it: ['richiedi una demo', 'richiedi un preventivo', 'contatta le vendite', 'vedi i prezzi'],
+    pt: ['solicitar demonstração', 'agendar demonstração', 'solicitar orçamento', 'fale com vendas', 'ver preços'],
+    nl: ['demo aanvragen', 'offerte aanvragen', 'vraag een offerte aan', 'bekijk prijzen'],
+    ja: ['デモを依頼', '資料請求', '見積もり', '料金を見る'],
+    zh: ['预约演示', '申请演示', '获取报价', '查看价格'],
+  },
+  ecommerce: {
+    en: ['add to cart', 'add to bag', 'add to basket', 'buy now', 'shop now', 'shop the', 'order now', 'checkout',
+      'check out', 'view product', 'shop all', 'see the collection'],
+    de: ['in den warenkorb', 'jetzt kaufen', 'jetzt shoppen', 'jetzt bestellen', 'zur kasse', 'zum produkt'],
+    fr: ['ajouter au panier', 'acheter', 'commander', 'je commande', 'voir le produit', 'découvrir la collection'],
+    es: ['añadir al carrito', 'agregar al carrito', 'comprar ahora', 'comprar', 'pedir ahora', 'ver producto'],
+    it: ['aggiungi al carrello', 'acquista ora', 'compra ora', 'ordina ora', 'vedi prodotto'],
+    pt: ['adicionar ao carrinho', 'comprar agora', 'compre agora', 'finalizar compra', 'ver produto'],
+    nl: ['in winkelwagen', 'toevoegen aan winkelwagen', 'nu kopen', 'bestel nu', 'afrekenen'],
+    sv: ['lägg i varukorgen', 'köp nu', 'handla nu', 'till kassan'],
+    da: ['læg i kurv', 'køb nu', 'shop nu', 'til kassen'],
+    nb: ['legg i handlekurven', 'kjøp nå', 'handle nå', 'til kassen'],
+    pl: ['dodaj do koszyka', 'kup teraz', 'zamów teraz', 'przejdź do kasy'],
+    ja: ['カートに入れる', '今すぐ購入', '購入する', 'ショップ'],
+    zh: ['加入购物车', '立即购买', '马上购买', '去结算', '加入購物車', '立即購買'],
+  },
+  media: {
+    en: ['subscribe', 'sign up for', 'newsletter', 'read more', 'watch now', 'listen now', 'listen', 'follow us',
+      'become a member', 'support us', 'donate'],
+    de: ['abonnieren', 'newsletter', 'weiterlesen', 'jetzt ansehen', 'jetzt anhören', 'mitglied werden', 'unterstützen'],
+    fr: ["s'abonner", 'abonnez-vous', 'newsletter', 'lire la suite', 'regarder', 'écouter', 'nous soutenir'],
+    es: ['suscríbete', 'suscribirse', 'boletín', 'leer más', 'ver ahora', 'escuchar', 'apóyanos'],
+    it: ['abbonati', 'iscriviti alla newsletter', 'leggi di più', 'guarda ora', 'ascolta'],
+    pt: ['assine', 'inscreva-se na newsletter', 'leia mais', 'assista agora', 'ouça'],
+    nl: ['abonneren', 'nieuwsbrief', 'lees verder', 'kijk nu', 'luister'],
+    ja: ['購読', 'ニュースレター', '続きを読む', '今すぐ見る'],
+    zh: ['订阅', '訂閱', '阅读更多', '立即观看'],
+  },
+};
+
+const VOCABULARY_FILE = process.env.CTA_VOCABULARY_FILE || '';
+
+let extra = null;
+function loadExtra() {
+  if (extra) return extra;
+  extra = {};
+  if (!VOCABULARY_FILE) return extra;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(VOCABULARY_FILE, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected an object');
+    for (const [type, langs] of Object.entries(parsed)) {
+      if (!langs || typeof langs !== 'object' || Array.isArray(langs)) throw new Error(`"${type}" must map languages to phrase lists`);
+      for (const [lang, list] of Object.entries(langs)) {
+        if (!Array.isArray(list) || list.some((p) => typeof p !== 'string')) throw new Error(`"${type}.${lang}" must be a list of strings`);
+      }
+    }
+    extra = parsed;
+  } catch (e) {
+    console.warn(`[ctaVocabulary] ignoring ${VOCABULARY_FILE}: ${e.message}`);
+  }
+  return extra;
+}
+
+function ctaVocabulary(siteType = 'base', lang = 'en') {
+  const custom = loadExtra();
+  const langs = lang && lang !== 'en' ? [lang, 'en', '*'] : ['en', '*'];
+  const types = BY_SITE_TYPE[siteType] ? [siteType] : Object.keys(BY_SITE_TYPE);
+  const out = new Set();
+  for (const l of langs) {
+    for (const p of [
+      ...(COMMON[l] || []),
+      ...types.flatMap((t) => BY_SITE_TYPE[t][l] || []),
+      ...((custom['*'] || {})[l] || []),
+      ...((custom[siteType] || {})[l] || []),
+    ]) {
+      const phrase = String(p).replace(/\s+/g, ' ').trim().toLowerCase();
+      if (phrase) out.add(phrase);
+    }
+  }
+  return [...out];
+}
+
+module.exports = { ctaVocabulary };
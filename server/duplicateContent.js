@@ -0,0 +1,196 @@
+// /server/duplicateContent.js — exact / near-duplicate pages and repeated titles + meta descriptions
+// Contract:
+//   duplicateReport(docs, opts?) => {
+//     compared,                                        // pages with enough main content to fingerprint
+//     exact:  Array<{ urls: string[] }>,               // identical main content (after whitespace/case folding)
+//     near:   Array<{ urls: string[], similarity }>,   // shingle Jaccard >= threshold (lowest pair in the cluster)
+//     titles: Array<{ value, urls }>, descriptions: Array<{ value, urls }>,
+//     duplicatePages,                                  // pages that repeat another page (every cluster member but one)
+//     ratio                                            // 0..1 blend used as the duplicateContentRatio signal
+//   }
+//     docs = Array<{ url, text, title?, metaDescription? }>   (text = main content from extractMainNode)
+//     opts = { threshold?, minWords? }
+//
+// Notes:
+//  - 5-word shingles; 64-bit simhash (two 32-bit FNV-1a halves) finds candidate pairs cheaply,
+//    exact shingle Jaccard confirms them. Pages under minWords are skipped (too little copy to judge).
+//  - ratio = 0.6 × duplicate page share + 0.2 × duplicate title share + 0.2 × duplicate description share.
+//  - Empty titles / descriptions are not "duplicates"; missing metadata is scored elsewhere.
+
+'use strict';
+
+const crypto = require('crypto');
+
+const NEAR_DUP_THRESHOLD = Math.max(0.5, Math.min(1, Number(process.env.NEAR_DUP_THRESHOLD) || 0.85));
+const NEAR_DUP_MIN_WORDS = Math.max(10, Math.min(1000, Number(process.env.NEAR_DUP_MIN_WORDS) || 50));
+const SHINGLE = 5;
+const SIMHASH_MAX_DISTANCE = 16; // candidate filter only; Jaccard makes the call
+const MAX_SHINGLES = 5000;
+
+const squash = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function fnv1a(str, seed) {
+  let h = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+function shingles(words) {
+  const out = new Set();
+  if (words.length < SHINGLE) {
+    if (words.length) out.add(words.join(' '));
+    return out;
+  }
+  for (let i = 0; i + SHINGLE <= words.length && out.size < MAX_SHINGLES; i++) {
+    out.add(words.slice(i, i + SHINGLE).join(' '));
+  }
+  return out;
+}
+
+// 64-bit simhash as [hi, lo] 32-bit words
+function simhash(shingleSet) {
+  const acc = new Int32Array(64);
+  for (const sh of shingleSet) {
+    const parts = [fnv1a(sh, 0x811c9dc5), fnv1a(sh, 0x050c5d1f)];
+    for (let half = 0; half < 2; half++) {
+      const h = parts[half];
+      for (let b = 0; b < 32; b++) acc[half * 32 + b] += (h >>> b) & 1 ? 1 : -1;
+    }
+  }
+  const words = [0, 0];
+  for (let i = 0; i < 64; i++) if (acc[i] > 0) words[i >> 5] |= 1 << (i & 31);
+  return [words[0] >>> 0, words[1] >>> 0];
+}
+
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+const hamming = (a, b) => popcount((a[0] ^ b[0]) >>> 0) + popcount((a[1] ^ b[1]) >>> 0);
+
+function jaccard(a, b) {
+  const [small, big] = a.size <= b.size ? [a, b] : [b, a];
+  let inter = 0;
+  for (const x of small) if (big.has(x)) inter++;
+  const uni = a.size + b.size - inter;
+  return uni ? inter / uni : 1;
+}
+
+// Union-find over indexes
+function clusters(n, pairs) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const [a, b] of pairs) {
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  }
+  const groups = new Map();
+  for (let i = 0; i < n; i++) {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(i);
+  }
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+function groupByValue(docs, field) {
+  const byValue = new Map();
+  for (const d of docs) {
+    const value = squash(d[field]);
+    if (!value) continue;
+    const key = value.toLowerCase();
+    if (!byValue.has(key)) byValue.set(key, { value, urls: [] });
+    byValue.get(key).urls.push(d.url);
+  }
+  return [...byValue.values()].filter((g) => g.urls.length > 1).sort((a, b) => b.urls.length - a.urls.length);
+}
+
+const repeatedShare = (groups, total) =>
+  total ? groups.reduce((n, g) => n + g.urls.length - 1, 0) / total : 0;
+
+/**
+ * @param {Array<{ url: string, text: string, title?: string, metaDescription?: string }>} docs
+ * @param {{ threshold?: number, minWords?: number }} opts
+ */
+function duplicateReport(docs = [], opts = {}) {
+  const threshold = Number(opts.threshold) || NEAR_DUP_THRESHOLD;
+  const minWords = Number(opts.minWords) || NEAR_DUP_MIN_WORDS;
+
+  const prints = [];
+  for (const d of docs) {
+    const words = squash(d.text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length < minWords) continue;
+    const set = shingles(words);
+    prints.push({
+      url: d.url,
+      digest: crypto.createHash('sha1').update(words.join(' ')).digest('hex'),
+      shingles: set,
+      simhash: simhash(set),
+    });
+  }
+
+  // Exact: identical normalized copy
+  const byDigest = new Map();
+  prints.forEach((p, i) => {
+    if (!byDigest.has(p.digest)) byDigest.set(p.digest, []);
+    byDigest.get(p.digest).push(i);
+  });
+  const exactGroups = [...byDigest.values()].filter((g) => g.length > 1);
+  const exactOf = new Map(); // index -> representative index of its exact group
+  for (const g of exactGroups) for (const i of g) exactOf.set(i, g[0]);
+
+  // Near: one representative per exact group, simhash candidates confirmed by Jaccard
+  const reps = prints.map((_, i) => i).filter((i) => !exactOf.has(i) || exactOf.get(i) === i);
+  const pairs = [];
+  const simOf = new Map();
+  for (let x = 0; x < reps.length; x++) {
+    for (let y = x + 1; y < reps.length; y++) {
+      const a = prints[reps[x]], b = prints[reps[y]];
+      if (hamming(a.simhash, b.simhash) > SIMHASH_MAX_DISTANCE) continue;
+      const sim = jaccard(a.shingles, b.shingles);
+      if (sim < threshold) continue;
+      pairs.push([x, y]);
+      simOf.set(`${x}:${y}`, sim);
+    }
+  }
+  const near = clusters(reps.length, pairs).map((g) => {
+    let similarity = 1;
+    for (let i = 0; i < g.length; i++) {
+      for (let j = i + 1; j < g.length; j++) {
+        const s = simOf.get(`${g[i]}:${g[j]}`);
+        if (s != null && s < similarity) similarity = s;
+      }
+    }
+    // A near-dup cluster also lists the exact copies of its members
+    const urls = [];
+    for (const r of g) {
+      const rep = reps[r];
+      urls.push(prints[rep].url);
+      for (const [i, of] of exactOf) if (of === rep && i !== rep) urls.push(prints[i].url);
+    }
+    return { urls: [...new Set(urls)], similarity };
+  }).sort((a, b) => b.urls.length - a.urls.length);
+
+  const exact = exactGroups.map((g) => ({ urls: g.map((i) => prints[i].url) })).sort((a, b) => b.urls.length - a.urls.length);
+
+  // Every page in a cluster except one repeats content already on the site
+  const dupUrls = new Set();
+  for (const c of [...exact, ...near]) c.urls.slice(1).forEach((u) => dupUrls.add(u));
+  const duplicatePages = dupUrls.size;
+
+  const titles = groupByValue(docs, 'title');
+  const descriptions = groupByValue(docs, 'metaDescription');
+
+  const pageShare = prints.length ? duplicatePages / prints.length : 0;
+  const ratio = Math.max(0, Math.min(1,
+    0.6 * pageShare + 0.2 * repeatedShare(titles, docs.length) + 0.2 * repeatedShare(descriptions, docs.length)));
+
+  return { compared: prints.length, exact, near, titles, descriptions, duplicatePages, ratio };
+}
+
+module.exports = { duplicateReport, NEAR_DUP_THRESHOLD };
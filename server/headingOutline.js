@@ -0,0 +1,165 @@
+// /server/headingOutline.js — H1–H6 outline per page with a per-heading issue list
+// Contract:
+//   htmlHeadings($) => Array<RenderedHeading>         // attribute-only fallback; call before boilerplate stripping
+//   headingReport(rows) => {
+//     pages: Array<{ url, outline: Array<{ level, text, hidden, issues }>, issues, counts, quality }>,   // row order
+//     duplicateH1s: Array<{ text, urls: string[] }>,
+//     counts: { [check]: number }
+//   }
+//     rows: [{ url, headings: Array<RenderedHeading> }]
+//     issues: Array<{ check, severity: 'error' | 'warning', message }>   (page-level: noHeadings, missingH1)
+//     check: 'skippedLevel' | 'emptyHeading' | 'hiddenHeading' | 'multipleH1' | 'duplicateH1' | 'styling' |
+//            'noHeadings' | 'missingH1'
+//   RenderedHeading = { level, text, hidden, landmark: 'nav'|'footer'|'aside'|null, fontSize, bodyFontSize }
+//
+// Notes:
+//  - Rendered facts (computed visibility, font size) come from the crawl (collectHeadings); offline pages fall
+//    back to the hidden attribute, inline display/visibility and visually-hidden classes (sr-only & co.).
+//    Responsive utility classes (Tailwind `hidden md:block`, Bootstrap `d-none`) are not guessed at.
+//  - Skipped level = deeper than the previous heading + 1; the page itself counts as level 1, so an outline may
+//    open with an H2 but not with an H3.
+//  - "Used for styling": headings in nav, paragraph-length text, text without letters (ratings, prices) and,
+//    when rendered, headings set smaller than the body copy. Headings in aside / footer are left alone: they
+//    title real sections there (sidebar widgets, footer columns), often in small type.
+//  - Duplicate H1s: the same visible H1 text on more than one crawled page.
+//  - quality: no headings = 0; otherwise 1 − 0.25 per failing error check − 0.1 per failing warning check
+//    (each check counted once per page, so a menu full of H4s is one problem, not ten).
+
+'use strict';
+
+const MAX_TEXT = 200;
+const STYLING_MAX_CHARS = 120;
+const WEIGHT_ERROR = 0.25;
+const WEIGHT_WARNING = 0.1;
+
+const HIDDEN_CLASS = /(^|\s)(sr-only|visually-hidden|screen-reader-text|screen-reader-only)(\s|$)/i;
+const HIDDEN_STYLE = /(display\s*:\s*none|visibility\s*:\s*hidden)/i;
+const LANDMARKS = [
+  ['nav', 'nav, [role="navigation"]'],
+  ['footer', 'footer, [role="contentinfo"]'],
+  ['aside', 'aside, [role="complementary"]'],
+];
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT);
+
+function htmlHeadings($) {
+  return $('h1, h2, h3, h4, h5, h6').get().map((el) => {
+    const $h = $(el);
+    const alts = $h.find('img[alt]').map((_, img) => $(img).attr('alt')).get().join(' ');
+    const chain = $h.add($h.parents());
+    const hidden = chain.get().some((n) => {
+      const $n = $(n);
+      return $n.attr('hidden') != null || HIDDEN_STYLE.test($n.attr('style') || '') || HIDDEN_CLASS.test($n.attr('class') || '');
+    });
+    const landmark = LANDMARKS.find(([, sel]) => $h.closest(sel).length);
+    return {
+      level: parseInt(el.tagName.substring(1), 10),
+      text: clean(`${$h.text()} ${alts}`),
+      hidden,
+      landmark: landmark ? landmark[0] : null,
+      fontSize: null,
+      bodyFontSize: null,
+    };
+  });
+}
+
+function stylingReason(h) {
+  if (h.landmark === 'aside' || h.landmark === 'footer') return null;
+  if (h.landmark) return `heading inside <${h.landmark}>`;
+  if (h.text.length > STYLING_MAX_CHARS) return `${h.text.length} characters of running text marked up as a heading`;
+  if (h.text && !/\p{L}/u.test(h.text)) return 'no words, only numbers or symbols';
+  if (h.fontSize && h.bodyFontSize && h.fontSize < h.bodyFontSize) {
+    return `set at ${h.fontSize}px, smaller than the ${h.bodyFontSize}px body text`;
+  }
+  return null;
+}
+
+function outlineOf(headings) {
+  const outline = [];
+  let prev = 1;
+  let h1Seen = 0;
+  for (const h of headings) {
+    const level = Number(h.level);
+    if (!(level >= 1 && level <= 6)) continue;
+    const text = clean(h.text);
+    const issues = [];
+    const add = (check, severity, message) => issues.push({ check, severity, message });
+
+    if (level > prev + 1) {
+      add('skippedLevel', 'warning', outline.length
+        ? `H${level} follows H${prev} (skips H${prev + 1})`
+        : `outline opens with H${level} (skips H${prev + 1})`);
+    }
+    if (!text) add('emptyHeading', 'error', 'empty heading');
+    if (h.hidden) add('hiddenHeading', level === 1 ? 'error' : 'warning', 'hidden with CSS');
+    if (level === 1 && !h.hidden && ++h1Seen > 1) add('multipleH1', 'warning', `H1 number ${h1Seen} on the page`);
+    const styling = stylingReason({ ...h, text });
+    if (styling) add('styling', 'warning', `used for styling: ${styling}`);
+
+    outline.push({ level, text, hidden: !!h.hidden, issues });
+    prev = level;
+  }
+  return outline;
+}
+
+function scorePage(page) {
+  const all = [...page.issues, ...page.outline.flatMap((h) => h.issues)];
+  const counts = {};
+  const errors = new Set();
+  const warnings = new Set();
+  for (const i of all) {
+    counts[i.check] = (counts[i.check] || 0) + 1;
+    (i.severity === 'error' ? errors : warnings).add(i.check);
+  }
+  for (const c of errors) warnings.delete(c);
+  page.counts = counts;
+  page.quality = page.outline.length
+    ? Math.max(0, Math.round((1 - WEIGHT_ERROR * errors.size - WEIGHT_WARNING * warnings.size) * 100) / 100)
+    : 0;
+  return page;
+}
+
+/**
+ * @param {Array<{ url: string, headings: Array<object> }>} rows
+ */
+function headingReport(rows = []) {
+  const pages = rows.map((r) => {
+    const outline = outlineOf(r.headings || []);
+    const issues = [];
+    if (!outline.length) issues.push({ check: 'noHeadings', severity: 'error', message: 'no H1–H6 headings' });
+    else if (!outline.some((h) => h.level === 1 && !h.hidden && h.text)) {
+      issues.push({ check: 'missingH1', severity: 'error', message: 'no visible, non-empty H1' });
+    }
+    return { url: r.url, outline, issues };
+  });
+
+  // Same visible H1 on several pages: each page should say what it alone is about
+  const byText = new Map();
+  pages.forEach((p) => {
+    const seen = new Set();
+    for (const h of p.outline) {
+      if (h.level !== 1 || h.hidden || !h.text) continue;
+      const key = h.text.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!byText.has(key)) byText.set(key, { text: h.text, urls: [] });
+      byText.get(key).urls.push(p.url);
+    }
+  });
+  const duplicateH1s = [...byText.values()].filter((d) => d.urls.length > 1);
+  const shared = new Map(duplicateH1s.map((d) => [d.text.toLowerCase(), d]));
+  for (const p of pages) {
+    for (const h of p.outline) {
+      const d = h.level === 1 && !h.hidden && shared.get(h.text.toLowerCase());
+      if (d) h.issues.push({ check: 'duplicateH1', severity: 'warning', message: `same H1 on ${d.urls.length - 1} other page${d.urls.length === 2 ? '' : 's'}` });
+    }
+  }
+
+  pages.forEach(scorePage);
+  const counts = {};
+  for (const p of pages) for (const [k, v] of Object.entries(p.counts)) counts[k] = (counts[k] || 0) + v;
+
+  return { pages, duplicateH1s, counts };
+}
+
+module.exports = { htmlHeadings, headingReport };
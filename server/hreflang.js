@@ -0,0 +1,294 @@
+// /server/hreflang.js — hreflang annotations (<link>, HTTP Link header, sitemap) + html lang validation
+// Contract:
+//   parseHreflangCode('en-GB') => { valid, code, lang, script, region, error, suggestion }
+//   extractHreflang($, baseUrl) => Array<{ hreflang, href, error? }>        // <link rel="alternate" hreflang>
+//   parseLinkHeader(value, baseUrl) => Array<{ hreflang, href, error? }>    // HTTP Link: <…>; rel="alternate"; hreflang="…"
+//   htmlLangMatch(htmlLang, detected) => 1 | 0 | null                      // null = content language unknown
+//   hreflangReport(rows, { sitemapEntries?, checker?, limit? }) => Promise<{
+//     annotatedPages, languages, multilingualWithoutHreflang,
+//     pages: Array<{ url, annotations: [{ hreflang, href, sources }], errors, warnings, quality }>,  // row order
+//     targets: Array<{ href, status, finalUrl, error }>                   // alternate URLs that are not a clean 200
+//   }>
+//     rows: [{ url, canonical?, htmlLang?, detectedLang?, html?: [...], header?: [...] }]
+//     quality is null on pages without any annotation (nothing to validate)
+//
+// Notes:
+//  - Codes per Google: ISO 639-1 language, optional ISO 15924 script, optional ISO 3166-1 alpha-2 region,
+//    or x-default. Common mix-ups (en-UK, jp, cn, …) carry a suggestion; underscores are rejected.
+//  - Annotations from all three sources are merged per page; the same code pointing at two URLs is an error.
+//  - Return links are only checked between crawled pages; other targets are probed through the shared
+//    linkChecker (sampled by HREFLANG_TARGET_SAMPLE) and must answer 200 without redirecting.
+//  - A crawled target whose canonical points elsewhere is an error (Google ignores the pair).
+//  - quality = 1 − 0.25 per error − 0.05 per warning (floored at 0).
+//  - languages also counts detected content languages (pages without a valid html lang), for the report;
+//    multilingualWithoutHreflang needs 2+ languages declared in html lang. Detection is a guess, and a guess
+//    alone must not zero the hreflang score.
+
+'use strict';
+
+const { URL } = require('url');
+const { primarySubtag } = require('./language');
+
+const HREFLANG_TARGET_SAMPLE = Math.max(0, Math.min(500, Number(process.env.HREFLANG_TARGET_SAMPLE) || 100));
+
+const LANGUAGES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el ' +
+  'en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ' +
+  'ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na ' +
+  'nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so ' +
+  'sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu ' +
+  'iw in ji' // deprecated aliases Google still accepts
+).split(' '));
+
+const REGIONS = new Set((
+  'ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br bs bt bv bw by bz ' +
+  'ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg eh er es et fi fj fk fm fo ' +
+  'fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is it je ' +
+  'jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me mf mg mh mk ml mm mn mo ' +
+  'mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf pg ph pk pl pm pn pr ps pt pw ' +
+  'py qa re ro rs ru rw sa sb sc sd se sg sh si sj sk sl sm sn so sr ss st sv sx sy sz tc td tf tg th tj tk tl tm ' +
+  'tn to tr tt tv tw tz ua ug um us uy uz va vc ve vg vi vn vu wf ws ye yt za zm zw'
+).split(' '));
+
+// Country codes used where a language code belongs (and the reverse for regions)
+const LANGUAGE_FIXES = { jp: 'ja', cn: 'zh', gr: 'el', dk: 'da', cz: 'cs', ua: 'uk', rs: 'sr', ee: 'et', si: 'sl' };
+const REGION_FIXES = { uk: 'gb', en: 'gb', eu: null, la: null };
+// Macro-language / legacy aliases that count as the same language when comparing
+const SAME_LANGUAGE = { nb: 'no', nn: 'no', iw: 'he', in: 'id', ji: 'yi' };
+const langFamily = (l) => SAME_LANGUAGE[l] || l;
+
+const WEIGHT_ERROR = 0.25;
+const WEIGHT_WARNING = 0.05;
+
+function parseHreflangCode(raw) {
+  const code = String(raw == null ? '' : raw).trim();
+  const out = { valid: false, code, lang: null, script: null, region: null, error: null, suggestion: null };
+  if (!code) return { ...out, error: 'empty hreflang' };
+  if (code.toLowerCase() === 'x-default') return { ...out, valid: true, lang: 'x-default' };
+  if (code.includes('_')) {
+    return { ...out, error: `"${code}" uses an underscore`, suggestion: code.replace(/_/g, '-') };
+  }
+
+  const parts = code.toLowerCase().split('-');
+  const [lang] = parts;
+  let script = null;
+  let region = null;
+  for (const p of parts.slice(1)) {
+    if (!script && !region && /^[a-z]{4}$/.test(p)) script = p;
+    else if (!region) region = p;
+    else return { ...out, error: `"${code}" has too many subtags` };
+  }
+
+  if (!LANGUAGES.has(lang)) {
+    const fix = LANGUAGE_FIXES[lang];
+    const suggestion = fix ? [fix, ...parts.slice(1)].join('-') : null;
+    return { ...out, lang, error: `"${lang}" is not an ISO 639-1 language code`, suggestion };
+  }
+  if (region && !REGIONS.has(region)) {
+    const fix = REGION_FIXES[region];
+    const suggestion = fix ? `${lang}-${fix.toUpperCase()}` : null;
+    const error = /^\d{3}$/.test(region)
+      ? `"${region}" is a UN M.49 area; hreflang only accepts ISO 3166-1 country codes`
+      : `"${region}" is not an ISO 3166-1 alpha-2 region code`;
+    return { ...out, lang, region, error, suggestion };
+  }
+  return { ...out, valid: true, lang, script, region };
+}
+
+const resolve = (href, base) => {
+  const value = String(href || '').trim();
+  if (!value) return { href: '', error: 'empty href' };
+  try {
+    const abs = new URL(value, base).href;
+    // Google requires fully qualified URLs; the resolved one is kept so the rest of the checks still run
+    return /^https?:\/\//i.test(value) ? { href: abs } : { href: abs, error: `relative URL "${value}"` };
+  } catch {
+    return { href: value, error: `invalid URL "${value}"` };
+  }
+};
+
+function extractHreflang($, baseUrl) {
+  const out = [];
+  $('link[hreflang]').each((_, el) => {
+    const rel = String($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+    if (!rel.includes('alternate')) return;
+    const { href, error } = resolve($(el).attr('href'), baseUrl);
+    out.push({ hreflang: String($(el).attr('hreflang')).trim(), href, ...(error ? { error } : {}) });
+  });
+  return out;
+}
+
+function parseLinkHeader(value, baseUrl) {
+  const out = [];
+  // <url>; param=value; param="value", <url>; …  (commas inside <…> or quotes are not separators)
+  const re = /<([^>]*)>((?:\s*;\s*[a-z*-]+\s*=\s*(?:"[^"]*"|[^;,]*))*)/gi;
+  let m;
+  while ((m = re.exec(String(value || '')))) {
+    const params = {};
+    for (const p of m[2].matchAll(/;\s*([a-z*-]+)\s*=\s*(?:"([^"]*)"|([^;,]*))/gi)) {
+      params[p[1].toLowerCase()] = (p[2] ?? p[3] ?? '').trim();
+    }
+    if (!params.hreflang || !String(params.rel || '').toLowerCase().split(/\s+/).includes('alternate')) continue;
+    const { href, error } = resolve(m[1], baseUrl);
+    out.push({ hreflang: params.hreflang, href, ...(error ? { error } : {}) });
+  }
+  return out;
+}
+
+function htmlLangMatch(htmlLang, detected) {
+  const parsed = parseHreflangCode(htmlLang);
+  if (!htmlLang || !parsed.valid || parsed.lang === 'x-default') return 0;
+  if (!detected) return null;
+  return langFamily(parsed.lang) === langFamily(primarySubtag(detected)) ? 1 : 0;
+}
+
+// Same document: scheme + host + path (trailing slash ignored) + query (?lang= variants are distinct pages)
+const docKey = (u) => {
+  try {
+    const x = new URL(u);
+    return `${x.protocol}//${x.host.toLowerCase()}${x.pathname.replace(/\/+$/, '')}${x.search}`;
+  } catch {
+    return String(u || '');
+  }
+};
+
+/**
+ * @param {Array<object>} rows  see Contract
+ * @param {{ sitemapEntries?: Array<{ loc: string, alternates?: Array<{ hreflang, href }> }>,
+ *           checker?: { check: (url: string) => Promise<object> }, limit?: number }} opts
+ */
+async function hreflangReport(rows = [], opts = {}) {
+  const limit = Number.isFinite(opts.limit) ? Math.max(0, opts.limit) : HREFLANG_TARGET_SAMPLE;
+
+  const fromSitemap = new Map();
+  for (const e of opts.sitemapEntries || []) {
+    if (!e || !Array.isArray(e.alternates) || !e.alternates.length) continue;
+    fromSitemap.set(docKey(e.url || e.loc), e.alternates.map((a) => ({ hreflang: a.hreflang, href: resolve(a.href, e.url || e.loc).href })));
+  }
+
+  // Merge the three sources per page: one annotation per (code, target), listing where it was declared
+  const pages = rows.map((r) => {
+    const merged = new Map();
+    const problems = [];
+    const add = (list, source) => {
+      for (const a of list || []) {
+        if (a.error) problems.push(`${source} hreflang="${a.hreflang}": ${a.error}`);
+        if (!a.href) continue;
+        const key = `${String(a.hreflang).toLowerCase()} ${docKey(a.href)}`;
+        if (!merged.has(key)) merged.set(key, { hreflang: a.hreflang, href: a.href, sources: [] });
+        if (!merged.get(key).sources.includes(source)) merged.get(key).sources.push(source);
+      }
+    };
+    add(r.html, 'html');
+    add(r.header, 'header');
+    add(fromSitemap.get(docKey(r.url)), 'sitemap');
+    return { row: r, annotations: [...merged.values()], errors: problems, warnings: [] };
+  });
+
+  const byKey = new Map(rows.map((r) => [docKey(r.url), r]));
+  const annotationsOf = new Map(pages.map((p) => [docKey(p.row.url), p.annotations]));
+
+  // Alternate URLs outside the crawl: probe once each through the shared checker
+  const external = [...new Set(pages.flatMap((p) => p.annotations.map((a) => a.href)))]
+    .filter((href) => !byKey.has(docKey(href)));
+  const results = new Map();
+  if (opts.checker) {
+    await Promise.all(external.slice(0, limit).map(async (href) => results.set(href, await opts.checker.check(href))));
+  }
+  const targets = [];
+  for (const [href, r] of results) {
+    if (r.status == null || (r.ok && !r.redirects.length && r.status === 200)) continue;
+    targets.push({ href, status: r.status, finalUrl: r.finalUrl, error: r.error || (r.redirects.length ? 'redirects' : null) });
+  }
+  const badTarget = new Map(targets.map((t) => [t.href, t]));
+
+  for (const p of pages) {
+    const { row, annotations, errors, warnings } = p;
+    if (!annotations.length) {
+      if (row.htmlLang && !parseHreflangCode(row.htmlLang).valid) errors.push(`html lang="${row.htmlLang}" is not a valid language code`);
+      continue;
+    }
+    const self = docKey(row.url);
+
+    const byCode = new Map();
+    for (const a of annotations) {
+      const parsed = parseHreflangCode(a.hreflang);
+      if (!parsed.valid) {
+        errors.push(`hreflang="${a.hreflang}": ${parsed.error}${parsed.suggestion ? ` (use "${parsed.suggestion}")` : ''}`);
+      }
+      const code = String(a.hreflang).toLowerCase();
+      if (!byCode.has(code)) byCode.set(code, new Set());
+      byCode.get(code).add(docKey(a.href));
+    }
+    for (const [code, hrefs] of byCode) {
+      if (hrefs.size > 1) errors.push(`hreflang="${code}" points at ${hrefs.size} different URLs`);
+    }
+
+    const selfRefs = annotations.filter((a) => docKey(a.href) === self);
+    if (!selfRefs.length) warnings.push('no self-referencing hreflang');
+    if (!byCode.has('x-default')) warnings.push('no x-default alternate');
+
+    for (const a of annotations) {
+      const key = docKey(a.href);
+      if (key === self) continue;
+      const target = byKey.get(key);
+      if (target) {
+        const back = annotationsOf.get(key) || [];
+        if (!back.some((b) => docKey(b.href) === self)) errors.push(`no return link from ${a.href} (hreflang="${a.hreflang}")`);
+        if (target.canonical && docKey(target.canonical) !== key) {
+          errors.push(`hreflang="${a.hreflang}" points at ${a.href}, which is canonicalized to ${target.canonical}`);
+        }
+      } else if (badTarget.has(a.href)) {
+        const t = badTarget.get(a.href);
+        errors.push(t.error === 'redirects'
+          ? `hreflang="${a.hreflang}" target ${a.href} redirects to ${t.finalUrl}`
+          : `hreflang="${a.hreflang}" target ${a.href} returns ${t.status || t.error}`);
+      }
+    }
+
+    if (row.canonical && docKey(row.canonical) !== self) {
+      warnings.push(`page carries hreflang but is canonicalized to ${row.canonical}`);
+    }
+
+    if (row.htmlLang) {
+      const lang = parseHreflangCode(row.htmlLang);
+      if (!lang.valid) errors.push(`html lang="${row.htmlLang}" is not a valid language code`);
+      else {
+        const declared = selfRefs.map((a) => parseHreflangCode(a.hreflang)).filter((c) => c.valid && c.lang !== 'x-default');
+        if (declared.length && !declared.some((c) => langFamily(c.lang) === langFamily(lang.lang))) {
+          warnings.push(`hreflang for this page (${declared.map((c) => c.code).join(', ')}) disagrees with html lang="${row.htmlLang}"`);
+        }
+      }
+    }
+    if (row.detectedLang) {
+      const declared = selfRefs.map((a) => parseHreflangCode(a.hreflang)).filter((c) => c.valid && c.lang !== 'x-default');
+      if (declared.length && !declared.some((c) => langFamily(c.lang) === langFamily(primarySubtag(row.detectedLang)))) {
+        warnings.push(`content reads as "${row.detectedLang}" but hreflang declares ${declared.map((c) => c.code).join(', ')}`);
+      }
+    }
+  }
+
+  const annotated = pages.filter((p) => p.annotations.length);
+  const declaredLang = (r) => { const c = parseHreflangCode(r.htmlLang); return c.valid ? c.lang : null; };
+  const families = (list) => [...new Set(list.filter(Boolean).map(langFamily))].sort();
+  const languages = families(rows.map((r) => declaredLang(r) || primarySubtag(r.detectedLang)));
+  const declaredLanguages = families(rows.map(declaredLang));
+
+  return {
+    annotatedPages: annotated.length,
+    languages,
+    multilingualWithoutHreflang: !annotated.length && declaredLanguages.length > 1,
+    pages: pages.map(({ row, annotations, errors, warnings }) => ({
+      url: row.url,
+      annotations,
+      errors,
+      warnings,
+      quality: annotations.length
+        ? Math.max(0, Math.round((1 - WEIGHT_ERROR * errors.length - WEIGHT_WARNING * warnings.length) * 100) / 100)
+        : null,
+    })),
+    targets,
+  };
+}
+
+module.exports = { parseHreflangCode, extractHreflang, parseLinkHeader, htmlLangMatch, hreflangReport };
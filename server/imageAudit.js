@@ -0,0 +1,170 @@
+// /server/imageAudit.js — per-page image optimization checks (size, weight, format, layout shift, lazy loading)
+// Contract:
+//   htmlImages($, baseUrl) => Array<RenderedImage>        // attribute-only fallback when there is no rendered DOM
+//   imageAuditUrls(images) => string[]                    // absolute http(s) sources worth probing
+//   auditImages(images, probes?) => {
+//     total, bytes,                                       // bytes = sum over probed images (unknown sizes skipped)
+//     counts: { [check]: number },
+//     images: Array<{ src, format, bytes, naturalWidth, naturalHeight, renderedWidth, renderedHeight, lcp,
+//                     issues: Array<{ check, severity: 'error' | 'warning', message }> }>,
+//     quality                                             // 0..1 mean per image; null = page has no images
+//   }
+//     images: crawler RenderedImage records (see crawler.js); probes: Map<absUrl, imageProbe result>
+//     check: 'oversized' | 'heavy' | 'legacyFormat' | 'missingDimensions' | 'lazyLcp' | 'lazyAboveFold' |
+//            'eagerBelowFold' | 'noSrcset' | 'filenameAlt'
+//
+// Notes:
+//  - Rendered facts (displayed size, fold, LCP) come from the crawl; without them only attribute, weight and
+//    format checks run. Natural size falls back to the probed file header when the browser never loaded it.
+//  - Oversized = natural width more than IMAGE_OVERSIZE_FACTOR × displayed width (2× leaves room for retina).
+//  - Heavy = more than IMAGE_HEAVY_BYTES (warning), 5× that is an error. Legacy formats (JPEG/PNG/GIF) are
+//    only flagged above 10 KB and when no <picture> source offers WebP / AVIF.
+//  - Tracking pixels (≤ 2 px) and data: URIs are ignored; SVG skips size, format and srcset checks.
+//  - Per image: 1 − 0.3 per error − 0.1 per warning (floored at 0).
+
+'use strict';
+
+const { URL } = require('url');
+
+const IMAGE_OVERSIZE_FACTOR = Math.max(1.2, Math.min(6, Number(process.env.IMAGE_OVERSIZE_FACTOR) || 2));
+const IMAGE_HEAVY_BYTES = Math.max(20_000, Math.min(5_000_000, Number(process.env.IMAGE_HEAVY_BYTES) || 200_000));
+const LEGACY_MIN_BYTES = 10_000;
+const SRCSET_MIN_WIDTH = 400;
+const LEGACY_FORMATS = new Set(['jpeg', 'png', 'gif']);
+const MODERN_TYPES = /image\/(webp|avif)/;
+const WEIGHT_ERROR = 0.3;
+const WEIGHT_WARNING = 0.1;
+
+const EXTENSIONS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg' };
+
+function htmlImages($, baseUrl) {
+  const abs = (v) => { try { return v ? new URL(v, baseUrl).href : ''; } catch { return ''; } };
+  return $('img').get().map((el) => {
+    const $img = $(el);
+    const picture = $img.parent().is('picture') ? $img.parent() : null;
+    const sources = picture ? picture.find('source').get().map((s) => $(s)) : [];
+    return {
+      src: abs($img.attr('src') || $img.attr('data-src')),
+      alt: $img.attr('alt') ?? null,
+      widthAttr: $img.attr('width') ?? null,
+      heightAttr: $img.attr('height') ?? null,
+      loading: ($img.attr('loading') || '').toLowerCase() || null,
+      srcset: $img.attr('srcset') || sources.map((s) => s.attr('srcset')).filter(Boolean).join(', ') || null,
+      sizes: $img.attr('sizes') ?? null,
+      sourceTypes: sources.map((s) => (s.attr('type') || '').toLowerCase()).filter(Boolean),
+      renderedWidth: null,
+      renderedHeight: null,
+      naturalWidth: null,
+      naturalHeight: null,
+      aboveFold: null,
+      lcp: false,
+    };
+  });
+}
+
+const isTracker = (img) =>
+  (img.renderedWidth != null && img.renderedWidth <= 2 && img.renderedHeight != null && img.renderedHeight <= 2) ||
+  (Number(img.widthAttr) === 1 && Number(img.heightAttr) === 1);
+
+function imageAuditUrls(images = []) {
+  return [...new Set(images.filter((i) => /^https?:\/\//i.test(i.src || '') && !isTracker(i)).map((i) => i.src))];
+}
+
+function fileName(src) {
+  try { return decodeURIComponent(new URL(src).pathname.split('/').pop() || ''); } catch { return ''; }
+}
+
+function formatOf(img, probe) {
+  if (probe && probe.format) return probe.format;
+  const type = probe && probe.contentType ? probe.contentType.replace(/^image\//, '').replace('svg+xml', 'svg') : '';
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+  const ext = (fileName(img.src).match(/\.([a-z0-9]+)$/i) || [])[1];
+  return ext ? EXTENSIONS[ext.toLowerCase()] || null : null;
+}
+
+// Alt text that is just the file name ("IMG_0042.jpg", "hero-banner", "DSC01234")
+function isFilenameAlt(alt, src) {
+  const a = String(alt || '').trim().toLowerCase();
+  if (!a) return false;
+  if (/\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/.test(a)) return true;
+  if (/^(img|dsc|dscn|dcim|pxl|photo|image|screenshot)[\s_-]?\d+/.test(a)) return true;
+  // Slug-style alt copied from the file name; "Red shoes" for red-shoes.jpg reads fine and passes
+  const base = fileName(src).toLowerCase().replace(/\.[a-z0-9]+$/, '');
+  return !!base && base.length >= 3 && !/\s/.test(a) && /[_-]|\d/.test(a) && a === base;
+}
+
+function checkImage(img, probe) {
+  const issues = [];
+  const add = (check, severity, message) => issues.push({ check, severity, message });
+  const format = formatOf(img, probe);
+  const bytes = probe && typeof probe.bytes === 'number' ? probe.bytes : null;
+  const naturalWidth = img.naturalWidth || (probe && probe.width) || null;
+  const naturalHeight = img.naturalHeight || (probe && probe.height) || null;
+  const vector = format === 'svg';
+
+  if (!vector && naturalWidth && img.renderedWidth > 0 && naturalWidth > img.renderedWidth * IMAGE_OVERSIZE_FACTOR) {
+    add('oversized', 'warning', `${naturalWidth}×${naturalHeight || '?'} file shown at ${img.renderedWidth}×${img.renderedHeight}`);
+  }
+  if (bytes != null && bytes > IMAGE_HEAVY_BYTES) {
+    add('heavy', bytes > IMAGE_HEAVY_BYTES * 5 ? 'error' : 'warning', `${Math.round(bytes / 1024)} KB`);
+  }
+  if (LEGACY_FORMATS.has(format) && (bytes == null || bytes > LEGACY_MIN_BYTES) &&
+      !(img.sourceTypes || []).some((t) => MODERN_TYPES.test(t))) {
+    add('legacyFormat', 'warning', `${format.toUpperCase()} without a WebP / AVIF alternative`);
+  }
+  if (!img.widthAttr || !img.heightAttr) {
+    add('missingDimensions', 'warning', 'no width / height attributes (layout shift while loading)');
+  }
+  if (img.lcp && img.loading === 'lazy') {
+    add('lazyLcp', 'error', 'largest contentful paint image is lazy-loaded');
+  } else if (img.aboveFold === true && img.loading === 'lazy') {
+    add('lazyAboveFold', 'warning', 'above-the-fold image is lazy-loaded');
+  } else if (img.aboveFold === false && img.loading !== 'lazy' && img.renderedWidth > 0) {
+    add('eagerBelowFold', 'warning', 'below-the-fold image without loading="lazy"');
+  }
+  const wide = img.renderedWidth != null ? img.renderedWidth >= SRCSET_MIN_WIDTH : (naturalWidth || 0) >= SRCSET_MIN_WIDTH * 2;
+  if (!vector && wide && !img.srcset) add('noSrcset', 'warning', 'large image without srcset');
+  if (isFilenameAlt(img.alt, img.src)) add('filenameAlt', 'error', `alt text is the file name ("${img.alt}")`);
+
+  return {
+    src: img.src,
+    format,
+    bytes,
+    naturalWidth,
+    naturalHeight,
+    renderedWidth: img.renderedWidth ?? null,
+    renderedHeight: img.renderedHeight ?? null,
+    lcp: !!img.lcp,
+    issues,
+  };
+}
+
+/**
+ * @param {Array<object>} images  RenderedImage records (crawler) or htmlImages() output
+ * @param {Map<string, object>} probes  imageProbe results by absolute URL
+ */
+function auditImages(images = [], probes = new Map()) {
+  const checked = images
+    .filter((img) => img && img.src && !/^data:/i.test(img.src) && !isTracker(img))
+    .map((img) => checkImage(img, probes.get(img.src)));
+
+  const counts = {};
+  let bytes = 0;
+  let scoreSum = 0;
+  for (const img of checked) {
+    if (img.bytes != null) bytes += img.bytes;
+    for (const i of img.issues) counts[i.check] = (counts[i.check] || 0) + 1;
+    const errors = img.issues.filter((i) => i.severity === 'error').length;
+    scoreSum += Math.max(0, 1 - WEIGHT_ERROR * errors - WEIGHT_WARNING * (img.issues.length - errors));
+  }
+
+  return {
+    total: checked.length,
+    bytes,
+    counts,
+    images: checked,
+    quality: checked.length ? Math.round((scoreSum / checked.length) * 100) / 100 : null,
+  };
+}
+
+module.exports = { htmlImages, imageAuditUrls, auditImages };
@@ -0,0 +1,186 @@
+// /server/imageProbe.js — fetch just enough of an image to learn its status, type, size and dimensions
+// Contract:
+//   imageDimensions(buffer) => { format, width, height } | { format, width: null, height: null } | null
+//   createImageProber({ concurrency?, timeout?, headersFor?, statusOf? }) => {
+//     probe(url) => Promise<{ url, status, ok, contentType, bytes, format, width, height, error, finalUrl }>
+//   }
+//
+// Notes:
+//  - GET with "Range: bytes=0-65535"; servers that ignore Range are cut off after 64 KB. bytes comes from
+//    Content-Range / Content-Length (null when the server sends neither).
+//  - PNG, GIF, JPEG (SOFn scan), WebP (VP8 / VP8L / VP8X), AVIF (ispe box) and SVG (type only) are recognized.
+//  - Results are cached per prober (one per audit); concurrency is bounded.
+//  - statusOf (offline audits) replaces the network: status only, no dimensions.
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { AUDIT_UA } = require('./userAgent');
+
+const IMAGE_PROBE_CONCURRENCY = Math.max(1, Math.min(16, Number(process.env.IMAGE_PROBE_CONCURRENCY) || 4));
+const IMAGE_PROBE_TIMEOUT_MS = Math.max(2_000, Math.min(30_000, Number(process.env.IMAGE_PROBE_TIMEOUT_MS) || 8_000));
+const HEAD_BYTES = 64 * 1024;
+const MAX_REDIRECTS = 5;
+
+function jpegSize(buf) {
+  let off = 2;
+  while (off + 9 < buf.length) {
+    if (buf[off] !== 0xff) { off++; continue; }
+    const marker = buf[off + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { off += 2; continue; }
+    const len = buf.readUInt16BE(off + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { height: buf.readUInt16BE(off + 5), width: buf.readUInt16BE(off + 7) };
+    }
+    off += 2 + len;
+  }
+  return null;
+}
+
+function imageDimensions(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.length >= 24) {
+    return { format: 'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.toString('ascii', 0, 4) === 'GIF8') {
+    return { format: 'gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    const size = jpegSize(buf);
+    return { format: 'jpeg', width: size ? size.width : null, height: size ? size.height : null };
+  }
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' && buf.length >= 30) {
+    const chunk = buf.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { format: 'webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const b = buf.subarray(21, 25);
+      return {
+        format: 'webp',
+        width: 1 + (((b[1] & 0x3f) << 8) | b[0]),
+        height: 1 + (((b[3] & 0x0f) << 10) | (b[2] << 2) | ((b[1] & 0xc0) >> 6)),
+      };
+    }
+    if (chunk === 'VP8X') return { format: 'webp', width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    return { format: 'webp', width: null, height: null };
+  }
+  if (buf.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buf.toString('ascii', 8, 12))) {
+    const ispe = buf.indexOf('ispe');
+    return ispe > 0 && ispe + 16 <= buf.length
+      ? { format: 'avif', width: buf.readUInt32BE(ispe + 8), height: buf.readUInt32BE(ispe + 12) }
+      : { format: 'avif', width: null, height: null };
+  }
+  const head = buf.toString('utf8', 0, Math.min(buf.length, 512)).trimStart().toLowerCase();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return { format: 'svg', width: null, height: null };
+  return null;
+}
+
+function totalBytes(headers) {
+  const range = /\/(\d+)\s*$/.exec(headers['content-range'] || '');
+  if (range) return Number(range[1]);
+  const len = Number(headers['content-length']);
+  return Number.isFinite(len) && len >= 0 && !headers['content-range'] ? len : null;
+}
+
+function fetchHead(url, timeout, headersFor, redirectsLeft = MAX_REDIRECTS) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const done = (out) => { if (!settled) { settled = true; clearTimeout(timer); resolve(out); } };
+    let req;
+    const timer = setTimeout(() => { done({ status: 0, error: 'timeout', finalUrl: url }); if (req) req.destroy(); }, timeout);
+    try {
+      const mod = url.startsWith('https') ? https : http;
+      const headers = { 'User-Agent': AUDIT_UA, 'Accept': 'image/*,*/*;q=0.8', 'Range': `bytes=0-${HEAD_BYTES - 1}`, ...(headersFor ? headersFor(url) : {}) };
+      req = mod.get(url, { timeout, headers }, (res) => {
+        const status = res.statusCode || 0;
+        if (status >= 300 && status < 400 && res.headers.location) {
+          res.resume();
+          if (redirectsLeft <= 0) return done({ status: 0, error: 'too many redirects', finalUrl: url });
+          let next;
+          try { next = new URL(res.headers.location, url).href; } catch { return done({ status, error: 'bad redirect location', finalUrl: url }); }
+          clearTimeout(timer);
+          settled = true;
+          return resolve(fetchHead(next, timeout, headersFor, redirectsLeft - 1));
+        }
+        const chunks = [];
+        let size = 0;
+        const finish = () => done({
+          status, error: null, finalUrl: url,
+          contentType: String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || null,
+          bytes: totalBytes(res.headers),
+          head: Buffer.concat(chunks),
+        });
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          if (size >= HEAD_BYTES) { finish(); res.destroy(); }
+        });
+        res.on('end', finish);
+        res.on('error', finish);
+      });
+      req.on('timeout', () => { done({ status: 0, error: 'timeout', finalUrl: url }); req.destroy(); });
+      req.on('error', (e) => done({ status: 0, error: e.code || e.message || 'network error', finalUrl: url }));
+    } catch (e) {
+      done({ status: 0, error: e.message || 'invalid url', finalUrl: url });
+    }
+  });
+}
+
+/**
+ * @param {{ concurrency?: number, timeout?: number, headersFor?: (url: string) => object, statusOf?: (url: string) => number|null }} opts
+ */
+function createImageProber(opts = {}) {
+  const concurrency = Math.max(1, Number(opts.concurrency) || IMAGE_PROBE_CONCURRENCY);
+  const timeout = Math.max(500, Number(opts.timeout) || IMAGE_PROBE_TIMEOUT_MS);
+  const cache = new Map();
+  const queue = [];
+  let active = 0;
+
+  const pump = () => {
+    while (active < concurrency && queue.length) {
+      const job = queue.shift();
+      active++;
+      job().finally(() => { active--; pump(); });
+    }
+  };
+
+  const run = async (url) => {
+    if (!/^https?:\/\//i.test(url)) {
+      return { url, status: 0, ok: false, contentType: null, bytes: null, format: null, width: null, height: null, error: 'not an http(s) URL', finalUrl: url };
+    }
+    if (opts.statusOf) {
+      const status = await opts.statusOf(url);
+      return { url, status, ok: status == null ? null : status >= 200 && status < 300, contentType: null, bytes: null, format: null, width: null, height: null, error: null, finalUrl: url };
+    }
+    const res = await fetchHead(url, timeout, opts.headersFor || null);
+    const dims = res.head ? imageDimensions(res.head) : null;
+    const ok = res.status >= 200 && res.status < 300;
+    return {
+      url,
+      status: res.status,
+      ok,
+      contentType: res.contentType || null,
+      bytes: res.bytes ?? null,
+      format: dims ? dims.format : null,
+      width: dims ? dims.width : null,
+      height: dims ? dims.height : null,
+      error: res.error || (ok && !dims ? 'not a recognized image' : null),
+      finalUrl: res.finalUrl || url,
+    };
+  };
+
+  const probe = (url) => {
+    if (!cache.has(url)) {
+      cache.set(url, new Promise((resolve) => {
+        queue.push(() => run(url).then(resolve, (e) => resolve({ url, status: 0, ok: false, error: e.message || 'probe failed' })));
+        pump();
+      }));
+    }
+    return cache.get(url);
+  };
+
+  return { probe };
+}
+
+module.exports = { imageDimensions, createImageProber };
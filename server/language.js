@@ -0,0 +1,116 @@
+// /server/language.js — lightweight content-language detection (no dictionaries, no network)
+// Contract:
+//   detectLanguage(text) => { lang, confidence, script } | null     // null = too little text to judge
+//     lang: ISO 639-1 code; confidence 0..1; script: 'latin' | 'cyrillic' | 'greek' | 'arabic' | 'hebrew' |
+//           'devanagari' | 'thai' | 'han' | 'kana' | 'hangul'
+//   primarySubtag('en-GB') => 'en'
+//
+// Notes:
+//  - Non-Latin scripts are decided by character ranges first (kana → ja, hangul → ko, han alone → zh, …);
+//    Cyrillic and Arabic are split by letters unique to uk / bg / fa.
+//  - Latin-script text is scored against short stop-word profiles; the winner must cover enough of the
+//    tokens and beat the runner-up, otherwise null (product grids and nav-only pages are not prose).
+//  - Only the first LANGUAGE_SAMPLE_CHARS of text are looked at.
+
+'use strict';
+
+const LANGUAGE_SAMPLE_CHARS = Math.max(500, Math.min(50_000, Number(process.env.LANGUAGE_SAMPLE_CHARS) || 6_000));
+const MIN_WORDS = 20;
+const MIN_SCRIPT_CHARS = 40;
+
+// Function words only: frequent in any prose, rare as product names
+const STOPWORDS = {
+  en: 'the and of to in is that for it with as was on are be this by you not or from at have an they which we',
+  de: 'der die und den das ist nicht mit von sich des auf ein eine für im dem zu auch es sie wir werden wird',
+  fr: 'le la les et des est une que pour dans pas sur qui au avec sont du ce nous vous par plus ou aux être',
+  es: 'el la los las que de y en un una es por con para del se no al lo como más su sus está son nuestro',
+  it: 'il di che la per non una sono gli della con del le si al da anche nel alla più questo come ma delle',
+  pt: 'de que não uma os para com por mais das dos como mas ao ele foi são também seu sua nos está você',
+  nl: 'de het een van en is dat op te zijn niet met voor ook aan er maar als bij uit wordt naar zo onze deze',
+  sv: 'och att det som en på är av för med den till inte har de om ett men var jag vi kan från eller',
+  da: 'og at det er en til på af med for den ikke som har de vi kan om fra også eller vores være',
+  nb: 'og det er som på en til av for med ikke har de vi kan om fra også eller våre være ble',
+  fi: 'ja on ei se että oli hän mutta ovat kun myös tai niin kuin sekä ole ovat voi jos tämä',
+  pl: 'i w nie na się jest że do to z jak o co ale za od po tak są dla przez jego które także',
+  cs: 'a se na je že v to s z do jako pro by o ale od jsou jeho které také jak tak nebo při',
+  tr: 've bir bu da de için ile çok daha olan gibi ne en her kadar ama veya olarak sonra değil',
+  ro: 'și de în la cu pe nu este care o din un mai pentru sunt sau ca lui ce fost acest',
+  hu: 'a az és hogy nem is egy de van meg ez csak már mint el ki vagy volt még azt',
+  id: 'yang dan di ini itu dengan untuk tidak dari dalam akan pada juga ke karena ada kami anda atau',
+};
+const PROFILES = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, s]) => [lang, new Set(s.split(' '))]));
+
+const SCRIPTS = [
+  ['kana', /[\u3040-\u30ff]/g],
+  ['hangul', /[\uac00-\ud7af\u1100-\u11ff]/g],
+  ['han', /[\u4e00-\u9fff\u3400-\u4dbf]/g],
+  ['cyrillic', /[\u0400-\u04ff]/g],
+  ['greek', /[\u0370-\u03ff]/g],
+  ['arabic', /[\u0600-\u06ff]/g],
+  ['hebrew', /[\u0590-\u05ff]/g],
+  ['devanagari', /[\u0900-\u097f]/g],
+  ['thai', /[\u0e00-\u0e7f]/g],
+  ['latin', /[a-z\u00c0-\u024f]/gi],
+];
+
+const count = (text, re) => (text.match(re) || []).length;
+
+function primarySubtag(tag) {
+  return String(tag || '').trim().toLowerCase().split(/[-_]/)[0] || '';
+}
+
+function nonLatin(script, text) {
+  switch (script) {
+    case 'kana': return 'ja';
+    case 'hangul': return 'ko';
+    // Japanese pages always carry kana; Han without any is Chinese
+    case 'han': return count(text, SCRIPTS[0][1]) ? 'ja' : 'zh';
+    case 'cyrillic':
+      if (/[іїєґ]/i.test(text)) return 'uk';
+      return count(text, /ъ/gi) > count(text, /ы/gi) ? 'bg' : 'ru';
+    case 'greek': return 'el';
+    case 'arabic': return /[پچژگ]/.test(text) ? 'fa' : 'ar';
+    case 'hebrew': return 'he';
+    case 'devanagari': return 'hi';
+    case 'thai': return 'th';
+    default: return null;
+  }
+}
+
+/**
+ * @param {string} text  visible body copy (main content preferred)
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, LANGUAGE_SAMPLE_CHARS);
+  if (!sample.trim()) return null;
+
+  // Dominant script by letter count
+  let best = null;
+  let letters = 0;
+  for (const [script, re] of SCRIPTS) {
+    const n = count(sample, re);
+    letters += n;
+    if (!best || n > best.n) best = { script, n };
+  }
+  if (!best || !best.n) return null;
+
+  if (best.script !== 'latin') {
+    if (best.n < MIN_SCRIPT_CHARS) return null;
+    // kana is counted separately from han, so Japanese shows up as either
+    const script = best.script === 'han' && count(sample, SCRIPTS[0][1]) ? 'kana' : best.script;
+    return { lang: nonLatin(best.script, sample), confidence: Math.round((best.n / letters) * 100) / 100, script };
+  }
+
+  const words = sample.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+  if (words.length < MIN_WORDS) return null;
+  const scores = Object.entries(PROFILES).map(([lang, set]) => [lang, words.reduce((n, w) => n + (set.has(w) ? 1 : 0), 0)]);
+  scores.sort((a, b) => b[1] - a[1]);
+  const [[lang, top], [, second]] = scores;
+  const coverage = top / words.length;
+  if (coverage < 0.08 || top < 3) return null;
+  const margin = top ? (top - second) / top : 0;
+  if (margin < 0.15) return null;
+  return { lang, confidence: Math.round(Math.min(1, margin + coverage) * 100) / 100, script: 'latin' };
+}
+
+module.exports = { detectLanguage, primarySubtag };
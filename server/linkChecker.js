@@ -0,0 +1,256 @@
+// /server/linkChecker.js — status of every link the crawl found (internal + external)
+// Contract:
+//   createLinkChecker({ concurrency?, perHost?, timeout?, headersFor?, statusOf? }) => {
+//     check(url) => Promise<LinkResult>,        // cached per checker (one checker per audit)
+//     status(url) => Promise<number|null>       // drop-in replacement for a HEAD probe
+//   }
+//   checkLinks(pages, { checker?, maxLinks?, ...createLinkChecker opts }) => Promise<{
+//     total, checked, unknown, truncated,
+//     broken: Array<{ url, status, error, finalUrl, internal, sourceCount, sources: [{ page, anchor }] }>,
+//     redirected: Array<{ url, finalUrl, hops }>
+//   }>
+//
+//   LinkResult = { url, status, ok, broken, error, finalUrl, redirects: [{ url, status, location }], method }
+//
+// Notes:
+//  - HEAD first; any HEAD failure other than a timeout (status >= 400, network error) is retried as GET,
+//    since many servers reject or mishandle HEAD. GET bodies are never read.
+//  - Redirects are followed manually (up to 5 hops) so chains and loops are visible.
+//  - 429 / 999 (rate limiting, LinkedIn-style bot walls) are "unknown", not broken.
+//  - Bounded concurrency overall and per host, so big external link lists don't hammer one server.
+//  - statusOf replaces the network entirely (offline audits); a null status is "unknown".
+//  - A link reuses a crawled page's status when it names the same document: the crawler's canonical target
+//    when it has one, else scheme + host + path (trailing slash ignored) + query. Pages are keyed by
+//    crawl-canonical URLs, hrefs are as written.
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { load } = require('cheerio');
+const { AUDIT_UA } = require('./userAgent');
+
+const LINK_CHECK_CONCURRENCY = Math.max(1, Math.min(32, Number(process.env.LINK_CHECK_CONCURRENCY) || 8));
+const LINK_CHECK_PER_HOST = Math.max(1, Math.min(8, Number(process.env.LINK_CHECK_PER_HOST) || 2));
+const LINK_CHECK_TIMEOUT_MS = Math.max(2_000, Math.min(30_000, Number(process.env.LINK_CHECK_TIMEOUT_MS) || 10_000));
+const LINK_CHECK_MAX = Math.max(50, Math.min(20_000, Number(process.env.LINK_CHECK_MAX) || 2_000));
+const MAX_REDIRECTS = 5;
+const MAX_SOURCES = 20;
+const RATE_LIMITED = new Set([429, 999]);
+
+// Same document: scheme + host + path (trailing slash ignored) + query
+const docKey = (u) => {
+  try {
+    const x = new URL(u);
+    return `${x.protocol}//${x.host.toLowerCase()}${x.pathname.replace(/\/+$/, '')}${x.search}`;
+  } catch {
+    return String(u || '');
+  }
+};
+
+// One request, no redirect following. Resolves { status, location, error }.
+function request(url, method, timeout, headers) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const done = (out) => { if (!settled) { settled = true; clearTimeout(timer); resolve(out); } };
+    let req;
+    const timer = setTimeout(() => {
+      done({ status: 0, location: null, error: 'timeout' });
+      if (req) req.destroy();
+    }, timeout);
+    try {
+      const mod = url.startsWith('https') ? https : http;
+      req = mod.request(url, { method, timeout, headers: { 'User-Agent': AUDIT_UA, 'Accept': '*/*', ...headers } }, (res) => {
+        done({ status: res.statusCode || 0, location: res.headers.location || null, error: null });
+        res.destroy(); // status line + headers are all we need
+      });
+      req.on('timeout', () => { done({ status: 0, location: null, error: 'timeout' }); req.destroy(); });
+      req.on('error', (e) => done({ status: 0, location: null, error: e.code || e.message || 'network error' }));
+      req.end();
+    } catch (e) {
+      done({ status: 0, location: null, error: e.message || 'invalid url' });
+    }
+  });
+}
+
+async function follow(url, method, timeout, headersFor) {
+  const redirects = [];
+  const seen = new Set([url]);
+  let current = url;
+  for (;;) {
+    const res = await request(current, method, timeout, headersFor ? headersFor(current) : {});
+    if (res.status >= 300 && res.status < 400 && res.location) {
+      let next;
+      try { next = new URL(res.location, current).href; } catch { return { ...res, finalUrl: current, redirects, error: 'bad redirect location' }; }
+      redirects.push({ url: current, status: res.status, location: res.location });
+      if (seen.has(next)) return { status: 0, finalUrl: next, redirects, error: 'redirect loop' };
+      if (redirects.length >= MAX_REDIRECTS) return { status: 0, finalUrl: next, redirects, error: 'too many redirects' };
+      seen.add(next);
+      current = next;
+      continue;
+    }
+    return { status: res.status, finalUrl: current, redirects, error: res.error };
+  }
+}
+
+function classify(url, method, r) {
+  const unknown = r.status == null || RATE_LIMITED.has(r.status);
+  const broken = !unknown && (r.status === 0 || r.status >= 400);
+  return {
+    url,
+    status: r.status,
+    ok: !unknown && !broken,
+    broken,
+    error: r.error || null,
+    finalUrl: r.finalUrl || url,
+    redirects: r.redirects || [],
+    method,
+  };
+}
+
+/**
+ * @param {{ concurrency?: number, perHost?: number, timeout?: number,
+ *           headersFor?: (url: string) => object, statusOf?: (url: string) => number|null }} opts
+ */
+function createLinkChecker(opts = {}) {
+  const concurrency = Math.max(1, Number(opts.concurrency) || LINK_CHECK_CONCURRENCY);
+  const perHost = Math.max(1, Number(opts.perHost) || LINK_CHECK_PER_HOST);
+  const timeout = Math.max(500, Number(opts.timeout) || LINK_CHECK_TIMEOUT_MS);
+  const headersFor = opts.headersFor || null;
+
+  const cache = new Map(); // url -> Promise<LinkResult>
+  const waiting = [];      // [{ host, start }]
+  const byHost = new Map();
+  let active = 0;
+
+  const pump = () => {
+    for (let i = 0; i < waiting.length && active < concurrency; i++) {
+      const job = waiting[i];
+      if ((byHost.get(job.host) || 0) >= perHost) continue;
+      waiting.splice(i--, 1);
+      active++;
+      byHost.set(job.host, (byHost.get(job.host) || 0) + 1);
+      job.start().finally(() => {
+        active--;
+        byHost.set(job.host, byHost.get(job.host) - 1);
+        pump();
+      });
+    }
+  };
+
+  const schedule = (url, task) => new Promise((resolve) => {
+    let host = '';
+    try { host = new URL(url).host.toLowerCase(); } catch {}
+    waiting.push({ host, start: () => task().then(resolve, () => resolve(classify(url, 'HEAD', { status: 0, error: 'check failed' }))) });
+    pump();
+  });
+
+  const run = async (url) => {
+    if (opts.statusOf) {
+      const status = await opts.statusOf(url);
+      return classify(url, 'capture', { status });
+    }
+    const viaHead = await follow(url, 'HEAD', timeout, headersFor);
+    if (viaHead.status > 0 && viaHead.status < 400) return classify(url, 'HEAD', viaHead);
+    if (viaHead.error === 'timeout') return classify(url, 'HEAD', viaHead); // a GET would only wait again
+    const viaGet = await follow(url, 'GET', timeout, headersFor);
+    return classify(url, 'GET', viaGet);
+  };
+
+  const check = (url) => {
+    if (!cache.has(url)) cache.set(url, opts.statusOf ? run(url) : schedule(url, () => run(url)));
+    return cache.get(url);
+  };
+
+  return {
+    check,
+    status: async (url) => (await check(url)).status,
+  };
+}
+
+// Links per page: crawler outlinks, or parsed from HTML for pages that have none (homepage fallback)
+function pageLinks(page) {
+  if (Array.isArray(page.outlinks)) {
+    return page.outlinks.map((l) => ({ href: l.href, target: l.target || null, anchor: l.anchor || '', internal: !!l.internal }));
+  }
+  if (!page.html) return [];
+  const $ = load(page.html);
+  let host = '';
+  try { host = new URL(page.url).host.toLowerCase(); } catch {}
+  return $('a[href]').map((_, a) => {
+    try {
+      const u = new URL($(a).attr('href'), page.finalUrl || page.url);
+      if (!/^https?:$/.test(u.protocol)) return null;
+      return { href: u.href, target: null, anchor: $(a).text().replace(/\s+/g, ' ').trim().slice(0, 200), internal: u.host.toLowerCase() === host };
+    } catch {
+      return null;
+    }
+  }).get().filter(Boolean);
+}
+
+/**
+ * Check every unique link on the crawled pages.
+ * @param {Array<{ url: string, finalUrl?: string, status?: number, html?: string, outlinks?: Array }>} pages
+ * @param {{ checker?: ReturnType<typeof createLinkChecker>, maxLinks?: number }} opts  plus createLinkChecker opts
+ */
+async function checkLinks(pages = [], opts = {}) {
+  const checker = opts.checker || createLinkChecker(opts);
+  const maxLinks = Math.max(1, Number(opts.maxLinks) || LINK_CHECK_MAX);
+
+  // Crawled documents already have a status; reuse it for links that point exactly at them
+  const known = new Map();
+  for (const p of pages) {
+    if (typeof p.status !== 'number') continue;
+    known.set(docKey(p.url), p);
+    if (p.finalUrl && !known.has(docKey(p.finalUrl))) known.set(docKey(p.finalUrl), p);
+  }
+
+  const links = new Map(); // url (no fragment) -> { internal, sources }
+  for (const p of pages) {
+    for (const l of pageLinks(p)) {
+      let url;
+      try { const u = new URL(l.href); u.hash = ''; url = u.href; } catch { continue; }
+      if (!links.has(url)) links.set(url, { internal: l.internal, target: l.target, sources: [], seenPages: new Set() });
+      const entry = links.get(url);
+      if (entry.seenPages.has(p.url)) continue;
+      entry.seenPages.add(p.url);
+      entry.sources.push({ page: p.url, anchor: l.anchor });
+    }
+  }
+
+  const urls = [...links.keys()];
+  const truncated = urls.length > maxLinks;
+  const toCheck = urls.slice(0, maxLinks);
+
+  const results = await Promise.all(toCheck.map((url) => {
+    const page = known.get(docKey(links.get(url).target || url));
+    if (page) {
+      const redirects = page.url === url && page.finalUrl !== url ? (page.redirectChain || []) : [];
+      return classify(url, 'crawl', { status: page.status, finalUrl: page.finalUrl || url, redirects });
+    }
+    return checker.check(url);
+  }));
+
+  const out = { total: urls.length, checked: 0, unknown: 0, truncated, broken: [], redirected: [] };
+  results.forEach((r, i) => {
+    const entry = links.get(toCheck[i]);
+    if (!r.ok && !r.broken) { out.unknown++; return; }
+    out.checked++;
+    if (r.redirects.length && !r.broken) out.redirected.push({ url: r.url, finalUrl: r.finalUrl, hops: r.redirects.length });
+    if (!r.broken) return;
+    out.broken.push({
+      url: r.url,
+      status: r.status,
+      error: r.error,
+      finalUrl: r.finalUrl,
+      internal: entry.internal,
+      sourceCount: entry.sources.length,
+      sources: entry.sources.slice(0, MAX_SOURCES),
+    });
+  });
+  out.broken.sort((a, b) => b.sourceCount - a.sourceCount || (a.url < b.url ? -1 : 1));
+  return out;
+}
+
+module.exports = { createLinkChecker, checkLinks, LINK_CHECK_MAX };
@@ -0,0 +1,140 @@
+// /server/linkGraph.js — internal link graph from crawler outlinks
+// Contract:
+//   buildLinkGraph(pages, { homeUrl?, sitemapUrls?, complete? }) => {
+//     edges: Array<{ source, target, anchor, nofollow }>,
+//     nodes: Array<{ url, crawled, depth, inlinks, outlinks, pagerank, authority }>,
+//     orphans: string[],            // sitemap URLs no crawled page links to
+//     orphansComplete: boolean,     // false: crawl was truncated, orphans are only crawled sitemap URLs
+//     unreachable: string[],        // crawled pages with no link path from the homepage
+//     depthHistogram: { [depth]: count }
+//   }
+//
+// Notes:
+//  - Only internal edges (outlinks with a crawl-canonical `target`); self-links are dropped.
+//  - Click depth is BFS over all edges (users can click nofollow links too).
+//  - PageRank ignores nofollow edges; damping 0.85, dangling mass spread evenly.
+//    `authority` is PageRank rescaled so the strongest page is 1.
+//  - complete: false (the page cap cut the crawl short) limits orphans to sitemap URLs that were crawled: an
+//    uncrawled sitemap URL may well be linked from a page the crawl never reached.
+
+'use strict';
+
+const DAMPING = 0.85;
+const MAX_ITER = 50;
+const EPSILON = 1e-6;
+
+function collectEdges(pages) {
+  const edges = [];
+  const seen = new Set();
+  for (const p of pages) {
+    for (const l of p.outlinks || []) {
+      if (!l.target || l.target === p.url) continue;
+      const key = `${p.url}\n${l.target}\n${l.anchor}\n${l.nofollow ? 1 : 0}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push({ source: p.url, target: l.target, anchor: l.anchor || '', nofollow: !!l.nofollow });
+    }
+  }
+  return edges;
+}
+
+function clickDepths(homeUrl, adjacency) {
+  const depth = new Map();
+  if (!homeUrl) return depth;
+  depth.set(homeUrl, 0);
+  const queue = [homeUrl];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const next of adjacency.get(cur) || []) {
+      if (depth.has(next)) continue;
+      depth.set(next, depth.get(cur) + 1);
+      queue.push(next);
+    }
+  }
+  return depth;
+}
+
+function pageRank(urls, followEdges) {
+  const n = urls.length;
+  const rank = new Map(urls.map((u) => [u, 1 / (n || 1)]));
+  if (!n) return rank;
+
+  const out = new Map(urls.map((u) => [u, new Set()]));
+  for (const e of followEdges) {
+    if (out.has(e.source) && out.has(e.target)) out.get(e.source).add(e.target);
+  }
+
+  for (let iter = 0; iter < MAX_ITER; iter++) {
+    let dangling = 0;
+    for (const u of urls) if (!out.get(u).size) dangling += rank.get(u);
+
+    const next = new Map(urls.map((u) => [u, (1 - DAMPING) / n + (DAMPING * dangling) / n]));
+    for (const u of urls) {
+      const targets = out.get(u);
+      if (!targets.size) continue;
+      const share = (DAMPING * rank.get(u)) / targets.size;
+      for (const t of targets) next.set(t, next.get(t) + share);
+    }
+
+    let delta = 0;
+    for (const u of urls) delta += Math.abs(next.get(u) - rank.get(u));
+    for (const u of urls) rank.set(u, next.get(u));
+    if (delta < EPSILON) break;
+  }
+  return rank;
+}
+
+/**
+ * @param {Array<{ url: string, outlinks?: Array<{ target: string|null, anchor: string, nofollow: boolean }> }>} pages
+ * @param {{ homeUrl?: string, sitemapUrls?: string[], complete?: boolean }} opts  sitemapUrls are crawl-canonical
+ *        keys; complete = every discovered URL was crawled (default true)
+ */
+function buildLinkGraph(pages = [], opts = {}) {
+  const homeUrl = opts.homeUrl || (pages[0] && pages[0].url) || null;
+  const crawled = new Set(pages.map((p) => p.url));
+  const edges = collectEdges(pages);
+
+  const adjacency = new Map();
+  const inlinkSources = new Map();
+  const outCount = new Map();
+  for (const e of edges) {
+    if (!adjacency.has(e.source)) adjacency.set(e.source, new Set());
+    adjacency.get(e.source).add(e.target);
+    if (!inlinkSources.has(e.target)) inlinkSources.set(e.target, new Set());
+    inlinkSources.get(e.target).add(e.source);
+    outCount.set(e.source, (outCount.get(e.source) || 0) + 1);
+  }
+
+  const depth = clickDepths(homeUrl, adjacency);
+
+  // Rank over every URL the graph knows about (crawled pages + discovered targets)
+  const allUrls = [...new Set([...crawled, ...edges.map((e) => e.target)])];
+  const rank = pageRank(allUrls, edges.filter((e) => !e.nofollow));
+  const maxRank = Math.max(0, ...rank.values()) || 1;
+
+  const nodes = allUrls.map((url) => ({
+    url,
+    crawled: crawled.has(url),
+    depth: depth.has(url) ? depth.get(url) : null,
+    inlinks: inlinkSources.has(url) ? inlinkSources.get(url).size : 0,
+    outlinks: outCount.get(url) || 0,
+    pagerank: rank.get(url) || 0,
+    authority: (rank.get(url) || 0) / maxRank,
+  }));
+
+  const sitemapUrls = Array.isArray(opts.sitemapUrls) ? opts.sitemapUrls : [];
+  const orphansComplete = opts.complete !== false;
+  const orphans = [...new Set(sitemapUrls)]
+    .filter((u) => u !== homeUrl && !inlinkSources.has(u) && (orphansComplete || crawled.has(u)));
+  const unreachable = [...crawled].filter((u) => !depth.has(u));
+
+  const depthHistogram = {};
+  for (const node of nodes) {
+    if (!node.crawled || node.depth == null) continue;
+    depthHistogram[node.depth] = (depthHistogram[node.depth] || 0) + 1;
+  }
+
+  return { edges, nodes, orphans, orphansComplete, unreachable, depthHistogram };
+}
+
+module.exports = { buildLinkGraph };
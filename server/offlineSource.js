@@ -0,0 +1,458 @@
+// /server/offlineSource.js — crawler-shaped pages from a local export or capture (no live site needed)
+// Contract:
+//   loadOfflineSource(source, { baseUrl?, maxPages?, scope? }) => Promise<{
+//     siteUrl, kind: 'directory'|'har'|'warc',
+//     pages,                       // same record shape as crawler.crawlWithReport pages
+//     crawl,                       // { robots, sitemap, scope, offline: { kind, source, captures, truncated } }
+//     statusOf(url) => number|null // captured status; null when the capture can't tell
+//   }>
+//   serveDirectory(dir) => Promise<{ url, close() }>   // loopback static server (Lighthouse on a build folder)
+//
+// Notes:
+//  - Directory: every file is a URL under baseUrl (default http://localhost/); "x/index.html" is "/x/".
+//    Only .html/.htm files become pages; anything else only answers statusOf (missing files => 404).
+//  - HAR: log.entries responses (base64 bodies decoded); timings.wait becomes ttfb.
+//  - WARC (optionally .gz): "response" records; chunked + gzip/br/deflate bodies are decoded.
+//  - Pages are ordered like a crawl: BFS over links from the homepage (depth = hops), then any
+//    remaining HTML captures in URL order (depth null). Redirect captures are followed into redirectChain.
+//  - robots.txt and sitemaps are read from the capture too; robots rules are reported, never enforced.
+//  - rawHtml is null: captures are server HTML already, there is no rendered DOM to compare against.
+//  - headers are the captured response headers (Set-Cookie lines joined with "\n", like the crawler);
+//    null for directory pages, which have none.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { load } = require('cheerio');
+
+const { canonicalize, buildAllowedHosts, describeOutlinks } = require('./crawler');
+const { createRobotsMatcher } = require('./robots');
+const { fetchSitemaps } = require('./sitemap');
+const { normalizeScope, createScopeMatcher } = require('./crawlScope');
+
+const OFFLINE_MAX_PAGES = Math.max(1, Math.min(5_000, Number(process.env.OFFLINE_MAX_PAGES) || 500));
+const DEFAULT_BASE_URL = 'http://localhost/';
+const MAX_FILES = 20_000;
+const MAX_REDIRECTS = 10;
+
+const HTML_TYPE = /text\/html|application\/xhtml\+xml/i;
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.gz': 'application/gzip',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.pdf': 'application/pdf',
+};
+const mimeOf = (file) => MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+// ---------- readers: each yields captures { url, status, headers, body?: Buffer|null, file?, ttfb } ----------
+function walkDirectory(root) {
+  const files = [];
+  const stack = [''];
+  while (stack.length) {
+    const rel = stack.pop();
+    const entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const ent of entries) {
+      if (ent.name.startsWith('.') || ent.name === 'node_modules') continue;
+      const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) stack.push(childRel);
+      else if (ent.isFile()) files.push(childRel);
+      if (files.length >= MAX_FILES) return { files: files.sort(), truncated: true };
+    }
+  }
+  return { files: files.sort(), truncated: false };
+}
+
+function fileUrl(rel, baseUrl) {
+  const webPath = rel.replace(/(^|\/)index\.html?$/i, '$1');
+  return new URL(webPath.split('/').map(encodeURIComponent).join('/'), baseUrl).href;
+}
+
+function readDirectory(root, baseUrl) {
+  const { files, truncated } = walkDirectory(root);
+  const captures = files.map((rel) => ({
+    url: fileUrl(rel, baseUrl),
+    status: 200,
+    headers: { 'content-type': mimeOf(rel) },
+    file: path.join(root, rel),
+    ttfb: null,
+  }));
+  return { captures, truncated };
+}
+
+// Repeated headers fold into one value; Set-Cookie lines stay separate (Expires dates contain commas)
+const joinerOf = (name) => (name === 'set-cookie' ? '\n' : ', ');
+
+function readHar(buf) {
+  let har;
+  try { har = JSON.parse(buf.toString('utf8')); } catch { throw new Error('offline: HAR file is not valid JSON'); }
+  const entries = har && har.log && Array.isArray(har.log.entries) ? har.log.entries : null;
+  if (!entries) throw new Error('offline: HAR file has no log.entries');
+
+  const captures = entries.map((e) => {
+    const res = e.response || {};
+    const content = res.content || {};
+    const headers = {};
+    for (const h of res.headers || []) {
+      const name = String(h.name || '').toLowerCase();
+      if (!name) continue;
+      headers[name] = headers[name] ? `${headers[name]}${joinerOf(name)}${h.value}` : String(h.value);
+    }
+    if (res.redirectURL && !headers.location) headers.location = res.redirectURL;
+    if (content.mimeType && !headers['content-type']) headers['content-type'] = content.mimeType;
+    let body = null;
+    if (typeof content.text === 'string') {
+      body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : Buffer.from(content.text, 'utf8');
+    }
+    const wait = e.timings && typeof e.timings.wait === 'number' && e.timings.wait >= 0 ? Math.round(e.timings.wait) : null;
+    return { url: e.request && e.request.url, status: res.status || 0, headers, body, ttfb: wait };
+  }).filter((c) => typeof c.url === 'string' && /^https?:/i.test(c.url));
+
+  return { captures, truncated: false };
+}
+
+function parseHeaderLines(lines) {
+  const out = {};
+  for (const line of lines) {
+    const sep = line.indexOf(':');
+    if (sep <= 0) continue;
+    const name = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+    out[name] = out[name] ? `${out[name]}${joinerOf(name)}${value}` : value;
+  }
+  return out;
+}
+
+function dechunk(buf) {
+  const parts = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    const eol = buf.indexOf('\r\n', pos, 'latin1');
+    if (eol < 0) break;
+    const size = parseInt(buf.slice(pos, eol).toString('latin1').split(';')[0], 16);
+    if (!size || Number.isNaN(size)) break;
+    parts.push(buf.slice(eol + 2, eol + 2 + size));
+    pos = eol + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+function decodeContent(buf, encoding = '') {
+  try {
+    if (/\bgzip\b/i.test(encoding)) return zlib.gunzipSync(buf);
+    if (/\bbr\b/i.test(encoding)) return zlib.brotliDecompressSync(buf);
+    if (/\bdeflate\b/i.test(encoding)) return zlib.inflateSync(buf);
+  } catch {}
+  return buf;
+}
+
+function parseHttpResponse(block) {
+  const sep = block.indexOf('\r\n\r\n', 0, 'latin1');
+  if (sep < 0) return null;
+  const lines = block.slice(0, sep).toString('latin1').split('\r\n');
+  const m = /^HTTP\/\d(?:\.\d)?\s+(\d{3})/.exec(lines[0] || '');
+  if (!m) return null;
+  const headers = parseHeaderLines(lines.slice(1));
+  let body = block.slice(sep + 4);
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) body = dechunk(body);
+  body = decodeContent(body, headers['content-encoding']);
+  return { status: Number(m[1]), headers, body };
+}
+
+function readWarc(buf) {
+  let data = buf;
+  if (buf[0] === 0x1f && buf[1] === 0x8b) {
+    try { data = zlib.gunzipSync(buf); } catch { throw new Error('offline: could not decompress WARC file'); }
+  }
+  if (data.slice(0, 5).toString('latin1') !== 'WARC/') throw new Error('offline: not a WARC file');
+
+  const captures = [];
+  let pos = 0;
+  while (pos < data.length) {
+    const start = data.indexOf('WARC/', pos, 'latin1');
+    if (start < 0) break;
+    const headEnd = data.indexOf('\r\n\r\n', start, 'latin1');
+    if (headEnd < 0) break;
+    const fields = parseHeaderLines(data.slice(start, headEnd).toString('latin1').split('\r\n').slice(1));
+    const blockStart = headEnd + 4;
+    const len = Number(fields['content-length']) || 0;
+    pos = blockStart + len;
+
+    if ((fields['warc-type'] || '').toLowerCase() !== 'response') continue;
+    if (!/application\/http/i.test(fields['content-type'] || '')) continue;
+    const url = (fields['warc-target-uri'] || '').replace(/^<|>$/g, '');
+    if (!/^https?:/i.test(url)) continue;
+    const res = parseHttpResponse(data.slice(blockStart, blockStart + len));
+    if (res) captures.push({ url, ...res, ttfb: null });
+  }
+  return { captures, truncated: false };
+}
+
+function detectKind(source) {
+  if (fs.statSync(source).isDirectory()) return 'directory';
+  if (/\.har$/i.test(source)) return 'har';
+  if (/\.warc(?:\.gz)?$/i.test(source)) return 'warc';
+  const head = fs.readFileSync(source).slice(0, 5);
+  if (head[0] === 0x7b) return 'har'; // "{"
+  return 'warc';
+}
+
+// ---------- page records ----------
+function extractAnchors(html) {
+  const $ = load(html);
+  return $('a[href]').map((_, a) => {
+    const $a = $(a);
+    const text = $a.text().replace(/\s+/g, ' ').trim() || $a.find('img[alt]').first().attr('alt') || '';
+    return { href: $a.attr('href'), text: text.slice(0, 200), rel: ($a.attr('rel') || '').toLowerCase() };
+  }).get().filter((a) => a.href && !/^(mailto:|tel:|javascript:|#)/i.test(a.href));
+}
+
+function countLinks(anchors, pageUrl) {
+  const data = { internal: 0, external: 0, total: 0 };
+  let here = '';
+  try { here = new URL(pageUrl).host.toLowerCase(); } catch {}
+  for (const a of anchors) {
+    try {
+      const u = new URL(a.href, pageUrl);
+      data.total++;
+      if (u.host.toLowerCase() === here) data.internal++;
+      else data.external++;
+    } catch {}
+  }
+  return data;
+}
+
+/**
+ * Load a directory, HAR or WARC and shape it like a crawl.
+ * @param {string} source  path on disk
+ * @param {{ baseUrl?: string, maxPages?: number, scope?: object }} opts
+ *        baseUrl: site URL for a directory (default http://localhost/) or the homepage inside a capture
+ */
+async function loadOfflineSource(source, opts = {}) {
+  if (!source || typeof source !== 'string') throw new Error('offline: source path required');
+  if (!fs.existsSync(source)) throw new Error(`offline: ${source} does not exist`);
+  if (opts.baseUrl && !/^https?:\/\//i.test(opts.baseUrl)) throw new Error('offline: baseUrl must be http(s)');
+
+  const kind = detectKind(source);
+  const scope = normalizeScope(opts.scope);
+  const inScope = createScopeMatcher(scope);
+  const keepParams = new Set(scope.queryParams);
+  const maxPages = Math.max(1, Math.min(OFFLINE_MAX_PAGES, Number(opts.maxPages) || OFFLINE_MAX_PAGES));
+
+  const dirBase = opts.baseUrl || DEFAULT_BASE_URL;
+  const { captures, truncated } = kind === 'directory'
+    ? readDirectory(source, dirBase)
+    : kind === 'har' ? readHar(fs.readFileSync(source)) : readWarc(fs.readFileSync(source));
+
+  const bodyOf = (cap) => {
+    if (cap.body !== undefined) return cap.body;
+    try { cap.body = fs.readFileSync(cap.file); } catch { cap.body = null; }
+    return cap.body;
+  };
+  const isHtml = (cap) => HTML_TYPE.test(cap.headers['content-type'] || '');
+
+  // First capture per canonical URL wins (HARs often repeat a URL)
+  const byUrl = new Map();
+  for (const cap of captures) {
+    const key = canonicalize(cap.url, keepParams);
+    if (key && !byUrl.has(key)) byUrl.set(key, cap);
+  }
+
+  const firstHtml = captures.find((c) => isHtml(c) && c.status === 200);
+  const siteUrl = kind === 'directory'
+    ? dirBase
+    : (opts.baseUrl || (firstHtml ? new URL('/', firstHtml.url).href : null));
+  if (!siteUrl) throw new Error('offline: capture contains no HTML pages');
+
+  const site = new URL(siteUrl);
+  const allowedHosts = buildAllowedHosts(site.host);
+  const isSite = (u) => {
+    try { return allowedHosts.has(new URL(u).host.toLowerCase()); } catch { return false; }
+  };
+
+  const statusOf = (u) => {
+    const key = canonicalize(u, keepParams);
+    const cap = key && byUrl.get(key);
+    if (cap) return cap.status || null;
+    return kind === 'directory' && isSite(u) ? 404 : null;
+  };
+
+  // Follow captured redirects from a URL to the document it ends on
+  const resolvePage = (key) => {
+    const redirectChain = [];
+    const seen = new Set([key]);
+    let cap = byUrl.get(key);
+    while (cap && cap.status >= 300 && cap.status < 400 && cap.headers.location && redirectChain.length < MAX_REDIRECTS) {
+      let next;
+      try { next = new URL(cap.headers.location, cap.url).href; } catch { break; }
+      const nextKey = canonicalize(next, keepParams);
+      if (!nextKey || seen.has(nextKey) || !byUrl.has(nextKey)) break;
+      redirectChain.push({ url: cap.url, status: cap.status, location: cap.headers.location });
+      seen.add(nextKey);
+      cap = byUrl.get(nextKey);
+    }
+    return cap ? { cap, redirectChain } : null;
+  };
+
+  const toPage = (key, depth, { cap, redirectChain }) => {
+    const contentType = cap.headers['content-type'] || null;
+    const body = isHtml(cap) ? bodyOf(cap) : null;
+    const html = body ? body.toString('utf8') : '';
+    const anchors = html ? extractAnchors(html) : [];
+    return {
+      url: key,
+      depth,
+      finalUrl: cap.url,
+      status: cap.status || null,
+      redirectChain,
+      // a folder of files has no response headers; null keeps header-based checks from failing on it
+      headers: kind === 'directory' ? null : cap.headers,
+      contentType,
+      ttfb: cap.ttfb ?? null,
+      html,
+      rawStatus: null,
+      rawHtml: null,
+      rawTruncated: false,
+      links: countLinks(anchors, cap.url),
+      outlinks: describeOutlinks(anchors, cap.url, allowedHosts, keepParams),
+    };
+  };
+
+  const scopeReport = { ...scope, outOfScope: { excluded: 0, not_included: 0, too_deep: 0 } };
+  const outOfScope = new Set();
+  const admit = (key, depth) => {
+    const verdict = inScope.check(key, depth);
+    if (verdict.allowed) return true;
+    if (!outOfScope.has(key)) { outOfScope.add(key); scopeReport.outOfScope[verdict.reason]++; }
+    return false;
+  };
+
+  // BFS from the homepage, like the live crawl
+  const pages = [];
+  const visited = new Set();
+  const homeKey = canonicalize(siteUrl, keepParams);
+  const queue = [[homeKey, 0]];
+  while (queue.length && pages.length < maxPages) {
+    const [key, depth] = queue.shift();
+    if (visited.has(key)) continue;
+    visited.add(key);
+    const resolved = resolvePage(key);
+    if (!resolved) continue;
+    visited.add(canonicalize(resolved.cap.url, keepParams)); // a redirect target is the same document
+    const page = toPage(key, depth, resolved);
+    pages.push(page);
+    for (const l of page.outlinks) {
+      if (l.target && !visited.has(l.target) && admit(l.target, depth + 1)) queue.push([l.target, depth + 1]);
+    }
+  }
+
+  // Pages nothing links to (depth unknown, so skipped when maxDepth is set)
+  let capped = queue.some(([key]) => !visited.has(key)); // page cap reached with linked pages still queued
+  if (scope.maxDepth == null) {
+    const leftovers = [...byUrl.entries()]
+      .filter(([key, cap]) => !visited.has(key) && isSite(cap.url) && isHtml(cap) && cap.status === 200)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    for (const [key, cap] of leftovers) {
+      if (pages.length >= maxPages) { capped = true; break; }
+      if (!pages.length || admit(key, 0)) {
+        visited.add(key);
+        pages.push(toPage(key, pages.length ? null : 0, { cap, redirectChain: [] }));
+      }
+    }
+  }
+
+  // robots.txt + sitemaps from the capture (a missing robots.txt reads as 404 => allow all)
+  const robotsCap = byUrl.get(canonicalize(new URL('/robots.txt', site.origin).href));
+  const robots = createRobotsMatcher(robotsCap ? String(bodyOf(robotsCap) || '') : '', undefined, {
+    status: robotsCap ? robotsCap.status : 404,
+  });
+  const robotsReport = {
+    status: robotsCap ? robotsCap.status : null,
+    unavailable: robots.unavailable,
+    enforced: false,
+    agent: robots.agent,
+    crawlDelay: robots.crawlDelay,
+    sitemaps: robots.sitemaps,
+    blocked: pages
+      .map((p) => ({ url: p.url, verdict: robots.check(p.url) }))
+      .filter((b) => !b.verdict.allowed)
+      .map((b) => ({ url: b.url, rule: b.verdict.rule })),
+  };
+
+  const sitemap = await fetchSitemaps(site.origin, {
+    locations: robots.sitemaps,
+    fetchBuffer: async (u) => {
+      const cap = byUrl.get(canonicalize(u));
+      return cap ? { status: cap.status, body: bodyOf(cap) } : { status: 404, body: null };
+    },
+  });
+  for (const e of sitemap.entries) e.url = canonicalize(e.loc, keepParams) || e.loc;
+
+  return {
+    siteUrl,
+    kind,
+    pages,
+    crawl: {
+      robots: robotsReport,
+      sitemap,
+      scope: scopeReport,
+      offline: { kind, source: path.basename(source), captures: captures.length, truncated: truncated || capped },
+    },
+    statusOf,
+  };
+}
+
+/**
+ * Serve a build folder on loopback so Lighthouse can audit it. Mirrors the directory URL mapping
+ * ("x/" => x/index.html) and falls back to "x.html" for extensionless paths.
+ * @param {string} root
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+function serveDirectory(root) {
+  const base = path.resolve(root);
+  const server = http.createServer((req, res) => {
+    let rel;
+    try { rel = decodeURIComponent(new URL(req.url, 'http://localhost').pathname); } catch { rel = '/'; }
+    let file = path.resolve(base, '.' + path.posix.normalize(rel));
+    if (file !== base && !file.startsWith(base + path.sep)) { res.statusCode = 403; return res.end(); }
+
+    const candidates = rel.endsWith('/') ? [path.join(file, 'index.html')] : [file, path.join(file, 'index.html'), `${file}.html`];
+    file = candidates.find((f) => { try { return fs.statSync(f).isFile(); } catch { return false; } });
+    if (!file) { res.statusCode = 404; return res.end('Not found'); }
+
+    res.setHeader('Content-Type', mimeOf(file));
+    fs.createReadStream(file).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+  });
+}
+
+module.exports = { loadOfflineSource, serveDirectory, OFFLINE_MAX_PAGES };
@@ -0,0 +1,145 @@
+// /server/renderDiff.js — raw server HTML vs rendered DOM for the SEO elements crawlers care about
+// Contract:
+//   seoElements(html) => { title, metaDescription, canonical, metaRobots, h1: string[], words: string[] }
+//   compareRendering(rawHtml, renderedHtml) => {
+//     elements: Array<{ element, raw, rendered, status }>,
+//       status: 'same' | 'missing_in_raw' | 'missing_in_rendered' | 'different' | 'absent'
+//     rawWords, renderedWords,
+//     textCoverage,   // share of rendered body words already present in the raw HTML (0..1)
+//     dependency      // 0 = everything is server-rendered, 1 = every key element needs JavaScript
+//   }
+//   renderingReport(pages) => { compared, skipped, dependency, pages: Array<{ url, dependency, textCoverage, issues }> }
+//
+// Notes:
+//  - Elements absent from both versions carry no weight.
+//  - A value that JS rewrites counts half as much as one that only exists after JS,
+//    except robots/canonical where any disagreement means conflicting directives.
+
+'use strict';
+
+const { load } = require('cheerio');
+
+const MAX_WORDS = 5000;
+
+// Weight of each element in the dependency score
+const WEIGHTS = {
+  title: 0.2,
+  metaDescription: 0.1,
+  canonical: 0.15,
+  metaRobots: 0.15,
+  h1: 0.15,
+  bodyText: 0.25,
+};
+const DIRECTIVES = new Set(['canonical', 'metaRobots']);
+
+const squash = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function seoElements(html) {
+  const $ = load(html || '');
+  const robots = $('meta[name="robots" i], meta[name="googlebot" i]')
+    .map((_, m) => squash($(m).attr('content')).toLowerCase())
+    .get()
+    .filter(Boolean);
+
+  const h1 = $('h1').map((_, el) => squash($(el).text())).get().filter(Boolean);
+
+  $('script, style, noscript, template, svg').remove();
+  const words = squash($('body').text())
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 2)
+    .slice(0, MAX_WORDS);
+
+  return {
+    title: squash($('title').first().text()),
+    metaDescription: squash($('meta[name="description" i]').attr('content')),
+    canonical: squash($('link[rel="canonical" i]').attr('href')),
+    metaRobots: robots.join(', '),
+    h1,
+    words,
+  };
+}
+
+function elementStatus(raw, rendered) {
+  if (!raw && !rendered) return 'absent';
+  if (!raw) return 'missing_in_raw';
+  if (!rendered) return 'missing_in_rendered';
+  return raw === rendered ? 'same' : 'different';
+}
+
+// Multiset overlap: how much of the rendered copy a non-JS crawler already sees
+function textCoverage(rawWords, renderedWords) {
+  if (!renderedWords.length) return 1;
+  const bag = new Map();
+  for (const w of rawWords) bag.set(w, (bag.get(w) || 0) + 1);
+  let hit = 0;
+  for (const w of renderedWords) {
+    const n = bag.get(w);
+    if (n) { hit++; bag.set(w, n - 1); }
+  }
+  return hit / renderedWords.length;
+}
+
+function compareRendering(rawHtml, renderedHtml) {
+  const raw = seoElements(rawHtml);
+  const rendered = seoElements(renderedHtml);
+
+  const elements = ['title', 'metaDescription', 'canonical', 'metaRobots', 'h1'].map((element) => {
+    const r = element === 'h1' ? raw.h1.join(' | ') : raw[element];
+    const d = element === 'h1' ? rendered.h1.join(' | ') : rendered[element];
+    return { element, raw: r || null, rendered: d || null, status: elementStatus(r, d) };
+  });
+
+  const coverage = textCoverage(raw.words, rendered.words);
+
+  let weight = 0;
+  let penalty = 0;
+  for (const e of elements) {
+    if (e.status === 'absent') continue;
+    const w = WEIGHTS[e.element];
+    weight += w;
+    if (e.status === 'missing_in_raw') penalty += w;
+    else if (e.status !== 'same') penalty += DIRECTIVES.has(e.element) ? w : w / 2;
+  }
+  if (rendered.words.length) {
+    weight += WEIGHTS.bodyText;
+    penalty += WEIGHTS.bodyText * (1 - coverage);
+  }
+
+  return {
+    elements,
+    rawWords: raw.words.length,
+    renderedWords: rendered.words.length,
+    textCoverage: coverage,
+    dependency: weight ? penalty / weight : 0,
+  };
+}
+
+// Pages need `rawHtml` (crawler fetches it when RAW_HTML_COMPARE is on); non-HTML raw responses are skipped,
+// and so are truncated ones: half a document would make everything past the cut look JavaScript-only
+function renderingReport(pages = []) {
+  const out = { compared: 0, skipped: 0, dependency: null, pages: [] };
+  let total = 0;
+  for (const p of pages) {
+    if (!p || !p.html || typeof p.rawHtml !== 'string' || !p.rawHtml || p.rawTruncated || !(p.rawStatus >= 200 && p.rawStatus < 300)) {
+      out.skipped++;
+      continue;
+    }
+    const diff = compareRendering(p.rawHtml, p.html);
+    out.compared++;
+    total += diff.dependency;
+    out.pages.push({
+      url: p.url,
+      dependency: diff.dependency,
+      textCoverage: diff.textCoverage,
+      rawWords: diff.rawWords,
+      renderedWords: diff.renderedWords,
+      issues: diff.elements.filter((e) => e.status !== 'same' && e.status !== 'absent'),
+    });
+  }
+  if (out.compared) out.dependency = total / out.compared;
+  out.pages.sort((a, b) => b.dependency - a.dependency);
+  return out;
+}
+
+module.exports = { seoElements, compareRendering, renderingReport };
@@ -0,0 +1,189 @@
+// /server/requestAuth.js — credentials for auditing staging / password-protected sites
+// Contract:
+//   normalizeAuth(input?) => { username, password, cookies: [{ name, value }], headers: { [name]: value } } | null
+//     throws Error('request auth: ...') on malformed input (messages never include secret values)
+//   createRequestAuth(auth, siteUrl) => {
+//     enabled, siteHosts: Set<string>,
+//     headersFor(url) => object,          // Authorization / Cookie / custom headers for the audited site only
+//     applyToPage(page, { intercept? }),  // cookies + (optionally) request interception that adds the headers
+//     requestOverrides(request),          // for an existing interception handler: undefined | { headers }
+//     redact(text) => string,             // every secret value (4+ chars) replaced with [redacted]
+//     describe() => { basicAuth, cookies: string[], headers: string[] }  // names only; safe to echo
+//   }
+//
+// Notes:
+//  - Secrets are only attached to the audited host and its apex/www twin, never to third parties
+//    (link checks, CDNs, trackers). Redirect hops are re-checked by callers via headersFor(url).
+//  - No Lighthouse headers: its extraHeaders go to every origin the page loads (there is no per-origin
+//    option), so authenticated audits run without Lighthouse (see runAudit).
+//  - runAudit passes its report and the warnings it logs through redact(). Values under 4 characters are left
+//    alone: masking every "1" or "yes" would mangle the report and such values protect nothing.
+//  - With no auth, createRequestAuth(null, url) returns the same shape as a no-op.
+
+'use strict';
+
+const MAX_HEADERS = 30;
+const MAX_COOKIES = 50;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]{1,100}$/;
+const COOKIE_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]{1,200}$/;
+// Hop-by-hop / framing headers a caller must not override
+const RESERVED_HEADERS = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'te', 'keep-alive']);
+const REDACTED = '[redacted]';
+const MIN_SECRET_LENGTH = 4;
+
+const hasControlChars = (s) => /[\u0000-\u001f\u007f]/.test(s);
+
+function parseCookies(input) {
+  if (input == null || input === '') return [];
+  const list = typeof input === 'string'
+    ? input.split(';').map((part) => {
+        const eq = part.indexOf('=');
+        return eq < 0 ? { name: part.trim(), value: '' } : { name: part.slice(0, eq).trim(), value: part.slice(eq + 1).trim() };
+      }).filter((c) => c.name)
+    : input;
+  if (!Array.isArray(list)) throw new Error('request auth: cookies must be a "name=value; ..." string or an array');
+  if (list.length > MAX_COOKIES) throw new Error(`request auth: at most ${MAX_COOKIES} cookies`);
+  return list.map((c, i) => {
+    if (!c || typeof c.name !== 'string' || !COOKIE_NAME.test(c.name)) throw new Error(`request auth: cookie #${i + 1} has an invalid name`);
+    const value = c.value == null ? '' : String(c.value);
+    if (hasControlChars(value) || /[;,\s]/.test(value)) throw new Error(`request auth: cookie "${c.name}" has an invalid value`);
+    return { name: c.name, value };
+  });
+}
+
+function parseHeaders(input) {
+  if (input == null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('request auth: headers must be an object');
+  const entries = Object.entries(input);
+  if (entries.length > MAX_HEADERS) throw new Error(`request auth: at most ${MAX_HEADERS} headers`);
+  const out = {};
+  for (const [name, value] of entries) {
+    if (!HEADER_NAME.test(name)) throw new Error('request auth: invalid header name');
+    if (RESERVED_HEADERS.has(name.toLowerCase())) throw new Error(`request auth: header "${name}" cannot be set`);
+    if (typeof value !== 'string' || hasControlChars(value)) throw new Error(`request auth: header "${name}" must be a single-line string`);
+    out[name] = value;
+  }
+  return out;
+}
+
+/**
+ * Validate auth input from an API body.
+ * @param {{ username?: string, password?: string, cookies?: string|Array<{ name: string, value: string }>, headers?: Object<string,string> }=} input
+ */
+function normalizeAuth(input) {
+  if (input == null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('request auth: expected an object');
+
+  const username = input.username == null ? '' : input.username;
+  const password = input.password == null ? '' : input.password;
+  if (typeof username !== 'string' || typeof password !== 'string') throw new Error('request auth: username and password must be strings');
+  if (username.includes(':') || hasControlChars(username) || hasControlChars(password)) {
+    throw new Error('request auth: invalid basic auth credentials');
+  }
+  if (password && !username) throw new Error('request auth: password given without username');
+
+  const auth = { username, password, cookies: parseCookies(input.cookies), headers: parseHeaders(input.headers) };
+  if (!auth.username && !auth.cookies.length && !Object.keys(auth.headers).length) return null;
+  return auth;
+}
+
+function siteHostsFor(siteUrl) {
+  try {
+    const host = new URL(siteUrl).host.toLowerCase();
+    const bare = host.replace(/^www\./, '');
+    return new Set([host, bare, `www.${bare}`]);
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * @param {ReturnType<typeof normalizeAuth>} auth
+ * @param {string} siteUrl  the audited URL; its host (+ apex/www twin) receives the secrets
+ */
+function createRequestAuth(auth, siteUrl) {
+  const siteHosts = siteHostsFor(siteUrl);
+  const enabled = !!auth;
+
+  const siteHeaders = {};
+  if (auth) {
+    Object.assign(siteHeaders, auth.headers);
+    if (auth.username) {
+      siteHeaders.Authorization = 'Basic ' + Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+    }
+    if (auth.cookies.length) {
+      siteHeaders.Cookie = auth.cookies.map((c) => `${c.name}=${c.value}`).join('; ');
+    }
+  }
+  // Headers for browser tabs: cookies go through the cookie jar instead of a Cookie header
+  const pageHeaders = { ...siteHeaders };
+  delete pageHeaders.Cookie;
+
+  const candidates = [];
+  if (auth) {
+    if (auth.password) candidates.push(auth.password);
+    if (siteHeaders.Authorization) candidates.push(siteHeaders.Authorization.slice(6));
+    for (const c of auth.cookies) candidates.push(c.value);
+    for (const v of Object.values(auth.headers)) candidates.push(v);
+  }
+  const secrets = candidates
+    .filter((s) => s && s.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length); // longest first so overlapping values are fully masked
+
+  const isSiteUrl = (urlStr) => {
+    try {
+      return siteHosts.has(new URL(urlStr).host.toLowerCase());
+    } catch {
+      return false;
+    }
+  };
+
+  const headersFor = (urlStr) => (enabled && isSiteUrl(urlStr) ? { ...siteHeaders } : {});
+
+  const requestOverrides = (request) => {
+    if (!enabled || !Object.keys(pageHeaders).length || !isSiteUrl(request.url())) return undefined;
+    return { headers: { ...request.headers(), ...pageHeaders } };
+  };
+
+  async function applyToPage(page, { intercept = true } = {}) {
+    if (!enabled) return;
+    if (auth.cookies.length) {
+      const origins = [...siteHosts].map((h) => {
+        try { return new URL(siteUrl).protocol + '//' + h; } catch { return null; }
+      }).filter(Boolean);
+      const jar = [];
+      for (const url of origins) for (const c of auth.cookies) jar.push({ name: c.name, value: c.value, url });
+      await page.setCookie(...jar);
+    }
+    if (intercept && Object.keys(pageHeaders).length) {
+      await page.setRequestInterception(true);
+      page.on('request', (req) => {
+        req.continue(requestOverrides(req)).catch(() => {});
+      });
+    }
+  }
+
+  const redact = (text) => {
+    let out = String(text == null ? '' : text);
+    for (const s of secrets) out = out.split(s).join(REDACTED);
+    return out;
+  };
+
+  const describe = () => ({
+    basicAuth: !!(auth && auth.username),
+    cookies: auth ? auth.cookies.map((c) => c.name) : [],
+    headers: auth ? Object.keys(auth.headers) : [],
+  });
+
+  return {
+    enabled,
+    siteHosts,
+    headersFor,
+    applyToPage,
+    requestOverrides,
+    redact,
+    describe,
+  };
+}
+
+module.exports = { normalizeAuth, createRequestAuth, REDACTED };
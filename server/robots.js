@@ -0,0 +1,187 @@
+// /server/robots.js — robots.txt parsing + matching (RFC 9309, Google semantics)
+// Contract:
+//   parseRobotsTxt(text) => { groups: [{ agents, rules, crawlDelay }], sitemaps: string[] }
+//   createRobotsMatcher(text, agent?, { status }?) => {
+//     agent, crawlDelay, sitemaps,
+//     unavailable: string | null,   // why the rules are unknown (5xx / unreachable), null when they were read
+//     check(url) => { allowed: boolean, rule: { type, pattern, line } | null }
+//   }
+//
+// Notes:
+//  - Groups are selected by our product token (ROBOTS_AGENT, default "mtbb-audit"); falls back to "*".
+//    Multiple groups naming the same agent are merged, as crawlers are required to do.
+//  - Allow/Disallow precedence is longest match wins; on a tie Allow wins.
+//  - Supports "*" wildcards and the "$" end anchor; matches against path + query, in linear time (no RegExp:
+//    robots.txt is written by the audited site).
+//  - Status handling: 4xx => allow all; 5xx / unreachable => rules unknown: allow all and say so in
+//    `unavailable` (RFC 9309 would disallow everything, which turns one timeout into an empty audit).
+//    Callers retry once before building the matcher and report the gap.
+
+'use strict';
+
+const { URL } = require('url');
+
+const ROBOTS_AGENT = String(process.env.ROBOTS_AGENT || 'mtbb-audit').toLowerCase();
+
+// ---------- parsing ----------
+function parseRobotsTxt(robotsTxt) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  const lines = String(robotsTxt || '').split(/\r\n|\r|\n/);
+  lines.forEach((rawLine, idx) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const sep = line.indexOf(':');
+    if (sep < 0) return;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.replace(/^"|"$/g, '').toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    if (field === 'sitemap') {
+      // Sitemap lines are global, not part of any group
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return; // rules before any User-agent are ignored
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" — no rule to record
+      if (!value) return;
+      current.rules.push({ type: field, pattern: value, line: idx + 1 });
+    } else if (field === 'crawl-delay') {
+      const n = Number(value);
+      if (isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// Product-token match is a case-insensitive equality check (both sides are lowercased)
+function agentMatches(lineAgent, agent) {
+  if (!lineAgent || lineAgent === '*') return false;
+  return agent === lineAgent;
+}
+
+function selectGroup(parsed, agent = ROBOTS_AGENT) {
+  const ua = String(agent || '').toLowerCase();
+  const own = parsed.groups.filter((g) => g.agents.some((a) => agentMatches(a, ua)));
+  const picked = own.length ? own : parsed.groups.filter((g) => g.agents.includes('*'));
+  if (!picked.length) return null;
+
+  const delays = picked.map((g) => g.crawlDelay).filter((d) => d != null);
+  return {
+    agent: own.length ? ua : '*',
+    rules: picked.flatMap((g) => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+// ---------- matching ----------
+// Uppercase existing escapes and percent-encode anything non-ASCII so that
+// "/café" in robots.txt and "/caf%C3%A9" in a URL compare equal.
+function normalizeEncoding(s) {
+  return String(s || '')
+    .replace(/%[0-9a-f]{2}/gi, (m) => m.toUpperCase())
+    .replace(/[^\x00-\x7F]+/g, (m) => encodeURIComponent(m));
+}
+
+// "*" and a trailing "$" only, so no RegExp: literal pieces are matched left to right, each at its first
+// occurrence (leftmost is always safe for "*"), which is linear in the URL however many "*" a site writes.
+function compilePattern(pattern) {
+  let p = normalizeEncoding(pattern);
+  const anchored = p.endsWith('$');
+  if (anchored) p = p.slice(0, -1);
+  if (!p.startsWith('/') && !p.startsWith('*')) p = '/' + p;
+  return { parts: p.split('*'), anchored };
+}
+
+function patternMatches({ parts, anchored }, target) {
+  const first = parts[0];
+  if (parts.length === 1) return anchored ? target === first : target.startsWith(first);
+  if (!target.startsWith(first)) return false;
+  let pos = first.length;
+  for (let i = 1; i < parts.length - 1; i++) {
+    const at = target.indexOf(parts[i], pos);
+    if (at < 0) return false;
+    pos = at + parts[i].length;
+  }
+  const last = parts[parts.length - 1];
+  if (anchored) return target.length - last.length >= pos && target.endsWith(last);
+  return target.indexOf(last, pos) >= 0;
+}
+
+function matchRules(rules, pathWithQuery) {
+  const target = normalizeEncoding(pathWithQuery);
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.compiled) rule.compiled = compilePattern(rule.pattern);
+    if (!patternMatches(rule.compiled, target)) continue;
+    const len = rule.pattern.length;
+    if (
+      !best ||
+      len > best.pattern.length ||
+      (len === best.pattern.length && rule.type === 'allow' && best.type !== 'allow')
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build a matcher for one robots.txt response.
+ * @param {string} robotsTxt
+ * @param {string=} agent  product token to select a group for
+ * @param {{ status?: number }=} opts  HTTP status of the robots.txt fetch (0 = unreachable)
+ */
+function createRobotsMatcher(robotsTxt, agent = ROBOTS_AGENT, opts = {}) {
+  const status = typeof opts.status === 'number' ? opts.status : 200;
+  const parsed = status >= 200 && status < 300 ? parseRobotsTxt(robotsTxt) : { groups: [], sitemaps: [] };
+  const group = selectGroup(parsed, agent);
+
+  // Server errors / unreachable robots.txt: nothing is known, so nothing is blocked
+  const unavailable = status === 0 || status >= 500 ? `robots.txt ${status ? `returned ${status}` : 'unreachable'}` : null;
+
+  return {
+    status,
+    unavailable,
+    agent: group ? group.agent : null,
+    crawlDelay: group ? group.crawlDelay : null,
+    sitemaps: parsed.sitemaps,
+    rules: group ? group.rules.map(({ type, pattern, line }) => ({ type, pattern, line })) : [],
+
+    check(urlStr) {
+      let u;
+      try { u = new URL(urlStr); } catch { return { allowed: true, rule: null }; }
+      // robots.txt itself is always fetchable
+      if (u.pathname === '/robots.txt') return { allowed: true, rule: null };
+      if (!group || !group.rules.length) return { allowed: true, rule: null };
+
+      const hit = matchRules(group.rules, u.pathname + u.search);
+      if (!hit) return { allowed: true, rule: null };
+      return {
+        allowed: hit.type === 'allow',
+        rule: { type: hit.type, pattern: hit.pattern, line: hit.line },
+      };
+    },
+  };
+}
+
+module.exports = { parseRobotsTxt, selectGroup, createRobotsMatcher, ROBOTS_AGENT };
@@ -9,6 +9,9 @@ const sharedThresholds = [
   { grade: "F", minScore: 0.00 }
 ];
 
+// aggregate (optional): score the whole crawl instead of the homepage — "median" / "worst" page value,
+// or "failing" (share of pages passing). See scoringEngine.siteAggregate.
+// optional: true skips the rule when the signal has no value at all instead of scoring it 0.
 module.exports = {
   /* ========== SEO ========== */
   seo: {
@@ -17,12 +20,25 @@ module.exports = {
     // Only signals your extractor actually emits, with scorer-supported types
     signals: [
       { name: "Indexing Readiness",     key: "indexable",             type: "boolean",    weight: 0.18 },
-      { name: "Meta Tags Present",      key: "metaTagsPresent",       type: "boolean",    weight: 0.14 },
-      { name: "Alt Text Coverage",      key: "altTextCoverage",       type: "normalized", weight: 0.12 },
-      { name: "Header Structure",       key: "headerStructure",       type: "enum_quality", weight: 0.10 },
-      { name: "Internal Linking",       key: "internalLinks",         type: "normalized", weight: 0.16 },
+      { name: "Meta Tags Present",      key: "metaTagsPresent",       type: "boolean",    weight: 0.14, aggregate: "failing" },
+      { name: "Title Length & Quality", key: "titleQuality",          type: "normalized", weight: 0.08, aggregate: "failing" }, // px width vs SERP cut-off, placeholders
+      { name: "Meta Description Length",key: "metaDescriptionQuality",type: "normalized", weight: 0.06, aggregate: "failing" },
+      { name: "Alt Text Coverage",      key: "altTextCoverage",       type: "normalized", weight: 0.12, aggregate: "median" },
+      { name: "Image Optimization",     key: "imageOptimization",     type: "normalized", weight: 0.06, aggregate: "median" }, // size, weight, format, CLS, lazy loading
+      { name: "Header Structure",       key: "headerStructure",       type: "enum_quality", weight: 0.10, aggregate: "median" },
+      { name: "Heading Outline",        key: "headingQuality",        type: "normalized", weight: 0.06, aggregate: "median" }, // skipped levels, empty/hidden/styling headings, duplicate H1s
+      { name: "Site Architecture",      key: "siteArchitecture",      type: "normalized", weight: 0.16 }, // click depth + orphans; = internalLinks without a graph
       { name: "External Link Diversity",key: "externalLinks",         type: "normalized", weight: 0.08 },
+      { name: "Canonical Quality",      key: "canonicalQuality",      type: "normalized", weight: 0.08, aggregate: "failing" }, // self/conflicting/redirect/noindex/sitemap
       { name: "Structured Data Present",key: "structuredDataPresent", type: "boolean",    weight: 0.12 },
+      { name: "Structured Data Validity",key: "structuredDataValidity",type: "normalized", weight: 0.12, aggregate: "median", optional: true }, // schema.org required/recommended props; null = no markup
+      { name: "Social Share Metadata",  key: "socialMetaQuality",     type: "normalized", weight: 0.05, aggregate: "median" }, // Open Graph + Twitter Cards
+      { name: "hreflang Annotations",   key: "hreflangQuality",       type: "normalized", weight: 0.06, aggregate: "median" }, // codes, return links, x-default, targets
+      { name: "HTML lang Matches Content",key: "langAttrMatch",       type: "normalized", weight: 0.04, aggregate: "failing" },
+      { name: "Sitemap Quality",        key: "sitemapQuality",        type: "normalized", weight: 0.06 },
+      { name: "Non-200 Pages (inverse)",key: "nonOkPagesRatio",       type: "numeric_inverse", weight: 0.08 },
+      { name: "Redirect Chains (inverse)",key: "redirectChainRatio",  type: "numeric_inverse", weight: 0.04 },
+      { name: "JS Rendering Dependency (inverse)",key: "renderingDependency", type: "numeric_inverse", weight: 0.06 }, // raw HTML vs rendered DOM
       { name: "Trust Signals Present",  key: "trustSignalsPresent",   type: "boolean",    weight: 0.10 }
     ]
   },
@@ -38,12 +54,30 @@ module.exports = {
     ]
   },
 
-  /* ========== ACCESSIBILITY (Lighthouse) ========== */
+  /* ========== ACCESSIBILITY (axe-core per page + Lighthouse) ========== */
   accessibility: {
     label: "Accessibility",
     thresholds: sharedThresholds,
+    // axe rules are optional: offline sources have no scan and fall back to Lighthouse alone
     signals: [
-      { name: "Accessibility",     key: "accessibilityScore",   type: "lighthouse_score", weight: 1.0 }
+      { name: "WCAG A/AA Violations (axe)", key: "accessibilityQuality",  type: "normalized",       weight: 0.50, aggregate: "median",  optional: true },
+      { name: "No Critical/Serious Issues", key: "accessibilityBlockers", type: "normalized",       weight: 0.30, aggregate: "failing", optional: true },
+      { name: "Accessibility (LH)",         key: "accessibilityScore",    type: "lighthouse_score", weight: 0.20 }
+    ]
+  },
+
+  /* ========== SECURITY HYGIENE (main document responses + transport) ========== */
+  security: {
+    label: "Security Hygiene",
+    thresholds: sharedThresholds,
+    // redirect + certificate need the live host (null offline); header checks need captured response headers.
+    // An offline http source leaves every rule empty: the section is skipped instead of graded F.
+    signals: [
+      { name: "HTTPS Usage",           key: "httpsUsage",       type: "boolean",    weight: 0.10, optional: true }, // null for offline http sources
+      { name: "HTTP → HTTPS Redirect", key: "httpsRedirect",    type: "normalized", weight: 0.15, optional: true }, // permanent, same host
+      { name: "TLS Certificate",       key: "tlsHealth",        type: "normalized", weight: 0.15, optional: true }, // valid chain, expiry, protocol
+      { name: "Security Headers",      key: "securityHeaders",  type: "normalized", weight: 0.45, aggregate: "median", optional: true }, // HSTS, CSP, nosniff, framing, referrer, permissions, cookies
+      { name: "No Mixed Content",      key: "mixedContentFree", type: "normalized", weight: 0.15, aggregate: "failing", optional: true }
     ]
   },
 
@@ -53,11 +87,14 @@ module.exports = {
     thresholds: sharedThresholds,
     // ‘scaled_match’ and ‘normalized’ are supported; removed unsupported ‘ai_score’
     signals: [
-      { name: "Title Tag Match",        key: "titleMatch",       type: "scaled_match",  weight: 0.20 },
-      { name: "Meta Description Match", key: "metaMatch",        type: "scaled_match",  weight: 0.15 },
-      { name: "Header Keyword Use",     key: "headerMatch",      type: "scaled_match",  weight: 0.15 },
-      { name: "Semantic Relevance",     key: "semanticScore",    type: "normalized",    weight: 0.25 },
-      { name: "Keyword Density",        key: "densityScore",     type: "normalized",    weight: 0.10 },
+      { name: "Title Tag Match",        key: "titleMatch",       type: "scaled_match",  weight: 0.20, aggregate: "median" },
+      { name: "Meta Description Match", key: "metaMatch",        type: "scaled_match",  weight: 0.15, aggregate: "median" },
+      { name: "Header Keyword Use",     key: "headerMatch",      type: "scaled_match",  weight: 0.15, aggregate: "median" },
+      { name: "Semantic Relevance",     key: "semanticScore",    type: "normalized",    weight: 0.25, aggregate: "median" },
+      { name: "Keyword Density",        key: "densityScore",     type: "normalized",    weight: 0.10, aggregate: "median" },
+      { name: "Readability",            key: "readability",      type: "normalized",    weight: 0.10, aggregate: "median", optional: true }, // Flesch-style per language + sentence length; null = too little prose
+      { name: "Duplicate Content (inverse)", key: "duplicateContentRatio", type: "numeric_inverse", weight: 0.10 }, // near-dup pages + repeated titles/descriptions
+      { name: "Keyword Cannibalization (inverse)", key: "keywordCannibalization", type: "numeric_inverse", weight: 0.10 }, // pages competing for one primary term
       { name: "Trust Signals Present",  key: "trustSignalsPresent", type: "boolean",    weight: 0.15 }
     ]
   },
@@ -70,10 +107,10 @@ module.exports = {
       // Provide idealRange for count_range; 4–12 sections is a good baseline
       { name: "Section Count (Home)",   key: "sectionCount",      type: "count_range",     idealRange: [4, 12], weight: 0.20 },
       // domDepthRatio from extractor is already “higher is better” → normalized (not inverse)
-      { name: "DOM Depth Ratio",        key: "domDepthRatio",     type: "normalized",      weight: 0.20 },
-      { name: "Header Hierarchy Flow",  key: "headerFlow",        type: "enum_quality",    weight: 0.15 },
-      { name: "CTA Clarity",            key: "ctaClarity",        type: "normalized",      weight: 0.25 },
-      { name: "Mobile Consistency",     key: "mobileConsistency", type: "normalized",      weight: 0.15 },
+      { name: "DOM Depth Ratio",        key: "domDepthRatio",     type: "normalized",      weight: 0.20, aggregate: "median" },
+      { name: "Header Hierarchy Flow",  key: "headerFlow",        type: "enum_quality",    weight: 0.15, aggregate: "median" },
+      { name: "CTA Clarity",            key: "ctaClarity",        type: "normalized",      weight: 0.25, optional: true }, // null = layout not measured
+      { name: "Mobile Consistency",     key: "mobileConsistency", type: "normalized",      weight: 0.15, aggregate: "worst" },
       // Broken links: lower is better → numeric_inverse
       { name: "Broken Links (inverse)", key: "brokenLinksRatio",  type: "numeric_inverse", weight: 0.05 }
     ]
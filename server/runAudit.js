@@ -1,4 +1,5 @@
 // /server/runAudit.js — crawl → screenshot → Lighthouse (median of 3) → PSI → signals → scoring
+// runOfflineAudit: local build folder / HAR / WARC → signals → scoring (no live site; CLI: npm run audit:offline)
 'use strict';
 
 /**
@@ -14,21 +15,29 @@ const https = require('https');
 const puppeteer = require('puppeteer');
 const { launch: launchChrome } = require('chrome-launcher');
 
-const crawlSite = require('./crawler');
+const { crawlWithReport, describeResponse, fetchRawHtml } = require('./crawler');
 const buildStructuredSignals = require('./buildStructuredSignals');
+const { buildLinkGraph } = require('./linkGraph');
+const { normalizeScope } = require('./crawlScope');
+const { normalizeKeywords } = require('./targetKeywords');
+const { normalizeAuth, createRequestAuth } = require('./requestAuth');
+const { loadOfflineSource, serveDirectory } = require('./offlineSource');
 const scoringEngine = require('./scoringEngine');
+const { AUDIT_UA } = require('./userAgent');
 
 /* ---------------------- ENV & CONSTANTS ---------------------- */
 const CHROME_PATH = process.env.CHROME_PATH || '/usr/bin/chromium';
 
-// Desktop user agent + viewport (used for crawl & screenshot)
-const DESKTOP_UA =
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+// Desktop viewport (used for crawl & screenshot); the user agent is the crawl's (./userAgent)
 const VIEWPORT = { width: 1366, height: 768, deviceScaleFactor: 1 };
 
 // Navigation & crawl limits
 const NAV_TIMEOUT_MS = 45_000;
 const MAX_PAGES = Math.max(10, Math.min(50, Number(process.env.MAX_PAGES) || 25));
+// Paying tiers crawl deeper with a pool of tabs (see crawler.js for per-host politeness)
+const PAID_TIERS = new Set(['pro']);
+const MAX_PAGES_PAID = Math.max(MAX_PAGES, Math.min(500, Number(process.env.MAX_PAGES_PAID) || 250));
+const CRAWL_CONCURRENCY_PAID = Math.max(1, Math.min(8, Number(process.env.CRAWL_CONCURRENCY_PAID) || 4));
 
 // Lighthouse mode
 // '' (default) means LH mobile emulation; set to 'desktop' for desktop config
@@ -39,9 +48,19 @@ const PSI_API_KEY = process.env.PSI_API_KEY || '';
 const PSI_BLEND = String(process.env.PSI_BLEND || '0') === '1'; // mix PSI field (30%) into lab perf (70%) if available
 const PSI_TIMEOUT_MS = Math.max(5_000, Math.min(15_000, Number(process.env.PSI_TIMEOUT_MS) || 9_000));
 
-// Small helper
+// Small helpers
 const ensureDir = (dir) => { try { fs.mkdirSync(dir, { recursive: true }); } catch {} };
 
+// Every string in a JSON-shaped value passed through redact (auth.redact: secrets → [redacted])
+const redactStrings = (value, redact) => {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map((v) => redactStrings(v, redact));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactStrings(v, redact)]));
+  }
+  return value;
+};
+
 /* ---------------------- LIGHTHOUSE (dynamic ESM) ---------------------- */
 /**
  * Lighthouse v11+ is ESM-only. We import it dynamically so CommonJS can use it.
@@ -108,7 +127,12 @@ function fieldPerformanceProxy(psiJson) {
 }
 
 /* ---------------------- LIGHTHOUSE: median-of-3 ---------------------- */
+/**
+ * @param {string} url
+ */
 async function runLighthouseMedian(url) {
+  // chrome-launcher emits an unhandled spawn error for a missing binary; fail as a normal rejection instead
+  if (!fs.existsSync(CHROME_PATH)) throw new Error(`Chrome not found at ${CHROME_PATH}`);
   // Launch an external Chrome that Lighthouse will connect to
   const chrome = await launchChrome({
     chromePath: CHROME_PATH,
@@ -204,14 +228,29 @@ async function fetchPSI(url) {
 /**
  * @param {string} targetUrl http(s)://
  * @param {string} siteType  'base' | 'b2b' | 'ecommerce' | 'media' (rubric key)
+ * @param {{ tier?: string, scope?: object, auth?: object, keywords?: Array|string }} opts  tier 'pro' lifts the page cap
+ *        and enables the tab pool;
+ *        scope limits the crawl (include/exclude, maxDepth, queryParams — see crawlScope.js) and is echoed back;
+ *        auth = { username?, password?, cookies?, headers? } for staging sites (only names are echoed back);
+ *        keywords = target keywords, optionally mapped to URLs (see targetKeywords.js), echoed back normalized
  */
-async function runAudit(targetUrl, siteType = 'base') {
+async function runAudit(targetUrl, siteType = 'base', opts = {}) {
   if (!/^https?:\/\//i.test(targetUrl)) {
     throw new Error('Invalid URL. Use http(s)://');
   }
 
+  const tier = opts.tier || 'basic';
+  const paid = PAID_TIERS.has(tier);
+  const scope = normalizeScope(opts.scope);
+  const keywords = normalizeKeywords(opts.keywords);
+  const auth = createRequestAuth(normalizeAuth(opts.auth), targetUrl);
+  const crawlOpts = paid ? { concurrency: CRAWL_CONCURRENCY_PAID, scope, auth } : { scope, auth };
+  const maxPages = paid ? MAX_PAGES_PAID : MAX_PAGES;
+
   let browser;
   let pages = [];
+  let crawlReport = {};
+  let linkGraph = null;
   let screenshotBase64 = null;
   let lighthouseLab = {};
   let psi = null;
@@ -234,11 +273,11 @@ async function runAudit(targetUrl, siteType = 'base') {
       defaultViewport: VIEWPORT,
     });
 
-    /* ---------- 1) Crawl (multi-page, default 25) ---------- */
+    /* ---------- 1) Crawl (multi-page, default 25; hundreds for paid tiers) ---------- */
     try {
-      pages = await crawlSite(targetUrl, MAX_PAGES, browser);
+      ({ pages, report: crawlReport } = await crawlWithReport(targetUrl, maxPages, browser, crawlOpts));
     } catch (e) {
-      console.warn('[AUDIT] crawler error:', e?.message);
+      console.warn('[AUDIT] crawler error:', auth.redact(e?.message));
       pages = [];
     }
 
@@ -246,23 +285,32 @@ async function runAudit(targetUrl, siteType = 'base') {
     if (!pages.length) {
       try {
         const p = await browser.newPage();
-        await p.setUserAgent(DESKTOP_UA);
+        await p.setUserAgent(AUDIT_UA);
         await p.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
-        await p.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
+        await auth.applyToPage(p);
+        const response = await p.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
         await p.waitForSelector('body', { timeout: 5_000 }).catch(() => {});
         const html = await p.content();
-        pages = [{ url: targetUrl, html, links: { internal: 0, external: 0, total: 0 } }];
+        pages = [{
+          url: targetUrl,
+          finalUrl: p.url(),
+          ...describeResponse(response),
+          html,
+          ...(await fetchRawHtml(targetUrl, auth)),
+          links: { internal: 0, external: 0, total: 0 },
+        }];
         await p.close();
       } catch (e) {
-        console.warn('[AUDIT] homepage fallback failed:', e?.message);
+        console.warn('[AUDIT] homepage fallback failed:', auth.redact(e?.message));
       }
     }
 
     /* ---------- 2) Screenshot (best-effort) ---------- */
     try {
       const p = await browser.newPage();
-      await p.setUserAgent(DESKTOP_UA);
+      await p.setUserAgent(AUDIT_UA);
       await p.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+      await auth.applyToPage(p);
       await p.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: NAV_TIMEOUT_MS });
       await p.waitForSelector('body', { timeout: 5_000 }).catch(() => {});
       await p.evaluate(() => new Promise(r => setTimeout(r, 600))); // short settle
@@ -270,30 +318,40 @@ async function runAudit(targetUrl, siteType = 'base') {
       screenshotBase64 = buf.toString('base64');
       await p.close();
     } catch (e) {
-      console.warn('[AUDIT] Screenshot failed:', e?.message);
+      console.warn('[AUDIT] Screenshot failed:', auth.redact(e?.message));
     }
 
     /* ---------- 3) Lighthouse (median-of-3) on homepage ---------- */
+    // Not for password-protected sites: Lighthouse's extraHeaders go to every origin the page loads
+    // (analytics, CDNs, fonts), so the credentials would leak; scoring then skips the Lighthouse rules
     try {
-      lighthouseLab = await runLighthouseMedian(targetUrl);
+      lighthouseLab = auth.enabled ? {} : await runLighthouseMedian(targetUrl);
     } catch (e) {
       lighthouseLab = {};
       // Keep going; signals and content analysis still useful
     }
 
-    /* ---------- 4) PSI field data (optional / non-blocking) ---------- */
+    /* ---------- 4) PSI field data (optional / non-blocking; Google can't reach password-protected sites) ---------- */
     try {
-      psi = await fetchPSI(targetUrl);
+      psi = auth.enabled ? null : await fetchPSI(targetUrl);
     } catch {
       psi = null;
     }
 
-    /* ---------- 5) Structured signals ---------- */
+    /* ---------- 5) Internal link graph + structured signals ---------- */
+    try {
+      const sitemapUrls = (crawlReport.sitemap?.entries || []).map((e) => e.url || e.loc);
+      linkGraph = buildLinkGraph(pages, { homeUrl: pages[0]?.url, sitemapUrls, complete: !crawlReport.truncated });
+    } catch (e) {
+      console.warn('[AUDIT] Link graph failed:', e?.message);
+      linkGraph = null;
+    }
+
     try {
       const home = pages[0] || { url: targetUrl, html: '' };
-      structuredSignals = await buildStructuredSignals(home, pages);
+      structuredSignals = await buildStructuredSignals(home, pages, { crawl: crawlReport, linkGraph, auth, keywords, siteType });
     } catch (e) {
-      console.warn('[AUDIT] Signals failed:', e?.message);
+      console.warn('[AUDIT] Signals failed:', auth.redact(e?.message));
       structuredSignals = {};
     }
 
@@ -314,7 +372,7 @@ async function runAudit(targetUrl, siteType = 'base') {
         bestPractices: lighthouseLab?.bestPractices ?? null,
         seo:           lighthouseLab?.seo ?? null,
       };
-      scores = scoringEngine(structuredSignals, siteType, { lighthouse: lhForScoring });
+      scores = scoringEngine(structuredSignals, siteType, { lighthouse: lhForScoring, skipLighthouse: auth.enabled });
     } catch (e) {
       console.warn('[AUDIT] Scoring failed:', e?.message);
       scores = {};
@@ -333,14 +391,104 @@ async function runAudit(targetUrl, siteType = 'base') {
     strategy:      (LH_FORM_FACTOR === 'desktop' ? 'desktop' : 'mobile'),
   };
 
-  return {
+  // A staging page, redirect URL or error message can echo a credential back; scrub before it leaves the
+  // server (the screenshot is pixels, not text)
+  const report = {
     url: targetUrl,
     siteType,
+    tier,
+    scope,
+    keywords,
+    auth: auth.describe(),
+    structuredSignals,
+    scores,
+    lighthouse,
+    crawl: crawlReport,
+    linkGraph,
+  };
+  return { ...(auth.enabled ? redactStrings(report, auth.redact) : report), screenshotBase64 };
+}
+
+/* ---------------------- OFFLINE ENTRY ---------------------- */
+/**
+ * Audit a local export or capture instead of a live URL: same pages → signals → scoring pipeline.
+ * Lighthouse runs only for a directory (served on loopback) and is skipped whenever it can't run;
+ * its sections then come back ungraded rather than failing.
+ * @param {string} source  build directory, .har, or .warc(.gz) path
+ * @param {string} siteType  rubric key
+ * @param {{ baseUrl?: string, maxPages?: number, scope?: object, keywords?: Array|string, lighthouse?: boolean }} opts
+ */
+async function runOfflineAudit(source, siteType = 'base', opts = {}) {
+  const scope = normalizeScope(opts.scope);
+  const keywords = normalizeKeywords(opts.keywords);
+  const { siteUrl, kind, pages, crawl, statusOf } = await loadOfflineSource(source, {
+    baseUrl: opts.baseUrl,
+    maxPages: opts.maxPages,
+    scope,
+  });
+  if (!pages.length) throw new Error('offline: no HTML pages found');
+
+  let linkGraph = null;
+  let lighthouseLab = {};
+  let structuredSignals = {};
+  let scores = {};
+
+  if (kind === 'directory' && opts.lighthouse !== false) {
+    let served = null;
+    try {
+      served = await serveDirectory(source);
+      lighthouseLab = await runLighthouseMedian(served.url);
+    } catch (e) {
+      console.warn('[AUDIT] Offline Lighthouse skipped:', e?.message);
+      lighthouseLab = {};
+    } finally {
+      if (served) await served.close();
+    }
+  }
+
+  try {
+    const sitemapUrls = (crawl.sitemap?.entries || []).map((e) => e.url || e.loc);
+    linkGraph = buildLinkGraph(pages, { homeUrl: pages[0].url, sitemapUrls, complete: !(crawl.offline && crawl.offline.truncated) });
+  } catch (e) {
+    console.warn('[AUDIT] Link graph failed:', e?.message);
+  }
+
+  try {
+    structuredSignals = await buildStructuredSignals(pages[0], pages, { crawl, linkGraph, statusOf, keywords, siteType });
+  } catch (e) {
+    console.warn('[AUDIT] Signals failed:', e?.message);
+  }
+
+  const lighthouse = {
+    performance:   lighthouseLab?.performance ?? null,
+    accessibility: lighthouseLab?.accessibility ?? null,
+    seo:           lighthouseLab?.seo ?? null,
+    bestPractices: lighthouseLab?.bestPractices ?? null,
+    fieldProxy:    null,
+    strategy:      (LH_FORM_FACTOR === 'desktop' ? 'desktop' : 'mobile'),
+  };
+
+  try {
+    scores = scoringEngine(structuredSignals, siteType, { lighthouse, skipLighthouse: true });
+  } catch (e) {
+    console.warn('[AUDIT] Scoring failed:', e?.message);
+  }
+
+  return {
+    url: siteUrl,
+    siteType,
+    tier: 'offline',
+    scope,
+    keywords,
+    auth: createRequestAuth(null, siteUrl).describe(),
     structuredSignals,
     scores,
     lighthouse,
-    screenshotBase64,
+    crawl,
+    linkGraph,
+    screenshotBase64: null,
   };
 }
 
 module.exports = runAudit;
+module.exports.runOfflineAudit = runOfflineAudit;
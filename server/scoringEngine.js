@@ -5,6 +5,13 @@
 //   count_range (idealRange), numeric_inverse, enum_quality, lighthouse_score
 // - Honors per-section weightsBySiteType overrides
 // - Accepts Lighthouse categories via opts.lighthouse { performance, accessibility, bestPractices, seo }
+// - opts.skipLighthouse drops lighthouse_score rules with no value (offline and authenticated audits); a section left
+//   with no rules reports weightedScore/grade null instead of an F
+// - rule.aggregate scores the whole crawl instead of the homepage (signals._site from buildStructuredSignals):
+//   'median' | 'worst' → that value, scored by the rule type; 'failing' → share of pages passing.
+//   Without a rollup for the key (old signal maps, non-page signals) the homepage value is used.
+// - rule.optional drops the rule when there is no value at all (e.g. no axe scan for offline sources) instead
+//   of scoring it 0; a section left with no rules is reported as skipped
 
 'use strict';
 
@@ -59,15 +66,28 @@ function scoreCountRange(raw, idealRange) {
   return clamp01(1 - (dist / width));
 }
 
+function lhValue(lh, key) {
+  if (key === 'pageSpeedScore')     return lh.performance;
+  if (key === 'accessibilityScore') return lh.accessibility;
+  if (key === 'bestPracticesScore') return lh.bestPractices;
+  if (key === 'seoScore')           return lh.seo;
+  return undefined;
+}
+
+const AGGREGATES = new Set(['median', 'worst', 'failing']);
+
+function siteAggregate(signals, rule) {
+  if (!AGGREGATES.has(rule.aggregate)) return null;
+  const agg = signals._site && signals._site.signals && signals._site.signals[rule.key];
+  return agg && typeof agg[rule.aggregate] === 'number' ? agg[rule.aggregate] : null;
+}
+
 function scoreRule(rawValue, rule, lh) {
   const t = rule.type || 'normalized';
 
   // Fill from Lighthouse if requested
   if (rawValue == null && t === 'lighthouse_score' && lh) {
-    if (rule.key === 'pageSpeedScore')          rawValue = lh.performance;
-    else if (rule.key === 'accessibilityScore') rawValue = lh.accessibility;
-    else if (rule.key === 'bestPracticesScore') rawValue = lh.bestPractices;
-    else if (rule.key === 'seoScore')           rawValue = lh.seo;
+    rawValue = lhValue(lh, rule.key);
   }
 
   switch (t) {
@@ -135,7 +155,7 @@ function normalizeRubricShape(rubric) {
 /**
  * @param {Object} signals - flat signal map (ideally 0..1) from buildStructuredSignals
  * @param {string} siteType - 'base' | 'b2b' | 'ecommerce' | 'media'
- * @param {Object} opts - { lighthouse?: { performance, accessibility, bestPractices, seo } }
+ * @param {Object} opts - { lighthouse?: { performance, accessibility, bestPractices, seo }, skipLighthouse?: boolean }
  * @returns {Object} section -> { total, max, weightedScore, grade, signals[] }
  */
 function scoringEngine(signals = {}, siteType = 'base', opts = {}) {
@@ -166,8 +186,11 @@ function scoringEngine(signals = {}, siteType = 'base', opts = {}) {
       const explicitWeight = (typeof rule.weight === 'number') ? rule.weight : undefined;
       const weight = explicitWeight ?? (typeof typeWeights[key] === 'number' ? typeWeights[key] : 1);
 
-      let raw = signals[key];
-      const score = scoreRule(raw, rule, lh);
+      const agg = siteAggregate(signals, rule);
+      let raw = agg != null ? agg : signals[key];
+      if (opts.skipLighthouse && rule.type === 'lighthouse_score' && raw == null && (!lh || lhValue(lh, key) == null)) continue;
+      if (rule.optional && raw == null) continue;
+      const score = agg != null && rule.aggregate === 'failing' ? 1 - clamp01(agg) : scoreRule(raw, rule, lh);
       const weighted = score * weight;
 
       sec.total += weighted;
@@ -180,10 +203,19 @@ function scoringEngine(signals = {}, siteType = 'base', opts = {}) {
         weight,
         weightedScore: weighted,
         type: rule.type || 'normalized',
+        aggregate: agg != null ? rule.aggregate : 'home',
         description: rule.description || rule.name || '',
       });
     }
 
+    if (!sec.max && (opts.skipLighthouse || rules.some((r) => r.optional))) {
+      sec.weightedScore = null;
+      sec.grade = null;
+      sec.skipped = true;
+      out[sectionName] = sec;
+      continue;
+    }
+
     const normalized = sec.max ? (sec.total / sec.max) : 0;
     sec.weightedScore = normalized;
     sec.grade = getGrade(normalized, thresholds);
@@ -0,0 +1,301 @@
+// /server/securityAudit.js — HTTP security headers, cookies, mixed content and transport (redirect + TLS)
+// Contract:
+//   auditSecurityHeaders(headers, url) => {
+//     checks: Array<{ id, status: 'pass' | 'warn' | 'fail' | 'n/a', value, message }>,
+//     cookies: Array<{ name, secure, httpOnly, sameSite, issues: string[] }>,
+//     hsts: { maxAge, includeSubDomains, preload } | null,
+//     quality                                     // 0..1; null when the response headers are unknown
+//   }
+//     id: 'hsts' | 'csp' | 'contentTypeOptions' | 'framing' | 'referrerPolicy' | 'permissionsPolicy' | 'cookies'
+//   mixedContent($, url) => Array<{ tag, url }>                   // http:// sub-resources of an https page
+//   transportReport(homeUrl, { timeout? }) => Promise<{
+//     httpRedirect: { from, hops: Array<{ url, status, location }>, finalUrl, upgrades, permanent, score, error },
+//     tls: { issuer, subject, validFrom, validTo, daysLeft, protocol, authorized, authorizationError, score, error } | null
+//   }>
+//   hstsPreload(hsts, httpRedirect) => { eligible, missing: string[] }
+//
+// Notes:
+//  - Headers are the main document response as the crawler received it (lower-case keys; Set-Cookie lines
+//    joined with "\n", as Puppeteer reports them).
+//  - quality: pass 1, warn 0.5, fail 0, weighted hsts 0.2, csp 0.2, framing 0.15, contentTypeOptions 0.15,
+//    referrerPolicy 0.1, permissionsPolicy 0.05, cookies 0.15 ('n/a' checks drop out).
+//  - CSP weaknesses: scripts allowed from '*' / any https: or http: / data:, 'unsafe-inline' without a nonce
+//    or hash, 'unsafe-eval', no script-src / default-src at all, report-only policies (nothing enforced).
+//  - HSTS preload (hstspreload.org): max-age ≥ 1 year, includeSubDomains, preload, and http:// redirecting to
+//    https:// on the same host first.
+//  - TLS is read from a direct connection to port 443 (certificate chain checked against Node's CA store);
+//    the http:// redirect is followed by hand, hop by hop, up to 5 hops. Either score is null when the
+//    connection itself fails (unknown, not failed): the crawl already reached the site another way.
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { URL } = require('url');
+const { AUDIT_UA } = require('./userAgent');
+
+const HSTS_MIN_AGE = 15_768_000;     // 6 months
+const HSTS_PRELOAD_AGE = 31_536_000; // 1 year
+const MAX_REDIRECTS = 5;
+const WEIGHTS = {
+  hsts: 0.2, csp: 0.2, framing: 0.15, contentTypeOptions: 0.15, referrerPolicy: 0.1, permissionsPolicy: 0.05, cookies: 0.15,
+};
+const STATUS_SCORE = { pass: 1, warn: 0.5, fail: 0 };
+const STRICT_REFERRERS = new Set(['no-referrer', 'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'origin']);
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+function parseHsts(value) {
+  if (!value) return null;
+  const dir = String(value).toLowerCase().split(';').map((d) => d.trim());
+  const age = dir.map((d) => /^max-age\s*=\s*"?(\d+)"?$/.exec(d)).find(Boolean);
+  return {
+    maxAge: age ? Number(age[1]) : null,
+    includeSubDomains: dir.includes('includesubdomains'),
+    preload: dir.includes('preload'),
+  };
+}
+
+// "default-src 'self'; script-src 'self' cdn.example" => Map { 'default-src' => ["'self'"], ... }
+function parseCsp(value) {
+  const out = new Map();
+  for (const part of String(value || '').split(/[;,]/)) {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !out.has(name.toLowerCase())) out.set(name.toLowerCase(), sources.map((s) => s.toLowerCase()));
+  }
+  return out;
+}
+
+function cspWeaknesses(csp) {
+  const weak = [];
+  const scripts = csp.get('script-src') || csp.get('default-src');
+  if (!scripts) {
+    weak.push('no script-src or default-src (scripts are unrestricted)');
+    return weak;
+  }
+  const hasNonce = scripts.some((s) => /^'(nonce|sha256|sha384|sha512)-/.test(s));
+  if (scripts.includes('*')) weak.push('scripts allowed from any origin (*)');
+  if (scripts.some((s) => s === 'https:' || s === 'http:')) weak.push('scripts allowed from any host over a scheme (https: / http:)');
+  if (scripts.includes('data:')) weak.push('scripts allowed from data: URLs');
+  if (scripts.includes("'unsafe-inline'") && !hasNonce) weak.push("'unsafe-inline' scripts without a nonce or hash");
+  if (scripts.includes("'unsafe-eval'")) weak.push("'unsafe-eval' allowed");
+  if (!csp.get('object-src') && !csp.get('default-src')) weak.push('no object-src (plugins unrestricted)');
+  return weak;
+}
+
+function parseCookies(value) {
+  return String(value || '').split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+    const [pair, ...attrs] = line.split(';').map((a) => a.trim());
+    const names = attrs.map((a) => a.split('=')[0].trim().toLowerCase());
+    const same = attrs.find((a) => /^samesite\s*=/i.test(a));
+    return {
+      name: pair.split('=')[0].trim(),
+      secure: names.includes('secure'),
+      httpOnly: names.includes('httponly'),
+      sameSite: same ? same.split('=')[1].trim().toLowerCase() : null,
+    };
+  });
+}
+
+function auditSecurityHeaders(headers, url) {
+  const h = headers && typeof headers === 'object' ? headers : {};
+  if (!Object.keys(h).length) return { checks: [], cookies: [], hsts: null, quality: null };
+  const secure = /^https:/i.test(url || '');
+  const checks = [];
+  const add = (id, status, value, message) => checks.push({ id, status, value: value ?? null, message });
+
+  // HSTS is ignored by browsers over plain http
+  const hsts = parseHsts(h['strict-transport-security']);
+  if (!secure) add('hsts', 'n/a', null, 'page is not served over https');
+  else if (!hsts) add('hsts', 'fail', null, 'Strict-Transport-Security missing');
+  else if (hsts.maxAge == null || hsts.maxAge < HSTS_MIN_AGE) {
+    add('hsts', 'warn', h['strict-transport-security'], `max-age ${hsts.maxAge ?? 'missing'} is under 6 months`);
+  } else add('hsts', 'pass', h['strict-transport-security'], `max-age ${hsts.maxAge}${hsts.includeSubDomains ? ', includeSubDomains' : ''}${hsts.preload ? ', preload' : ''}`);
+
+  const cspValue = h['content-security-policy'];
+  const csp = parseCsp(cspValue);
+  if (!cspValue) {
+    if (h['content-security-policy-report-only']) add('csp', 'warn', h['content-security-policy-report-only'], 'Content-Security-Policy is report-only (nothing is enforced)');
+    else add('csp', 'fail', null, 'Content-Security-Policy missing');
+  } else {
+    const weak = cspWeaknesses(csp);
+    if (weak.length) add('csp', 'warn', cspValue, weak.join('; '));
+    else add('csp', 'pass', cspValue, 'script sources restricted');
+  }
+
+  const xcto = String(h['x-content-type-options'] || '').trim().toLowerCase();
+  if (xcto === 'nosniff') add('contentTypeOptions', 'pass', xcto, 'nosniff');
+  else add('contentTypeOptions', 'fail', xcto || null, xcto ? `X-Content-Type-Options "${xcto}" is not nosniff` : 'X-Content-Type-Options missing');
+
+  const xfo = String(h['x-frame-options'] || '').trim().toLowerCase();
+  if (csp.has('frame-ancestors')) add('framing', 'pass', `frame-ancestors ${csp.get('frame-ancestors').join(' ')}`, 'framing restricted by CSP frame-ancestors');
+  else if (xfo === 'deny' || xfo === 'sameorigin') add('framing', 'pass', xfo, `X-Frame-Options ${xfo.toUpperCase()}`);
+  else if (xfo) add('framing', 'warn', xfo, `X-Frame-Options "${xfo}" is obsolete or invalid; use CSP frame-ancestors`);
+  else add('framing', 'fail', null, 'no frame-ancestors or X-Frame-Options (clickjacking)');
+
+  const referrer = String(h['referrer-policy'] || '').toLowerCase().split(',').map((s) => s.trim()).filter(Boolean).pop();
+  if (!referrer) add('referrerPolicy', 'warn', null, 'Referrer-Policy missing (browser default applies)');
+  else if (referrer === 'unsafe-url') add('referrerPolicy', 'fail', referrer, 'unsafe-url leaks full URLs to every site');
+  else if (STRICT_REFERRERS.has(referrer)) add('referrerPolicy', 'pass', referrer, referrer);
+  else add('referrerPolicy', 'warn', referrer, `${referrer} sends full URLs cross-origin`);
+
+  if (h['permissions-policy']) add('permissionsPolicy', 'pass', h['permissions-policy'], 'Permissions-Policy set');
+  else if (h['feature-policy']) add('permissionsPolicy', 'warn', h['feature-policy'], 'only the deprecated Feature-Policy is set');
+  else add('permissionsPolicy', 'warn', null, 'Permissions-Policy missing');
+
+  const cookies = parseCookies(h['set-cookie']).map((c) => {
+    const issues = [];
+    if (secure && !c.secure) issues.push('missing Secure');
+    if (!c.httpOnly) issues.push('missing HttpOnly');
+    if (!c.sameSite) issues.push('missing SameSite');
+    else if (c.sameSite === 'none' && !c.secure) issues.push('SameSite=None without Secure (rejected by browsers)');
+    return { ...c, issues };
+  });
+  const flagged = cookies.filter((c) => c.issues.length);
+  if (!cookies.length) add('cookies', 'n/a', null, 'no cookies set');
+  else if (!flagged.length) add('cookies', 'pass', cookies.length, `${cookies.length} cookie${cookies.length === 1 ? '' : 's'} with Secure, HttpOnly and SameSite`);
+  else {
+    const insecure = flagged.some((c) => c.issues.some((i) => /Secure/.test(i)));
+    add('cookies', insecure ? 'fail' : 'warn', cookies.length,
+      flagged.slice(0, 5).map((c) => `${c.name}: ${c.issues.join(', ')}`).join('; '));
+  }
+
+  const scored = checks.filter((c) => c.status in STATUS_SCORE);
+  const total = scored.reduce((n, c) => n + WEIGHTS[c.id], 0);
+  const quality = total ? round2(scored.reduce((n, c) => n + WEIGHTS[c.id] * STATUS_SCORE[c.status], 0) / total) : null;
+
+  return { checks, cookies, hsts, quality };
+}
+
+const SUBRESOURCES = [
+  ['script[src]', 'src'], ['link[rel~="stylesheet"][href]', 'href'], ['img[src]', 'src'], ['iframe[src]', 'src'],
+  ['source[src]', 'src'], ['video[src]', 'src'], ['audio[src]', 'src'], ['embed[src]', 'src'], ['object[data]', 'data'],
+  ['form[action]', 'action'],
+];
+
+function mixedContent($, url) {
+  if (!/^https:/i.test(url || '')) return [];
+  const out = [];
+  const seen = new Set();
+  for (const [sel, attr] of SUBRESOURCES) {
+    $(sel).each((_, el) => {
+      const v = String($(el).attr(attr) || '').trim();
+      if (!/^http:\/\//i.test(v) || seen.has(v)) return;
+      seen.add(v);
+      out.push({ tag: el.tagName.toLowerCase(), url: v });
+    });
+  }
+  return out;
+}
+
+function requestOnce(url, timeout) {
+  return new Promise((resolve) => {
+    let u;
+    try { u = new URL(url); } catch { return resolve({ status: null, location: null, error: 'invalid url' }); }
+    const lib = u.protocol === 'https:' ? https : http;
+    const req = lib.request(u, { method: 'GET', timeout, headers: { 'User-Agent': AUDIT_UA } }, (res) => {
+      res.resume();
+      resolve({ status: res.statusCode, location: res.headers.location || null, error: null });
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', (e) => resolve({ status: null, location: null, error: e.code || e.message }));
+    req.end();
+  });
+}
+
+async function followHttp(homeUrl, timeout) {
+  const start = new URL(homeUrl);
+  if (start.protocol === 'https:') {
+    start.protocol = 'http:';
+    start.port = '';
+  }
+  const out = { from: start.href, hops: [], finalUrl: null, upgrades: false, permanent: false, score: null, error: null };
+  let url = start.href;
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    const r = await requestOnce(url, timeout);
+    if (r.error) { out.error = r.error; break; }
+    out.hops.push({ url, status: r.status, location: r.location });
+    if (r.status >= 300 && r.status < 400 && r.location) {
+      try { url = new URL(r.location, url).href; } catch { out.error = 'invalid Location'; break; }
+      continue;
+    }
+    out.finalUrl = url;
+    break;
+  }
+  if (!out.finalUrl) {
+    if (!out.error) out.error = 'too many redirects';
+    return out;
+  }
+  const first = out.hops[0];
+  out.upgrades = /^https:/i.test(out.finalUrl);
+  out.permanent = !!first && (first.status === 301 || first.status === 308);
+  const direct = !!first && !!first.location && /^https:/i.test(new URL(first.location, start.href).href) &&
+    new URL(first.location, start.href).hostname === start.hostname;
+  // 1 = one permanent hop straight to https on the same host; a detour or a temporary redirect still upgrades
+  out.score = !out.upgrades ? 0 : out.permanent && direct ? 1 : 0.75;
+  return out;
+}
+
+function readCertificate(homeUrl, timeout) {
+  return new Promise((resolve) => {
+    const u = new URL(homeUrl);
+    const host = u.hostname.replace(/^\[|\]$/g, '');
+    const sni = net.isIP(host) ? {} : { servername: host };
+    const socket = tls.connect({ host, port: Number(u.port) || 443, ...sni, rejectUnauthorized: false, timeout }, () => {
+      const cert = socket.getPeerCertificate() || {};
+      const validTo = cert.valid_to ? new Date(cert.valid_to) : null;
+      const daysLeft = validTo ? Math.floor((validTo.getTime() - Date.now()) / 86_400_000) : null;
+      const protocol = socket.getProtocol();
+      const out = {
+        issuer: cert.issuer ? cert.issuer.O || cert.issuer.CN || null : null,
+        subject: cert.subject ? cert.subject.CN || null : null,
+        validFrom: cert.valid_from ? new Date(cert.valid_from).toISOString() : null,
+        validTo: validTo ? validTo.toISOString() : null,
+        daysLeft,
+        protocol,
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        score: null,
+        error: null,
+      };
+      let score = !out.authorized || daysLeft == null || daysLeft < 0 ? 0 : daysLeft < 14 ? 0.25 : daysLeft < 30 ? 0.6 : 1;
+      if (/^TLSv1(\.1)?$/.test(protocol || '')) score = Math.min(score, 0.5);
+      out.score = score;
+      socket.end();
+      resolve(out);
+    });
+    socket.on('timeout', () => socket.destroy(new Error('timeout')));
+    socket.on('error', (e) => resolve({ issuer: null, subject: null, validFrom: null, validTo: null, daysLeft: null, protocol: null,
+      authorized: false, authorizationError: null, score: null, error: e.code || e.message }));
+  });
+}
+
+/**
+ * @param {string} homeUrl
+ * @param {{ timeout?: number }} opts
+ */
+async function transportReport(homeUrl, opts = {}) {
+  const timeout = opts.timeout || 8000;
+  const secure = /^https:/i.test(homeUrl);
+  const [httpRedirect, cert] = await Promise.all([
+    followHttp(homeUrl, timeout),
+    secure ? readCertificate(homeUrl, timeout) : Promise.resolve(null),
+  ]);
+  return { httpRedirect, tls: cert };
+}
+
+function hstsPreload(hsts, httpRedirect) {
+  const missing = [];
+  if (!hsts) missing.push('Strict-Transport-Security header');
+  else {
+    if (!(hsts.maxAge >= HSTS_PRELOAD_AGE)) missing.push('max-age of at least 31536000');
+    if (!hsts.includeSubDomains) missing.push('includeSubDomains');
+    if (!hsts.preload) missing.push('preload directive');
+  }
+  if (httpRedirect && !(httpRedirect.upgrades && httpRedirect.score === 1)) missing.push('http:// redirecting straight to https:// on the same host');
+  return { eligible: !missing.length, missing };
+}
+
+module.exports = { auditSecurityHeaders, mixedContent, transportReport, hstsPreload };
@@ -0,0 +1,180 @@
+// /server/serpSnippet.js — title / meta description length, pixel width and a Google-style snippet preview
+// Contract:
+//   textWidth(text, fontPx) => number                      // estimated rendered width in px (Arial)
+//   truncateToWidth(text, maxPx, fontPx) => { text, truncated }
+//   analyzeSnippet({ url, title, titlePresent, description, descriptionPresent }) => {
+//     title:       { value, chars, px, status, issues: string[], truncated: { desktop, mobile }, quality },
+//     description: { value, chars, px, status, issues: string[], truncated: { desktop, mobile }, quality },
+//     preview: { displayUrl, desktop: { title, description }, mobile: { title, description } }
+//   }
+//     status: 'ok' | 'missing' | 'empty' | 'boilerplate' | 'too_short' | 'too_long'
+//
+// Notes:
+//  - Widths come from Arial/Helvetica advance widths (1/1000 em); Google renders titles in Arial 20px and
+//    descriptions in Arial 14px. Limits are the commonly observed truncation points, not a published spec.
+//  - Quality (0..1): missing/empty 0, boilerplate 0.2, truncated 0.5, too short 0.6, long but fits 0.8, ok 1.
+//  - Google rewrites many snippets anyway; this measures what the page asks for.
+
+'use strict';
+
+const LIMITS = {
+  desktop: { title: { font: 20, px: 600 }, description: { font: 14, px: 920 } },
+  mobile:  { title: { font: 20, px: 660 }, description: { font: 14, px: 680 } },
+};
+const TITLE_CHARS = [30, 60];
+const DESCRIPTION_CHARS = [70, 160];
+const ELLIPSIS = ' ...';
+
+// Helvetica/Arial AFM advance widths for printable ASCII (32..126)
+const ASCII_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space .. /
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,                                // 0-9
+  278, 278, 584, 584, 584, 556, 1015,                                               // : ; < = > ? @
+  667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,                 // A-M
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,                 // N-Z
+  278, 278, 278, 469, 556, 333,                                                     // [ \ ] ^ _ `
+  556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,                 // a-m
+  556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,                 // n-z
+  334, 260, 334, 584,                                                               // { | } ~
+];
+const WIDE = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/; // CJK / Hangul / full-width forms
+const COMBINING = /\p{M}/u;
+
+const BOILERPLATE_TITLES = new Set([
+  'home', 'homepage', 'home page', 'index', 'untitled', 'untitled document', 'untitled page', 'new page',
+  'page', 'document', 'default', 'welcome', 'test', 'title', 'page title', 'react app', 'vite app',
+  'vite + react', 'vite + react + ts', 'next.js', 'create next app', 'my site', 'my website', 'site title',
+  'coming soon', 'loading', 'loading...', 'just another wordpress site', 'my blog', 'wordpress',
+]);
+const BOILERPLATE_DESCRIPTIONS = [
+  /^just another wordpress site$/i,
+  /^lorem ipsum/i,
+  /^(page |site |meta )?description( goes here)?\.?$/i,
+  /^(add|enter|insert) (a |your )?(meta )?description/i,
+  /^web site created using create-react-app$/i,
+  /^generated by create next app$/i,
+];
+
+const squash = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function charUnits(ch) {
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return ASCII_WIDTHS[code - 32];
+  if (COMBINING.test(ch)) return 0;
+  if (WIDE.test(ch)) return 1000;
+  if (code > 0xffff) return 1000; // emoji and other astral symbols
+  // Latin-1 / Latin Extended letters with diacritics are about as wide as their base letter
+  const base = ch.normalize('NFD')[0];
+  if (base !== ch && base.codePointAt(0) >= 32 && base.codePointAt(0) <= 126) return ASCII_WIDTHS[base.codePointAt(0) - 32];
+  return 556;
+}
+
+function textWidth(text, fontPx) {
+  let units = 0;
+  for (const ch of String(text || '')) units += charUnits(ch);
+  return Math.round((units * fontPx) / 1000);
+}
+
+// Cut at the last word boundary that still fits with the ellipsis, like the SERP does
+function truncateToWidth(text, maxPx, fontPx) {
+  const value = squash(text);
+  if (textWidth(value, fontPx) <= maxPx) return { text: value, truncated: false };
+  const budget = maxPx - textWidth(ELLIPSIS, fontPx);
+  let units = 0;
+  let cut = 0;
+  let lastSpace = -1;
+  const chars = [...value];
+  for (let i = 0; i < chars.length; i++) {
+    units += charUnits(chars[i]);
+    if ((units * fontPx) / 1000 > budget) break;
+    if (chars[i] === ' ') lastSpace = i;
+    cut = i + 1;
+  }
+  const end = lastSpace > 0 && lastSpace > cut * 0.6 ? lastSpace : cut;
+  return { text: chars.slice(0, end).join('').replace(/[\s,;:|–—-]+$/, '') + ELLIPSIS, truncated: true };
+}
+
+function displayUrl(urlStr) {
+  try {
+    const u = new URL(urlStr);
+    const parts = u.pathname.split('/').filter(Boolean).map((p) => {
+      try { return decodeURIComponent(p); } catch { return p; }
+    });
+    return [u.host.replace(/^www\./, ''), ...parts].join(' › ');
+  } catch {
+    return String(urlStr || '');
+  }
+}
+
+function hostWords(urlStr) {
+  try { return new URL(urlStr).hostname.replace(/^www\./, '').toLowerCase(); } catch { return ''; }
+}
+
+function analyzeField(kind, value, present, urlStr) {
+  const chars = [...value].length;
+  const [minChars, maxChars] = kind === 'title' ? TITLE_CHARS : DESCRIPTION_CHARS;
+  const px = textWidth(value, LIMITS.desktop[kind].font);
+  const truncated = {
+    desktop: px > LIMITS.desktop[kind].px,
+    mobile: textWidth(value, LIMITS.mobile[kind].font) > LIMITS.mobile[kind].px,
+  };
+  const issues = [];
+  let status = 'ok';
+  let quality = 1;
+
+  const lower = value.toLowerCase();
+  const boilerplate = kind === 'title'
+    ? BOILERPLATE_TITLES.has(lower) || lower === hostWords(urlStr)
+    : BOILERPLATE_DESCRIPTIONS.some((re) => re.test(value));
+
+  if (!present) {
+    status = 'missing'; quality = 0;
+    issues.push(`no ${kind === 'title' ? '<title>' : 'meta description'}`);
+  } else if (!value) {
+    status = 'empty'; quality = 0;
+    issues.push(`${kind} is empty`);
+  } else if (boilerplate) {
+    status = 'boilerplate'; quality = 0.2;
+    issues.push(`${kind} is placeholder text ("${value}")`);
+  } else {
+    if (truncated.desktop) {
+      status = 'too_long'; quality = 0.5;
+      issues.push(`${kind} is ${px}px wide; desktop results cut it at ~${LIMITS.desktop[kind].px}px`);
+    } else if (chars < minChars) {
+      status = 'too_short'; quality = 0.6;
+      issues.push(`${kind} is ${chars} characters (aim for ${minChars}–${maxChars})`);
+    } else if (chars > maxChars) {
+      quality = 0.8;
+      issues.push(`${kind} is ${chars} characters (aim for ${minChars}–${maxChars})`);
+    }
+    if (truncated.mobile && !truncated.desktop) issues.push(`${kind} is truncated on mobile`);
+  }
+
+  return { value, chars, px, status, issues, truncated, quality };
+}
+
+/**
+ * @param {{ url: string, title?: string, titlePresent?: boolean, description?: string, descriptionPresent?: boolean }} page
+ */
+function analyzeSnippet(page) {
+  const titleValue = squash(page.title);
+  const descValue = squash(page.description);
+  const title = analyzeField('title', titleValue, page.titlePresent ?? !!titleValue, page.url);
+  const description = analyzeField('description', descValue, page.descriptionPresent ?? !!descValue, page.url);
+
+  // null = nothing usable on the page; Google substitutes its own text
+  const shown = (kind, field, device) =>
+    field.value ? truncateToWidth(field.value, LIMITS[device][kind].px, LIMITS[device][kind].font).text : null;
+
+  return {
+    title,
+    description,
+    preview: {
+      displayUrl: displayUrl(page.url),
+      desktop: { title: shown('title', title, 'desktop'), description: shown('description', description, 'desktop') },
+      mobile: { title: shown('title', title, 'mobile'), description: shown('description', description, 'mobile') },
+    },
+  };
+}
+
+module.exports = { textWidth, truncateToWidth, analyzeSnippet, LIMITS };
@@ -7,6 +7,9 @@ const express = require('express');
 const cors = require('cors');
 
 const runAudit = require('./runAudit');
+const { normalizeScope } = require('./crawlScope');
+const { normalizeAuth } = require('./requestAuth');
+const { normalizeKeywords } = require('./targetKeywords');
 
 // Be flexible with cohere client shape (function or { generateRecommendations })
 let aiRecommend = null;
@@ -46,7 +49,7 @@ app.get('/api/health', (_req, res) => {
 /* ---------------- Run Audit ---------------- */
 app.post('/api/run-audit', async (req, res) => {
   try {
-    const { url, siteType } = req.body || {};
+    const { url, siteType, scope, auth, keywords } = req.body || {};
     if (!url || !/^https?:\/\//i.test(url)) {
       return res
         .status(400)
@@ -55,8 +58,17 @@ app.post('/api/run-audit', async (req, res) => {
     if (!siteType) {
       return res.status(400).json({ error: true, message: 'Missing siteType.' });
     }
+    try {
+      normalizeScope(scope);
+      normalizeAuth(auth);
+      normalizeKeywords(keywords);
+    } catch (e) {
+      return res.status(400).json({ error: true, message: e.message });
+    }
 
-    const result = await runAudit(url, siteType);
+    // Same "pro" cookie the paywalled /api/run-audit function checks
+    const hasPro = /(?:^|;\s*)pro=1(?:;|$)/.test(req.headers.cookie || '');
+    const result = await runAudit(url, siteType, { tier: hasPro ? 'pro' : 'basic', scope, auth, keywords });
     if (!result || !result.scores) {
       return res
         .status(500)
@@ -81,7 +93,7 @@ app.post('/api/ai-recommendations', async (req, res) => {
         .json({ error: true, message: 'AI module not available.' });
     }
 
-    const { url, siteType = 'base', scores, structuredSignals, lighthouse } =
+    const { url, siteType = 'base', scores, structuredSignals, lighthouse, crawl } =
       req.body || {};
     if (!url || !scores) {
       return res
@@ -95,6 +107,7 @@ app.post('/api/ai-recommendations', async (req, res) => {
       scores,
       structuredSignals,
       lighthouse,
+      crawl,
     });
 
     if (ai && (ai.insights || ai.plan || ai.recommendations)) {
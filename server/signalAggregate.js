@@ -0,0 +1,61 @@
+// /server/signalAggregate.js — roll per-page signal values up to site level
+// Contract:
+//   aggregatePages(pageRows, specs) => {
+//     pages,                                   // number of pages with signals
+//     signals: { [key]: { median, worst, worstUrl, failing, failingPages: string[] } }
+//   }
+//     pageRows = Array<{ url, signals: { [key]: number } }>
+//     specs    = { [key]: { quality?: (value) => 0..1, pass?: number } }
+//
+// Notes:
+//  - quality maps a raw value onto "higher is better" (default: clamp to 0..1); count-style
+//    signals (sectionCount) pass their ideal-range score instead.
+//  - worst = raw value of the page with the lowest quality (ties → first page in crawl order).
+//  - failing = share of pages whose quality is below `pass` (default 0.5); booleans fail at 0.
+//  - Missing / non-numeric values are ignored per key, so a key's median can cover fewer pages.
+
+'use strict';
+
+const FAIL_BELOW = 0.5;
+const MAX_FAILING_URLS = 20;
+
+const clamp01 = (x) => (typeof x === 'number' && isFinite(x)) ? Math.max(0, Math.min(1, x)) : 0;
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function aggregatePages(pageRows = [], specs = {}) {
+  const out = { pages: pageRows.length, signals: {} };
+  for (const [key, spec] of Object.entries(specs)) {
+    const quality = spec.quality || clamp01;
+    const pass = typeof spec.pass === 'number' ? spec.pass : FAIL_BELOW;
+
+    const values = [];
+    let worst = null;
+    const failingPages = [];
+    for (const row of pageRows) {
+      const v = row.signals ? row.signals[key] : undefined;
+      if (typeof v !== 'number' || !isFinite(v)) continue;
+      values.push(v);
+      const q = quality(v);
+      if (!worst || q < worst.q) worst = { q, value: v, url: row.url };
+      if (q < pass) failingPages.push(row.url);
+    }
+    if (!values.length) continue;
+
+    out.signals[key] = {
+      median: median(values),
+      worst: worst.value,
+      worstUrl: worst.url,
+      failing: failingPages.length / values.length,
+      failingPages: failingPages.slice(0, MAX_FAILING_URLS),
+    };
+  }
+  return out;
+}
+
+module.exports = { aggregatePages, median };
@@ -0,0 +1,277 @@
+// /server/sitemap.js — sitemap discovery + parsing (index recursion, .xml.gz, image/news/hreflang extensions)
+// Contract:
+//   fetchSitemaps(origin, { locations?, maxUrls?, maxSitemaps?, headersFor?, fetchBuffer? }) =>
+//     Promise<{ sources: Array<{ url, type, status, gzip, urls, error? }>, entries: SitemapEntry[], truncated: boolean }>
+//   sitemapCoverage({ entries }, pages, { statusOf? }) => Promise<coverage report>
+//
+//   SitemapEntry = { loc, lastmod, changefreq, priority, images: [{ loc, title, caption }],
+//                    news: { title, publicationDate, language } | null,
+//                    alternates: [{ hreflang, href }], source }
+//
+// Notes:
+//  - Starts from the given locations (robots.txt Sitemap: lines) or /sitemap.xml.
+//  - Walks <sitemapindex> children breadth-first, de-duplicated, capped by SITEMAP_MAX_FILES.
+//  - Gunzips by magic bytes, so ".xml.gz" and Content-Encoding mishaps both work.
+//  - Namespace prefixes are matched by local name (image:image, news:news, xhtml:link).
+
+'use strict';
+
+const { URL } = require('url');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { load } = require('cheerio');
+const { AUDIT_UA } = require('./userAgent');
+
+const SITEMAP_MAX_URLS  = Math.max(100, Math.min(50_000, Number(process.env.SITEMAP_MAX_URLS) || 5_000));
+const SITEMAP_MAX_FILES = Math.max(1, Math.min(200, Number(process.env.SITEMAP_MAX_FILES) || 50));
+const MAX_BYTES = 50 * 1024 * 1024; // protocol limit for an uncompressed sitemap
+
+// ---------- fetch (binary-safe, follows redirects) ----------
+// Sends AUDIT_UA; headersFor(url) adds per-hop headers (site credentials for password-protected sitemaps)
+function fetchBuffer(url, timeout = 10_000, redirectsLeft = 5, headersFor = null) {
+  return new Promise((resolve) => {
+    try {
+      const mod = url.startsWith('https') ? https : http;
+      const headers = { 'User-Agent': AUDIT_UA, 'Accept-Encoding': 'gzip', ...(headersFor ? headersFor(url) : {}) };
+      const req = mod.get(url, { timeout, headers }, (res) => {
+        const status = res.statusCode || 0;
+        if (status >= 300 && status < 400 && res.headers.location && redirectsLeft > 0) {
+          res.resume();
+          let next;
+          try { next = new URL(res.headers.location, url).href; } catch { return resolve({ status, body: null }); }
+          return resolve(fetchBuffer(next, timeout, redirectsLeft - 1, headersFor));
+        }
+        const chunks = [];
+        let size = 0;
+        res.on('data', (c) => {
+          size += c.length;
+          if (size > MAX_BYTES) { req.destroy(); return resolve({ status, body: null }); }
+          chunks.push(c);
+        });
+        res.on('end', () => resolve({ status, body: Buffer.concat(chunks) }));
+      });
+      req.on('timeout', () => { req.destroy(); resolve({ status: 0, body: null }); });
+      req.on('error', () => resolve({ status: 0, body: null }));
+    } catch {
+      resolve({ status: 0, body: null });
+    }
+  });
+}
+
+function decodeBody(buf) {
+  if (!buf || !buf.length) return { xml: '', gzip: false };
+  const gzip = buf[0] === 0x1f && buf[1] === 0x8b;
+  if (!gzip) return { xml: buf.toString('utf8'), gzip };
+  try {
+    return { xml: zlib.gunzipSync(buf, { maxOutputLength: MAX_BYTES }).toString('utf8'), gzip };
+  } catch {
+    return { xml: '', gzip };
+  }
+}
+
+// ---------- XML helpers ----------
+const localName = (el) => String(el.name || '').toLowerCase().split(':').pop();
+const childrenNamed = ($, el, name) => $(el).children().filter((_, c) => localName(c) === name);
+const childText = ($, el, name) => childrenNamed($, el, name).first().text().trim() || null;
+
+function parseUrlNode($, el, source) {
+  const images = childrenNamed($, el, 'image').map((_, img) => ({
+    loc: childText($, img, 'loc'),
+    title: childText($, img, 'title'),
+    caption: childText($, img, 'caption'),
+  })).get().filter((i) => i.loc);
+
+  const newsEl = childrenNamed($, el, 'news').first();
+  let news = null;
+  if (newsEl.length) {
+    const pub = childrenNamed($, newsEl, 'publication').first();
+    news = {
+      title: childText($, newsEl, 'title'),
+      publicationDate: childText($, newsEl, 'publication_date'),
+      language: pub.length ? childText($, pub, 'language') : null,
+    };
+  }
+
+  const alternates = childrenNamed($, el, 'link')
+    .filter((_, l) => ($(l).attr('rel') || '').toLowerCase() === 'alternate' && $(l).attr('hreflang'))
+    .map((_, l) => ({ hreflang: $(l).attr('hreflang'), href: $(l).attr('href') || '' }))
+    .get();
+
+  const priority = childText($, el, 'priority');
+  return {
+    loc: childText($, el, 'loc'),
+    lastmod: childText($, el, 'lastmod'),
+    changefreq: childText($, el, 'changefreq'),
+    priority: priority != null && isFinite(Number(priority)) ? Number(priority) : null,
+    images,
+    news,
+    alternates,
+    source,
+  };
+}
+
+/**
+ * Parse one sitemap document.
+ * @returns {{ type: 'urlset'|'sitemapindex'|'unknown', children: string[], entries: object[] }}
+ */
+function parseSitemapXml(xml, source = '') {
+  if (!xml || !/<(?:\w+:)?(?:urlset|sitemapindex)\b/i.test(xml)) {
+    return { type: 'unknown', children: [], entries: [] };
+  }
+  const $ = load(xml, { xmlMode: true });
+  const root = $.root().children().filter((_, el) => ['urlset', 'sitemapindex'].includes(localName(el))).first();
+  const type = root.length ? localName(root.get(0)) : 'unknown';
+
+  if (type === 'sitemapindex') {
+    const children = childrenNamed($, root, 'sitemap')
+      .map((_, s) => childText($, s, 'loc'))
+      .get()
+      .filter(Boolean);
+    return { type, children, entries: [] };
+  }
+  if (type === 'urlset') {
+    const entries = childrenNamed($, root, 'url')
+      .map((_, u) => parseUrlNode($, u, source))
+      .get()
+      .filter((e) => e.loc);
+    return { type, children: [], entries };
+  }
+  return { type, children: [], entries: [] };
+}
+
+// ---------- discovery ----------
+/**
+ * Fetch and walk all sitemaps for a site.
+ * @param {string} origin
+ * @param {{ locations?: string[], maxUrls?: number, maxSitemaps?: number, headersFor?: (url: string) => object,
+ *           fetchBuffer?: (url: string) => Promise<{ status: number, body: Buffer|null }> }} opts
+ *        fetchBuffer replaces the network fetch (offline audits read sitemaps from a capture)
+ */
+async function fetchSitemaps(origin, opts = {}) {
+  const maxUrls = opts.maxUrls || SITEMAP_MAX_URLS;
+  const maxFiles = opts.maxSitemaps || SITEMAP_MAX_FILES;
+  const start = (opts.locations && opts.locations.length)
+    ? opts.locations
+    : [new URL('/sitemap.xml', origin).href];
+
+  const queue = [];
+  const seen = new Set();
+  for (const loc of start) {
+    try {
+      const abs = new URL(loc, origin).href;
+      if (!seen.has(abs)) { seen.add(abs); queue.push(abs); }
+    } catch {}
+  }
+
+  const sources = [];
+  const entries = [];
+  const seenLocs = new Set();
+  let truncated = false;
+
+  while (queue.length) {
+    if (sources.length >= maxFiles) { truncated = true; break; }
+    const url = queue.shift();
+    const { status, body } = opts.fetchBuffer
+      ? await opts.fetchBuffer(url)
+      : await fetchBuffer(url, undefined, undefined, opts.headersFor);
+    const { xml, gzip } = decodeBody(body);
+    const src = { url, type: 'unknown', status, gzip, urls: 0 };
+    sources.push(src);
+
+    if (status < 200 || status >= 300) { src.error = `HTTP ${status || 'unreachable'}`; continue; }
+    const parsed = parseSitemapXml(xml, url);
+    src.type = parsed.type;
+    if (parsed.type === 'unknown') { src.error = 'not a sitemap document'; continue; }
+
+    for (const child of parsed.children) {
+      try {
+        const abs = new URL(child, url).href;
+        if (!seen.has(abs)) { seen.add(abs); queue.push(abs); }
+      } catch {}
+    }
+
+    for (const e of parsed.entries) {
+      if (entries.length >= maxUrls) { truncated = true; break; }
+      let loc;
+      try { loc = new URL(e.loc, url).href; } catch { continue; }
+      if (seenLocs.has(loc)) continue;
+      seenLocs.add(loc);
+      const abs = (href) => { try { return new URL(href, loc).href; } catch { return href; } };
+      entries.push({
+        ...e,
+        loc,
+        images: e.images.map((i) => ({ ...i, loc: abs(i.loc) })),
+        alternates: e.alternates.map((a) => ({ ...a, href: abs(a.href) })),
+      });
+      src.urls++;
+    }
+  }
+
+  return { sources, entries, truncated };
+}
+
+// ---------- coverage vs crawl ----------
+const noindexIn = (html) => {
+  const $ = load(html || '');
+  const robots = $('meta[name="robots" i], meta[name="googlebot" i]').map((_, m) => $(m).attr('content') || '').get().join(',');
+  return /noindex|none/i.test(robots);
+};
+
+/**
+ * Compare sitemap URLs with crawled pages.
+ * @param {{ entries: Array<{ loc: string, url?: string }> }} sitemap  entries carry `url` = crawler-canonical key
+ * @param {Array<{ url: string, html: string, status?: number }>} pages
+ * @param {{ statusOf?: (url: string) => Promise<number|null>, limit?: number }} opts
+ *        status probe for sitemap URLs the crawl did not visit (null = unknown, not counted), and how many to probe (default 50)
+ */
+async function sitemapCoverage(sitemap, pages = [], opts = {}) {
+  const entries = (sitemap && Array.isArray(sitemap.entries)) ? sitemap.entries : [];
+  const byKey = new Map(entries.map((e) => [e.url || e.loc, e]));
+  const crawled = new Map(pages.map((p) => [p.url, p]));
+
+  const nonOk = [];
+  const noindex = [];
+  const missingFromSitemap = [];
+
+  for (const p of pages) {
+    if (entries.length && !byKey.has(p.url)) missingFromSitemap.push(p.url);
+  }
+
+  // Crawled sitemap URLs: status from the crawl's page record, noindex from their HTML
+  for (const [key, e] of byKey) {
+    const p = crawled.get(key);
+    if (!p) continue;
+    if (typeof p.status === 'number' && p.status !== 200) nonOk.push({ url: e.loc, status: p.status });
+    if (noindexIn(p.html)) noindex.push(e.loc);
+  }
+
+  // Uncrawled sitemap URLs: status probe (bounded by caller)
+  const uncrawled = [...byKey.entries()].filter(([key]) => !crawled.has(key)).map(([, e]) => e.loc);
+  let checked = 0;
+  if (typeof opts.statusOf === 'function') {
+    const limit = Math.max(0, opts.limit ?? 50);
+    const sample = uncrawled.slice(0, limit);
+    const codes = await Promise.all(sample.map((u) => Promise.resolve(opts.statusOf(u)).catch(() => 0)));
+    sample.forEach((u, i) => {
+      const code = codes[i];
+      if (code === null) return; // unknown (offline capture without this URL)
+      checked++;
+      if (code !== 200) nonOk.push({ url: u, status: code || null });
+    });
+  }
+
+  const sitemapUrls = entries.length;
+  const inSitemapCrawled = [...byKey.keys()].filter((k) => crawled.has(k)).length;
+  return {
+    sitemapUrls,
+    crawledUrls: pages.length,
+    inSitemapCrawled,
+    statusChecked: checked,
+    nonOk,
+    noindex,
+    missingFromSitemap,
+  };
+}
+
+module.exports = { fetchSitemaps, parseSitemapXml, sitemapCoverage, SITEMAP_MAX_URLS };
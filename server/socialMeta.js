@@ -0,0 +1,170 @@
+// /server/socialMeta.js — Open Graph + Twitter Card extraction, validation and share-card previews
+// Contract:
+//   extractSocialMeta($) => { og: { [prop]: string }, twitter: { [prop]: string } }   // keys without prefix
+//   socialImageUrls(meta, pageUrl) => string[]                                          // absolute og/twitter images
+//   validateSocialMeta(meta, { url, title, description, canonical? }, images?) => {
+//     errors: string[], warnings: string[], quality,      // quality 0..1 (0 = no social metadata at all)
+//     preview: { facebook, linkedin, x }                  // what each network would render (null fields = blank)
+//   }
+//     images: Map<absUrl, imageProbe result> (reachability + dimensions); omitted = not checked
+//
+// Notes:
+//  - Required per ogp.me: og:title, og:type, og:image, og:url. twitter:card is required for an X card;
+//    X falls back to og:title / og:description / og:image for everything else.
+//  - Image checks: absolute http(s) URL, reachable (2xx), raster format (SVG is rejected by every network),
+//    at least 200×200 (Facebook minimum); 1200×630 recommended; summary_large_image needs >= 300×157.
+//  - Consistency: og:title / og:description that share almost no words with <title> / meta description,
+//    and og:url that points at a different page than the canonical (or the page itself).
+//  - quality = 1 − 0.2 per error − 0.05 per warning (floored at 0).
+
+'use strict';
+
+const MIN_IMAGE = [200, 200];
+const LARGE_CARD_MIN = [300, 157];
+const RECOMMENDED_IMAGE = [1200, 630];
+const CONSISTENCY_MIN = 0.2;
+const TWITTER_CARDS = new Set(['summary', 'summary_large_image', 'app', 'player']);
+
+const squash = (s) => String(s == null ? '' : s).replace(/\s+/g, ' ').trim();
+
+function extractSocialMeta($) {
+  const og = {};
+  const twitter = {};
+  $('meta[property], meta[name]').each((_, el) => {
+    const key = squash($(el).attr('property') || $(el).attr('name')).toLowerCase();
+    const content = squash($(el).attr('content'));
+    if (!content) return;
+    // First value wins (og:image can repeat; the first one is what networks use)
+    if (key.startsWith('og:') && og[key.slice(3)] === undefined) og[key.slice(3)] = content;
+    else if (key.startsWith('twitter:') && twitter[key.slice(8)] === undefined) twitter[key.slice(8)] = content;
+  });
+  if (og.image === undefined && og['image:url'] !== undefined) og.image = og['image:url'];
+  if (og['image:secure_url'] && !og.image) og.image = og['image:secure_url'];
+  if (twitter.image === undefined && twitter['image:src'] !== undefined) twitter.image = twitter['image:src'];
+  return { og, twitter };
+}
+
+const isAbsoluteHttp = (u) => /^https?:\/\//i.test(u || '');
+
+function resolveUrl(u, base) {
+  try { return new URL(u, base).href; } catch { return null; }
+}
+
+function socialImageUrls(meta, pageUrl) {
+  const out = new Set();
+  for (const u of [meta.og.image, meta.twitter.image]) {
+    const abs = u && resolveUrl(u, pageUrl);
+    if (abs && isAbsoluteHttp(abs)) out.add(abs);
+  }
+  return [...out];
+}
+
+function words(s) {
+  return new Set(squash(s).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length >= 3));
+}
+
+function overlap(a, b) {
+  const A = words(a), B = words(b);
+  if (!A.size || !B.size) return 1;
+  let inter = 0;
+  for (const w of A) if (B.has(w)) inter++;
+  return inter / Math.min(A.size, B.size);
+}
+
+const docKey = (u) => {
+  try { const x = new URL(u); return (x.host + x.pathname.replace(/\/+$/, '')).toLowerCase().replace(/^www\./, ''); } catch { return squash(u); }
+};
+
+function hostOf(u) {
+  try { return new URL(u).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+function checkImage(label, raw, pageUrl, images, card, errors, warnings) {
+  if (!raw) return;
+  if (!isAbsoluteHttp(raw)) {
+    errors.push(`${label} must be an absolute URL (got "${raw.slice(0, 80)}")`);
+  }
+  const abs = resolveUrl(raw, pageUrl);
+  const info = abs && images ? images.get(abs) : null;
+  if (!info) return;
+  if (info.ok === false) {
+    errors.push(`${label} is not reachable (${info.status || info.error || 'no response'})`);
+    return;
+  }
+  if (info.format === 'svg') { errors.push(`${label} is an SVG; social networks only render raster images`); return; }
+  if (!info.width || !info.height) return;
+  const [minW, minH] = card === 'summary_large_image' ? LARGE_CARD_MIN : MIN_IMAGE;
+  if (info.width < minW || info.height < minH) {
+    errors.push(`${label} is ${info.width}×${info.height}; at least ${minW}×${minH} is required`);
+  } else if (label === 'og:image' && (info.width < RECOMMENDED_IMAGE[0] || info.height < RECOMMENDED_IMAGE[1])) {
+    warnings.push(`${label} is ${info.width}×${info.height}; ${RECOMMENDED_IMAGE.join('×')} renders best on Facebook / LinkedIn`);
+  }
+}
+
+/**
+ * @param {ReturnType<typeof extractSocialMeta>} meta
+ * @param {{ url: string, title?: string, description?: string, canonical?: string }} page
+ * @param {Map<string, object>=} images  imageProbe results keyed by absolute URL
+ */
+function validateSocialMeta(meta, page, images = null) {
+  const { og, twitter } = meta;
+  const errors = [];
+  const warnings = [];
+  const hasAny = Object.keys(og).length > 0 || Object.keys(twitter).length > 0;
+
+  for (const prop of ['title', 'type', 'image', 'url']) {
+    if (!og[prop]) errors.push(`missing og:${prop}`);
+  }
+  if (!og.description) warnings.push('missing og:description');
+  if (og.image && !og['image:alt']) warnings.push('missing og:image:alt');
+
+  if (!twitter.card) errors.push('missing twitter:card (X shows a plain link without it)');
+  else if (!TWITTER_CARDS.has(twitter.card)) errors.push(`twitter:card "${twitter.card}" is not a valid card type`);
+
+  if (og.url) {
+    if (!isAbsoluteHttp(og.url)) errors.push('og:url must be an absolute URL');
+    else if (docKey(og.url) !== docKey(page.canonical || page.url)) {
+      warnings.push(`og:url (${og.url}) points at a different page than ${page.canonical ? 'the canonical' : 'this URL'}`);
+    }
+  }
+
+  if (og['image:width'] && og['image:height']) {
+    const w = Number(og['image:width']), h = Number(og['image:height']);
+    if (!(w > 0 && h > 0)) errors.push('og:image:width / og:image:height must be positive integers');
+  }
+  checkImage('og:image', og.image, page.url, images, twitter.card, errors, warnings);
+  if (twitter.image && twitter.image !== og.image) checkImage('twitter:image', twitter.image, page.url, images, twitter.card, errors, warnings);
+
+  if (og.title && page.title && overlap(og.title, page.title) < CONSISTENCY_MIN) {
+    warnings.push('og:title has little in common with the page <title>');
+  }
+  if (og.description && page.description && overlap(og.description, page.description) < CONSISTENCY_MIN) {
+    warnings.push('og:description has little in common with the meta description');
+  }
+
+  const quality = hasAny ? Math.max(0, 1 - 0.2 * errors.length - 0.05 * warnings.length) : 0;
+
+  const image = (u) => (u ? resolveUrl(u, page.url) : null);
+  const domain = hostOf(og.url && isAbsoluteHttp(og.url) ? og.url : page.url);
+  const base = {
+    title: og.title || page.title || null,
+    description: og.description || page.description || null,
+    image: image(og.image),
+    domain,
+  };
+  const preview = {
+    facebook: { ...base, siteName: og.site_name || null },
+    linkedin: { title: base.title, image: base.image, domain },
+    x: {
+      card: twitter.card || null,
+      title: twitter.title || base.title,
+      description: twitter.description || base.description,
+      image: image(twitter.image) || base.image,
+      domain,
+    },
+  };
+
+  return { errors, warnings, quality, preview };
+}
+
+module.exports = { extractSocialMeta, socialImageUrls, validateSocialMeta };
@@ -0,0 +1,314 @@
+// /server/structuredData.js — schema.org validation (JSON-LD, Microdata, RDFa) and rich-result eligibility
+// Contract:
+//   extractItems($) => { items: Array<{ format, node }>, parseErrors: Array<{ format, message }> }
+//     node is JSON-LD shaped ({ '@type', prop: value | value[] }) whatever the source syntax
+//   validateStructuredData($) => {
+//     items: Array<{ format, type, recognized, richResult, errors: string[], warnings: string[] }>,
+//     parseErrors: Array<{ format, message }>,
+//     eligible: string[],          // rich results with every required property present and well-formed
+//     validity: number | null      // null = no structured data on the page
+//   }
+//   summarizeStructuredData(pages) => { pagesWithMarkup, pagesWithErrors, types, eligible: { [richResult]: pageCount }, pages }
+//
+// Notes:
+//  - Call on a cheerio doc BEFORE boilerplate stripping (JSON-LD lives in <script>, markup often in header/footer).
+//  - "required" follows Google's rich-result documentation: missing = not eligible (error);
+//    "recommended" missing = warning. A string[] entry means "any one of these".
+//  - Nested entities (Product.offers, FAQPage.mainEntity, ...) are validated in place; their problems
+//    are reported on the top-level item with a property path.
+//  - validity = mean item score (1 clean, 0.75 warnings only, 0 errors); JSON-LD parse errors count as 0.
+//  - HowTo / FAQ rich results are limited by Google to few sites today; eligibility here means "valid markup".
+
+'use strict';
+
+const SCHEMA_PREFIX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+
+const SCHEMAS = {
+  Product: {
+    richResult: 'Product snippet',
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku'],
+    nested: { offers: 'Offer', review: 'Review', aggregateRating: 'AggregateRating' },
+  },
+  Offer: {
+    required: [['price', 'priceSpecification'], ['priceCurrency', 'priceSpecification']],
+    recommended: ['availability', 'url'],
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+  },
+  AggregateRating: {
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    recommended: ['bestRating'],
+  },
+  Review: {
+    richResult: 'Review snippet',
+    required: ['author', 'reviewRating'],
+    topLevelRequired: ['itemReviewed'],
+    recommended: ['datePublished'],
+    nested: { reviewRating: 'Rating' },
+  },
+  Rating: { required: ['ratingValue'], recommended: ['bestRating'] },
+  Article: {
+    richResult: 'Article',
+    required: [],
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author'],
+  },
+  Organization: {
+    richResult: 'Organization logo',
+    required: ['url', 'logo'],
+    recommended: ['name', 'sameAs', 'contactPoint'],
+  },
+  LocalBusiness: {
+    richResult: 'Local business',
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'priceRange', 'image'],
+  },
+  BreadcrumbList: {
+    richResult: 'Breadcrumb',
+    required: ['itemListElement'],
+    nested: { itemListElement: 'ListItem' },
+  },
+  ListItem: { required: ['position', ['name', 'item']] },
+  FAQPage: {
+    richResult: 'FAQ',
+    required: ['mainEntity'],
+    nested: { mainEntity: 'Question' },
+  },
+  Question: { required: ['name', 'acceptedAnswer'], nested: { acceptedAnswer: 'Answer' } },
+  Answer: { required: ['text'] },
+  HowTo: {
+    richResult: 'How-to',
+    required: ['name', 'step'],
+    recommended: ['image', 'totalTime', 'supply', 'tool'],
+    nested: { step: 'HowToStep' },
+  },
+  HowToStep: { required: [['text', 'itemListElement', 'name']] },
+};
+
+// Subtypes validated with their parent's rules
+const ALIASES = {
+  NewsArticle: 'Article', BlogPosting: 'Article', TechArticle: 'Article', ScholarlyArticle: 'Article', Report: 'Article',
+  Corporation: 'Organization', NGO: 'Organization', EducationalOrganization: 'Organization', OnlineStore: 'Organization',
+  HowToSection: 'HowToStep',
+  ProductGroup: 'Product', IndividualProduct: 'Product', Vehicle: 'Product',
+  EmployerAggregateRating: 'AggregateRating',
+};
+for (const t of [
+  'Store', 'Restaurant', 'FoodEstablishment', 'CafeOrCoffeeShop', 'Bakery', 'BarOrPub', 'Dentist', 'Physician',
+  'MedicalBusiness', 'MedicalClinic', 'LegalService', 'Attorney', 'AutoRepair', 'AutomotiveBusiness', 'AutoDealer',
+  'HomeAndConstructionBusiness', 'Plumber', 'Electrician', 'HVACBusiness', 'RoofingContractor', 'GeneralContractor',
+  'RealEstateAgent', 'ProfessionalService', 'FinancialService', 'AccountingService', 'HealthAndBeautyBusiness',
+  'BeautySalon', 'HairSalon', 'DaySpa', 'LodgingBusiness', 'Hotel', 'SportsActivityLocation', 'ExerciseGym',
+  'EntertainmentBusiness', 'ChildCare', 'TravelAgency', 'EmploymentAgency', 'InsuranceAgency',
+]) ALIASES[t] = 'LocalBusiness';
+
+// Light format checks for well-known properties
+const NUMERIC = new Set(['price', 'lowPrice', 'highPrice', 'ratingValue', 'bestRating', 'worstRating', 'ratingCount', 'reviewCount', 'position', 'offerCount']);
+const DATES = new Set(['datePublished', 'dateModified', 'priceValidUntil', 'uploadDate', 'startDate', 'endDate']);
+
+const squash = (s) => String(s == null ? '' : s).replace(/\s+/g, ' ').trim();
+const asArray = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]);
+
+function typesOf(node) {
+  return asArray(node && node['@type'])
+    .flatMap((t) => String(t).split(/\s+/))
+    .map((t) => t.replace(SCHEMA_PREFIX, ''))
+    .filter(Boolean);
+}
+
+const schemaKeyFor = (type) => (SCHEMAS[type] ? type : ALIASES[type] || null);
+
+function isEmpty(v) {
+  if (v == null) return true;
+  if (typeof v === 'string') return !v.trim();
+  if (Array.isArray(v)) return v.every(isEmpty);
+  if (typeof v === 'object') return !Object.keys(v).some((k) => !k.startsWith('@')) && !v['@id'];
+  return false;
+}
+
+function formatProblem(prop, value) {
+  const first = asArray(value)[0];
+  if (first == null || typeof first === 'object') return null;
+  const s = squash(first);
+  if (NUMERIC.has(prop) && !/^-?\d+(?:[.,]\d+)?$/.test(s)) return `${prop} should be a number (got "${s.slice(0, 40)}")`;
+  if (prop === 'priceCurrency' && !/^[A-Z]{3}$/.test(s)) return `priceCurrency should be an ISO 4217 code (got "${s.slice(0, 20)}")`;
+  if (DATES.has(prop) && !/^\d{4}-\d{2}(?:-\d{2})?/.test(s)) return `${prop} should be an ISO 8601 date (got "${s.slice(0, 40)}")`;
+  return null;
+}
+
+function validateNode(node, schemaKey, path, out, topLevel) {
+  const schema = SCHEMAS[schemaKey];
+  const at = (prop) => (path ? `${path}.${prop}` : prop);
+
+  const required = [...(schema.required || []), ...(topLevel ? schema.topLevelRequired || [] : [])];
+  for (const req of required) {
+    const options = asArray(req);
+    if (!options.some((p) => !isEmpty(node[p]))) {
+      out.errors.push(`missing ${options.map(at).join(' or ')}`);
+    }
+  }
+  for (const rec of schema.recommended || []) {
+    if (isEmpty(node[rec])) out.warnings.push(`missing recommended ${at(rec)}`);
+  }
+  for (const [prop, value] of Object.entries(node)) {
+    if (prop.startsWith('@') || isEmpty(value)) continue;
+    const problem = formatProblem(prop, value);
+    if (problem) out.errors.push(path ? `${path}: ${problem}` : problem);
+  }
+
+  for (const [prop, childType] of Object.entries(schema.nested || {})) {
+    asArray(node[prop]).forEach((child, i) => {
+      if (!child || typeof child !== 'object') return;
+      const childKey = typesOf(child).map(schemaKeyFor).find(Boolean) || childType;
+      const childPath = at(asArray(node[prop]).length > 1 ? `${prop}[${i}]` : prop);
+      validateNode(child, childKey, childPath, out, false);
+    });
+  }
+}
+
+// Recognized types anywhere under an unrecognized wrapper (WebPage.mainEntity → Product, ...)
+function collectRecognized(node, depth, found) {
+  if (!node || typeof node !== 'object' || depth > 6) return;
+  if (Array.isArray(node)) { node.forEach((n) => collectRecognized(n, depth + 1, found)); return; }
+  const key = typesOf(node).map(schemaKeyFor).find(Boolean);
+  if (key) { found.push({ node, key }); return; }
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== '@context' && v && typeof v === 'object') collectRecognized(v, depth + 1, found);
+  }
+}
+
+// -------------------- extraction --------------------
+function jsonLdNodes(json) {
+  const out = [];
+  for (const n of asArray(json)) {
+    if (!n || typeof n !== 'object') continue;
+    if (Array.isArray(n['@graph'])) out.push(...jsonLdNodes(n['@graph']));
+    else out.push(n);
+  }
+  return out;
+}
+
+const MICRODATA_VALUE = [
+  ['meta', 'content'], ['a', 'href'], ['link', 'href'], ['area', 'href'], ['img', 'src'], ['audio', 'src'],
+  ['video', 'src'], ['source', 'src'], ['embed', 'src'], ['iframe', 'src'], ['track', 'src'], ['object', 'data'],
+  ['time', 'datetime'], ['data', 'value'], ['meter', 'value'],
+];
+
+function microdataItem($, el) {
+  const $el = $(el);
+  const node = { '@type': squash($el.attr('itemtype')).split(/\s+/).filter(Boolean).map((t) => t.replace(/^.*[/#]/, '')) };
+  if (node['@type'].length === 1) node['@type'] = node['@type'][0];
+  $el.find('[itemprop]').each((_, p) => {
+    const $p = $(p);
+    // Properties belong to the nearest enclosing itemscope (a nested item's own element belongs to the parent)
+    const owner = $p.parent().closest('[itemscope]').get(0);
+    if (owner !== el) return;
+    let value;
+    if ($p.is('[itemscope]')) value = microdataItem($, p);
+    else {
+      const tag = (p.tagName || '').toLowerCase();
+      const attr = (MICRODATA_VALUE.find(([t]) => t === tag) || [])[1];
+      value = squash(attr ? $p.attr(attr) : $p.attr('content') != null ? $p.attr('content') : $p.text());
+    }
+    for (const name of squash($p.attr('itemprop')).split(/\s+/).filter(Boolean)) {
+      node[name] = node[name] === undefined ? value : [...asArray(node[name]), value];
+    }
+  });
+  return node;
+}
+
+function rdfaItem($, el) {
+  const $el = $(el);
+  const types = squash($el.attr('typeof')).split(/\s+/).filter(Boolean).map((t) => t.replace(/^[a-z]+:/i, '').replace(/^.*[/#]/, ''));
+  const node = { '@type': types.length === 1 ? types[0] : types };
+  $el.find('[property]').each((_, p) => {
+    const $p = $(p);
+    const owner = $p.parent().closest('[typeof]').get(0);
+    if (owner !== el) return;
+    const value = $p.is('[typeof]')
+      ? rdfaItem($, p)
+      : squash($p.attr('content') ?? $p.attr('href') ?? $p.attr('src') ?? $p.attr('resource') ?? $p.text());
+    for (const raw of squash($p.attr('property')).split(/\s+/).filter(Boolean)) {
+      const name = raw.replace(SCHEMA_PREFIX, '').replace(/^[a-z]+:/i, '');
+      node[name] = node[name] === undefined ? value : [...asArray(node[name]), value];
+    }
+  });
+  return node;
+}
+
+function extractItems($) {
+  const items = [];
+  const parseErrors = [];
+
+  $('script[type="application/ld+json" i]').each((_, el) => {
+    const raw = $(el).contents().text().trim();
+    if (!raw) return;
+    try {
+      for (const node of jsonLdNodes(JSON.parse(raw))) items.push({ format: 'json-ld', node });
+    } catch (e) {
+      parseErrors.push({ format: 'json-ld', message: `invalid JSON-LD (${String(e.message).slice(0, 120)})` });
+    }
+  });
+
+  $('[itemscope]').each((_, el) => {
+    if ($(el).is('[itemprop]')) return; // nested item, handled by its parent
+    items.push({ format: 'microdata', node: microdataItem($, el) });
+  });
+
+  $('[typeof]').each((_, el) => {
+    if ($(el).is('[property]')) return;
+    items.push({ format: 'rdfa', node: rdfaItem($, el) });
+  });
+
+  return { items, parseErrors };
+}
+
+// -------------------- validation --------------------
+function validateStructuredData($) {
+  const { items, parseErrors } = extractItems($);
+  const report = { items: [], parseErrors, eligible: [], validity: null };
+
+  for (const { format, node } of items) {
+    const found = [];
+    collectRecognized(node, 0, found);
+    if (!found.length) {
+      report.items.push({ format, type: typesOf(node).join(', ') || '(untyped)', recognized: false, richResult: null, errors: [], warnings: [] });
+      continue;
+    }
+    for (const { node: n, key } of found) {
+      const out = { errors: [], warnings: [] };
+      validateNode(n, key, '', out, true);
+      const richResult = SCHEMAS[key].richResult || null;
+      report.items.push({ format, type: typesOf(n).join(', '), recognized: true, richResult, errors: out.errors, warnings: out.warnings });
+      if (richResult && !out.errors.length && !report.eligible.includes(richResult)) report.eligible.push(richResult);
+    }
+  }
+
+  const scores = report.items.map((i) => (i.errors.length ? 0 : i.warnings.length ? 0.75 : 1));
+  for (let i = 0; i < parseErrors.length; i++) scores.push(0);
+  if (scores.length) report.validity = scores.reduce((a, b) => a + b, 0) / scores.length;
+  return report;
+}
+
+/**
+ * Crawl-level rollup for reports.
+ * @param {Array<{ url: string, structuredData: ReturnType<typeof validateStructuredData> }>} pages
+ */
+function summarizeStructuredData(pages = []) {
+  const out = { pagesWithMarkup: 0, pagesWithErrors: 0, types: {}, eligible: {}, pages: [] };
+  for (const { url, structuredData: sd } of pages) {
+    if (!sd || sd.validity == null) continue;
+    out.pagesWithMarkup++;
+    const errors = sd.parseErrors.length + sd.items.reduce((n, i) => n + i.errors.length, 0);
+    if (errors) out.pagesWithErrors++;
+    for (const i of sd.items) out.types[i.type] = (out.types[i.type] || 0) + 1;
+    for (const r of sd.eligible) out.eligible[r] = (out.eligible[r] || 0) + 1;
+    out.pages.push({ url, validity: sd.validity, eligible: sd.eligible, parseErrors: sd.parseErrors, items: sd.items });
+  }
+  out.pages.sort((a, b) => a.validity - b.validity);
+  return out;
+}
+
+module.exports = { extractItems, validateStructuredData, summarizeStructuredData, SCHEMAS };
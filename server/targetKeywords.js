@@ -0,0 +1,189 @@
+// /server/targetKeywords.js — user-supplied target keywords: validation, per-page fit, keyword → page mapping
+// Contract:
+//   normalizeKeywords(input?) => Array<{ keyword, url: string|null }>
+//     input: "a, b" | ["a", "b"] | [{ keyword, url? }]   (newlines / commas separate keywords in a string)
+//     throws Error('target keywords: ...') on malformed input (callers map it to a 400)
+//   keywordFit(page, keyword) => { titleMatch, metaMatch, headerMatch, densityScore, semanticScore, relevance }
+//     page: { title, metaDescription, headings: string[], mainText, wordCount, lang, bodyKeywords: string[] }
+//   mapKeywords(rows, targets) => {
+//     targets: Array<{ keyword, url, mappedUrlCrawled, bestPage, bestRelevance, mappedRelevance,
+//                      candidates: [{ url, relevance }] }>,
+//     pages: Map<url, { keywords: string[], assigned: boolean, fit }>   // fit = mean over keywords (signal values)
+//   }
+//     rows: [{ url, page }] with page as for keywordFit
+//
+// Notes:
+//  - A keyword mapped to a URL is scored on that page; unmapped keywords go to the page that fits them best.
+//  - Pages that no keyword was assigned to are scored against the target keyword that fits them best, so every
+//    page is graded against what the site wants to rank for rather than what the page happens to say.
+//  - Matching is phrase-first (case-insensitive, whole phrase), then per-token coverage in the page language.
+//  - relevance = 0.3 title + 0.15 meta + 0.2 headers + 0.15 density + 0.2 semantic.
+//  - Each page object is tokenized once (title, meta, headings, body word sets cached per object), then reused
+//    for every keyword: mapKeywords scores every page against every keyword.
+
+'use strict';
+
+const { URL } = require('url');
+const { keywordTokens, tokenize } = require('./textAnalysis');
+
+const MAX_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 100;
+const CANDIDATES = 3;
+const WEIGHTS = { titleMatch: 0.3, metaMatch: 0.15, headerMatch: 0.2, densityScore: 0.15, semanticScore: 0.2 };
+
+const hasControlChars = (s) => /[\u0000-\u001f\u007f]/.test(s);
+
+const docKey = (u) => {
+  try {
+    const x = new URL(u);
+    return `${x.protocol}//${x.host.toLowerCase()}${x.pathname.replace(/\/+$/, '')}${x.search}`;
+  } catch {
+    return String(u || '');
+  }
+};
+
+function normalizeKeywords(input) {
+  if (input == null || input === '') return [];
+  const list = typeof input === 'string' ? input.split(/[\n,]+/) : input;
+  if (!Array.isArray(list)) throw new Error('target keywords: expected a list or a comma-separated string');
+
+  const out = [];
+  const seen = new Set();
+  for (const item of list) {
+    const entry = typeof item === 'string' ? { keyword: item } : item;
+    if (!entry || typeof entry !== 'object' || typeof entry.keyword !== 'string') {
+      throw new Error('target keywords: entries must be strings or { keyword, url? } objects');
+    }
+    const keyword = entry.keyword.replace(/\s+/g, ' ').trim();
+    if (!keyword) {
+      if (typeof item === 'string') continue; // stray separators in a pasted list
+      throw new Error('target keywords: keyword must be a non-empty string');
+    }
+    if (keyword.length > MAX_KEYWORD_LENGTH || hasControlChars(keyword)) {
+      throw new Error(`target keywords: "${keyword.slice(0, 40)}" is too long or contains control characters`);
+    }
+    let url = null;
+    if (entry.url != null && entry.url !== '') {
+      if (typeof entry.url !== 'string' || !/^https?:\/\//i.test(entry.url.trim())) {
+        throw new Error(`target keywords: url for "${keyword}" must be an absolute http(s) URL`);
+      }
+      try { url = new URL(entry.url.trim()).href; } catch { throw new Error(`target keywords: url for "${keyword}" is not a valid URL`); }
+    }
+    const key = keyword.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ keyword, url });
+  }
+  if (out.length > MAX_KEYWORDS) throw new Error(`target keywords: at most ${MAX_KEYWORDS} keywords`);
+  return out;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const round2 = (x) => Math.round(x * 100) / 100;
+
+// Lower-cased fields and their word sets, built once per page and reused for every keyword
+const pageTokens = new WeakMap();
+function tokensOf(page) {
+  let cached = pageTokens.get(page);
+  if (!cached) {
+    const lang = page.lang || 'en';
+    const field = (text) => {
+      const hay = String(text || '').toLocaleLowerCase(lang);
+      return { hay, words: new Set(tokenize(hay, lang)) };
+    };
+    cached = {
+      title: field(page.title),
+      meta: field(page.metaDescription),
+      headings: (page.headings || []).map(field),
+      body: new Set(keywordTokens(page.mainText || '', lang)),
+    };
+    pageTokens.set(page, cached);
+  }
+  return cached;
+}
+
+// 1 = whole phrase present, otherwise the share of the keyword's tokens that appear
+function phrasePresence({ hay, words }, phrase, tokens) {
+  if (!hay || !phrase) return 0;
+  if (hay.includes(phrase)) return 1;
+  if (!tokens.length) return 0;
+  return tokens.filter((t) => words.has(t)).length / tokens.length * 0.8;
+}
+
+function keywordFit(page, keyword) {
+  const lang = page.lang || 'en';
+  const phrase = String(keyword || '').toLocaleLowerCase(lang).trim();
+  const tokens = [...new Set(keywordTokens(phrase, lang))];
+  const cached = tokensOf(page);
+
+  const titleMatch = phrasePresence(cached.title, phrase, tokens);
+  const metaMatch = phrasePresence(cached.meta, phrase, tokens);
+  const headerMatch = cached.headings.reduce((best, h) => Math.max(best, phrasePresence(h, phrase, tokens)), 0);
+
+  // Same 1–3 % band as the inferred keyword; a phrase of n words counts n words per hit
+  const hits = phrase ? (String(page.mainText || '').match(new RegExp(escapeRe(phrase), 'giu')) || []).length : 0;
+  const density = hits * Math.max(1, tokenize(phrase, lang).length) / Math.max(1, page.wordCount || 1);
+  const densityScore = density >= 0.01 && density <= 0.03 ? 1 : density < 0.01 ? density / 0.01 : 0.03 / density;
+
+  // Keyword tokens that the copy uses at all, and that rank among the copy's own top terms
+  const body = cached.body;
+  const top = new Set(page.bodyKeywords || []);
+  const semanticScore = tokens.length
+    ? 0.5 * tokens.filter((t) => body.has(t)).length / tokens.length + 0.5 * tokens.filter((t) => top.has(t)).length / tokens.length
+    : 0;
+
+  const fit = { titleMatch, metaMatch, headerMatch, densityScore, semanticScore };
+  const relevance = Object.entries(WEIGHTS).reduce((n, [k, w]) => n + w * fit[k], 0);
+  return Object.fromEntries([...Object.entries(fit), ['relevance', relevance]].map(([k, v]) => [k, round2(v)]));
+}
+
+function meanFit(fits) {
+  const keys = [...Object.keys(WEIGHTS), 'relevance'];
+  return Object.fromEntries(keys.map((k) => [k, round2(fits.reduce((n, f) => n + f[k], 0) / fits.length)]));
+}
+
+/**
+ * @param {Array<{ url: string, page: object }>} rows
+ * @param {Array<{ keyword: string, url: string|null }>} targets  normalizeKeywords output
+ */
+function mapKeywords(rows = [], targets = []) {
+  const pages = new Map();
+  if (!rows.length || !targets.length) return { targets: [], pages };
+
+  // fits[i][j] = page i against keyword j
+  const fits = rows.map((r) => targets.map((t) => keywordFit(r.page, t.keyword)));
+  const rowIndex = new Map(rows.map((r, i) => [docKey(r.url), i]));
+  const assigned = rows.map(() => []);
+
+  const report = targets.map((t, j) => {
+    const ranked = rows.map((r, i) => ({ url: r.url, relevance: fits[i][j].relevance }))
+      .sort((a, b) => b.relevance - a.relevance);
+    const mapped = t.url ? rowIndex.get(docKey(t.url)) : undefined;
+    const owner = mapped !== undefined ? mapped : rowIndex.get(docKey(ranked[0].url));
+    assigned[owner].push(j);
+    return {
+      keyword: t.keyword,
+      url: t.url,
+      mappedUrlCrawled: t.url ? mapped !== undefined : null,
+      bestPage: ranked[0].relevance > 0 ? ranked[0].url : null,
+      bestRelevance: ranked[0].relevance,
+      mappedRelevance: mapped !== undefined ? fits[mapped][j].relevance : null,
+      candidates: ranked.filter((c) => c.relevance > 0).slice(0, CANDIDATES),
+    };
+  });
+
+  rows.forEach((r, i) => {
+    let idx = assigned[i];
+    const own = idx.length > 0;
+    if (!own) {
+      let best = 0;
+      fits[i].forEach((f, j) => { if (f.relevance > fits[i][best].relevance) best = j; });
+      idx = [best];
+    }
+    pages.set(r.url, { keywords: idx.map((j) => targets[j].keyword), assigned: own, fit: meanFit(idx.map((j) => fits[i][j])) });
+  });
+
+  return { targets: report, pages };
+}
+
+module.exports = { normalizeKeywords, keywordFit, mapKeywords };
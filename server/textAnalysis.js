@@ -0,0 +1,226 @@
+// /server/textAnalysis.js — language-aware tokenization, stop words and readability for the content signals
+// Contract:
+//   textLanguage(detected, htmlLang) => ISO 639-1 code ('en' when nothing better is known or html lang is invalid)
+//   tokenize(text, lang) => string[]               // lower-cased words (Intl.Segmenter; CJK / Thai included)
+//   keywordTokens(text, lang) => string[]          // tokenize minus stop words and too-short tokens
+//   isKeywordToken(lang) => (word) => boolean      // the keywordTokens filter, for callers that already tokenized
+//   countWords(text, lang) => number
+//   readability(text, lang) => {
+//     lang, formula, words, sentences, avgSentenceLength, avgSyllablesPerWord,   // syllables null without a formula
+//     score,                                                                     // 0..100 Flesch-style, null without a formula
+//     quality                                                                    // 0..1 (signal value)
+//   } | null                                                                      // null = too little prose
+//
+// Notes:
+//  - Word boundaries come from Intl.Segmenter (dictionary-based for ja / zh / th), so keyword modeling works
+//    for scripts without spaces; the regex split is only a fallback for runtimes built without ICU.
+//  - Keyword tokens: at least 4 letters in alphabetic scripts (as before), 2 in CJK / Thai; numbers are kept.
+//    Hiragana-only tokens never count as Japanese keywords.
+//  - Flesch variants per language: en Flesch, de Amstad, fr Kandel-Moles, es Fernández Huerta, it Flesch-Vacca,
+//    pt Martins, nl Douma. Syllables are vowel groups (plus a silent-e rule for en / fr).
+//  - quality: mean of the Flesch score mapped 30 → 0 … 60 → 1 and average sentence length mapped
+//    35 → 0 … 20 → 1 words; languages without a formula use sentence length alone.
+
+'use strict';
+
+const { primarySubtag } = require('./language');
+
+const MIN_WORDS = 30;
+const DENSE_SCRIPTS = new Set(['zh', 'ja', 'th']);
+
+const STOPWORDS = {
+  en: 'a about above after again against all also am an and any are as at be because been before being below between ' +
+      'both but by can could did do does doing down during each few for from further had has have having he her here ' +
+      'hers him his how i if in into is it its itself just me more most my no nor not now of off on once only or other ' +
+      'our ours out over own same she should so some such than that the their theirs them then there these they this ' +
+      'those through to too under until up use very was we were what when where which while who whom why will with ' +
+      'would you your yours',
+  de: 'aber alle allem allen aller alles als also am an ander andere anderen auch auf aus bei bin bis bist da damit dann ' +
+      'das dass dein deine dem den denn der des dich die dies diese diesem diesen dieser dieses dir doch dort du durch ein ' +
+      'eine einem einen einer eines er es euer eure für gegen hat hatte hier hin hinter ich ihm ihn ihr ihre ihrem ihren ' +
+      'im in ist ja jede jedem jeden jeder jedes jetzt kann kein keine können machen man mehr mein meine mit muss nach ' +
+      'nicht nichts noch nun nur ob oder ohne sehr sein seine sich sie sind so soll sondern über um und uns unser unsere ' +
+      'unter viel vom von vor war waren was weil welche wenn wer werden wie wieder wir wird wo zu zum zur zwischen',
+  fr: 'ai au aussi autre aux avec avez avoir bien c ce ceci cela celle celles celui ces cet cette chaque comme comment ' +
+      'd dans de des du elle elles en encore est et été être eu fait faire il ils je l la le les leur leurs lui m ma mais ' +
+      'me même mes moi mon n ne ni nos notre nous on ont ou où par pas peu peut plus pour qu quand que quel quelle qui sa ' +
+      'sans se ses si son sont sous sur ta te tes toi ton tous tout toute toutes très tu un une vos votre vous y',
+  es: 'a al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas ellos en entre ' +
+      'era es esa esas ese eso esos esta estas este esto estos está están fue ha hay la las le les lo los más me mi mis ' +
+      'mucho muy más nada ni no nos nosotros nuestra nuestro o otra otro para pero poco por porque que quien se ser si ' +
+      'sin sobre son su sus también tanto te tiene todo todos tu tus un una uno unos y ya yo',
+  it: 'a ad agli ai al alla alle allo anche avere c che chi ci come con cosa cui da dai dal dalla dalle degli dei del ' +
+      'della delle dello di dove e è ed essere gli ha hanno i il in io la le lei lo loro lui ma mi mio molto ne nei nel ' +
+      'nella nelle noi non nostro o per perché più poi quale quando quella quelli quello questa questi questo se sei si ' +
+      'sia siamo sono su sua sue sui sul sulla suo tra tu tutti tutto un una uno voi',
+  pt: 'a ao aos as até com como da das de dela dele deles depois do dos e ela elas ele eles em entre era essa esse esta ' +
+      'este está eu foi for há isso isto já lhe mais mas me mesmo meu minha muito na nas não nem no nos nossa nosso num ' +
+      'numa o os ou para pela pelas pelo pelos por quais qual quando que quem se sem ser seu seus só sua suas também te ' +
+      'tem ter um uma você vocês',
+  nl: 'aan al alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een en er ge geen ' +
+      'geweest haar had heb hebben heeft hem het hier hij hoe hun iets ik in is ja je kan kon kunnen maar me meer men met ' +
+      'mij mijn moet na naar niet niets nog nu of om omdat onder ons ook op over reeds te tegen toch toen tot u uit uw van ' +
+      'veel voor want waren was wat we wel werd wezen wie wij wil worden wordt zal ze zelf zich zij zijn zo zonder zou',
+  sv: 'alla allt att av blev bli blir de dem den denna deras dess det detta dig din dina ditt du där efter ej eller en ' +
+      'er era ett från för ha hade han hans har henne hennes hon honom hur här i icke ingen inom inte jag ju kan kunde ' +
+      'man med mellan men mig min mina mitt mot mycket ni nu när någon något några och om oss på samma sedan sig sin ' +
+      'sina sitt själv skulle som så till under upp ut utan vad var vara varit vi vid vår våra vårt är åt över',
+  da: 'af alle andet andre at blev blive bliver da de dem den denne der deres det dette dig din dine disse dit du efter ' +
+      'eller en end er et for fra ham han hans har havde have hende hendes her hos hun hvad hvis hvor i ikke ind jeg jer ' +
+      'kan kunne man mange med meget men mig min mine mit mod ned noget nogle nu når og også om op os over på sig sin ' +
+      'sine sit skal skulle som sådan thi til ud under var vi vil ville vor vores være været',
+  nb: 'alle at av bare begge ble blei bli blir blitt både da de deg dei deim deira deires dem den denne der dere deres ' +
+      'det dette di din disse ditt du dykk eg ein eit eitt eller elles en enn er et ett etter for fordi fra før ha hadde ' +
+      'han hans har hennar henne hennes her hjå ho hoe honom hoss hossen hun hva hvem hver hvilke hvis hvor hvordan i ' +
+      'ikke ikkje ingen inn inni ja jeg kan kom korleis kun kunne man mange me med meg meget men mi min mine mitt mot ' +
+      'mykje ned no noe noen nok nå når og også om opp oss over på samme seg selv si sin sine sitt skal skulle slik som ' +
+      'så sånn til um under upp ut uten var vart varte ved vere verte vi vil ville vore vors vort være vært våre',
+  pl: 'a aby ale bardzo bez bo by był była było były być ci co czy dla do gdy gdzie go i ich ile im innych ja jak jako ' +
+      'je jednak jego jej jest jeszcze już każdy kiedy kto która które który lub ma mają mi między mnie mu na nad nas nie ' +
+      'nich nie niż o od oraz po pod przez przy się są ta tak także tam te tego tej ten też to tu tylko tym u w we wiele ' +
+      'więc wszystko z za że żeby',
+  ja: 'これ それ あれ この その あの ここ そこ こと もの ため よう から まで など です ます でした ました ない する いる ある なる',
+  zh: '我们 你们 他们 这个 那个 这些 那些 什么 因为 所以 但是 如果 已经 可以 没有 还是 就是 不是 一个 自己',
+};
+const PROFILES = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, s]) => [lang, new Set(s.split(' '))]));
+PROFILES.no = PROFILES.nb;
+
+// Vowel letters per language for syllable counting (adjacent vowels form one syllable)
+const VOWELS = {
+  en: 'aeiouy',
+  de: 'aeiouyäöü',
+  fr: 'aeiouyàâäéèêëîïôöùûüœæ',
+  es: 'aeiouáéíóúü',
+  it: 'aeiouàèéìíòóùú',
+  pt: 'aeiouáâãàéêíóôõú',
+  nl: 'aeiouyëïéèáóú',
+};
+const VOWEL_RUNS = Object.fromEntries(Object.entries(VOWELS).map(([lang, v]) => [lang, new RegExp(`[${v}]+`, 'g')]));
+
+// score = a − b·ASL − c·ASW
+const FORMULAS = {
+  en: { name: 'Flesch Reading Ease', a: 206.835, b: 1.015, c: 84.6 },
+  de: { name: 'Amstad', a: 180, b: 1, c: 58.5 },
+  fr: { name: 'Kandel-Moles', a: 207, b: 1.015, c: 73.6 },
+  es: { name: 'Fernández Huerta', a: 206.84, b: 1.02, c: 60 },
+  it: { name: 'Flesch-Vacca', a: 217, b: 1.3, c: 60 },
+  pt: { name: 'Flesch (Martins)', a: 248.835, b: 1.015, c: 84.6 },
+  nl: { name: 'Douma', a: 206.835, b: 0.93, c: 77 },
+};
+
+const segmenters = new Map();
+function segmenter(lang, granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  const key = `${lang}:${granularity}`;
+  if (!segmenters.has(key)) {
+    let s = null;
+    try { s = new Intl.Segmenter(lang || 'en', { granularity }); } catch {}
+    segmenters.set(key, s);
+  }
+  return segmenters.get(key);
+}
+
+// A BCP 47 tag the Intl APIs accept, or null: html lang comes straight from the page ("{{lang}}", "en_US!")
+const locales = new Map();
+function validLocale(tag) {
+  if (!tag) return null;
+  if (!locales.has(tag)) {
+    let locale = null;
+    try { locale = Intl.getCanonicalLocales(tag)[0] || null; } catch {}
+    locales.set(tag, locale);
+  }
+  return locales.get(tag);
+}
+
+function textLanguage(detected, htmlLang) {
+  const d = detected && typeof detected === 'object' ? detected.lang : detected;
+  return validLocale(primarySubtag(d)) || validLocale(primarySubtag(htmlLang)) || 'en';
+}
+
+// Lower-cased once for the whole text: per-word toLocaleLowerCase dominated the cost on long pages
+function tokenize(text, lang = 'en') {
+  const t = String(text || '').normalize('NFC').replace(/[\u0000-\u001F]+/g, ' ').toLocaleLowerCase(validLocale(lang) || 'en');
+  const seg = segmenter(lang, 'word');
+  const out = [];
+  const push = (w) => {
+    const word = w.replace(/^['’]+|['’]+$/g, '');
+    if (/[\p{L}\p{N}]/u.test(word)) out.push(word);
+  };
+  if (seg) {
+    for (const s of seg.segment(t)) if (s.isWordLike) push(s.segment);
+  } else {
+    for (const w of t.split(/[^\p{L}\p{N}]+/u)) push(w);
+  }
+  return out;
+}
+
+function isKeywordToken(lang = 'en') {
+  const stop = PROFILES[lang] || PROFILES.en;
+  const min = DENSE_SCRIPTS.has(lang) ? 2 : 4;
+  // Japanese: hiragana-only tokens are inflections and particles, content words carry kanji or katakana
+  const kana = lang === 'ja' ? /^[\u3040-\u309f]+$/ : null;
+  return (w) => [...w].length >= min && !stop.has(w) && !(kana && kana.test(w));
+}
+
+function keywordTokens(text, lang = 'en') {
+  return tokenize(text, lang).filter(isKeywordToken(lang));
+}
+
+function countWords(text, lang = 'en') {
+  return tokenize(text, lang).length;
+}
+
+function countSentences(text, lang) {
+  const seg = segmenter(lang, 'sentence');
+  const parts = seg
+    ? [...seg.segment(text)].map((s) => s.segment)
+    : String(text).split(/(?<=[.!?。！？])\s*/u);
+  return parts.filter((s) => /[\p{L}\p{N}]/u.test(s)).length;
+}
+
+function syllables(word, lang) {
+  const w = word.toLowerCase();
+  let n = (w.match(VOWEL_RUNS[lang]) || []).length;
+  // Silent final e ("make", "grande") unless it is the only vowel group ("the", "le")
+  if ((lang === 'en' || lang === 'fr') && n > 1 && /[^aeiouy]e$/.test(w) && !(lang === 'en' && /le$/.test(w))) n--;
+  return Math.max(1, n);
+}
+
+const ramp = (x, bad, good) => Math.max(0, Math.min(1, (x - bad) / (good - bad)));
+
+/**
+ * @param {string} text  main content
+ * @param {string} lang  ISO 639-1 (see textLanguage)
+ */
+function readability(text, lang = 'en') {
+  const body = String(text || '').trim();
+  const words = tokenize(body, lang).filter((w) => /\p{L}/u.test(w));
+  if (words.length < MIN_WORDS) return null;
+  const sentences = Math.max(1, countSentences(body, lang));
+  const asl = words.length / sentences;
+  const aslQuality = ramp(asl, 35, 20);
+
+  const formula = FORMULAS[lang];
+  if (!formula) {
+    return {
+      lang, formula: null, words: words.length, sentences,
+      avgSentenceLength: Math.round(asl * 10) / 10, avgSyllablesPerWord: null,
+      score: null, quality: Math.round(aslQuality * 100) / 100,
+    };
+  }
+
+  const asw = words.reduce((n, w) => n + syllables(w, lang), 0) / words.length;
+  const score = Math.max(0, Math.min(100, formula.a - formula.b * asl - formula.c * asw));
+  return {
+    lang,
+    formula: formula.name,
+    words: words.length,
+    sentences,
+    avgSentenceLength: Math.round(asl * 10) / 10,
+    avgSyllablesPerWord: Math.round(asw * 100) / 100,
+    score: Math.round(score * 10) / 10,
+    quality: Math.round(((ramp(score, 30, 60) + aslQuality) / 2) * 100) / 100,
+  };
+}
+
+module.exports = { textLanguage, tokenize, keywordTokens, isKeywordToken, countWords, readability };
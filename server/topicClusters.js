@@ -0,0 +1,272 @@
+// /server/topicClusters.js — site-wide TF-IDF topic model: page clusters and keyword cannibalization
+// Contract:
+//   topicReport(docs, opts?) => {
+//     compared,                                        // pages in the model (indexable, self-canonical)
+//     clusters: Array<{ label: string[], urls: string[], cohesion }>,   // 2+ pages, largest first
+//     conflicts: Array<{
+//       term, severity: 'high' | 'medium' | 'low', similarity,
+//       pages: Array<{ url, title, primary: boolean, weight, inTitle, inH1, authority }>,   // suggested first
+//       suggested, reason
+//     }>,
+//     pages: Array<{ url, primaryTerm, terms: Array<{ term, weight }>, cluster }>,   // cluster = index | null
+//     cannibalizedPages,                               // pages that should yield their term (high / medium only)
+//     ratio                                            // cannibalizedPages / compared → keywordCannibalization
+//   }
+//     docs = Array<{ url, title, h1s: string[], text, lang, indexable?, canonical? }>
+//     opts = { authority?: Map<url, 0..1>, depth?: Map<url, number> }   (linkGraph nodes)
+//
+// Notes:
+//  - Terms: keyword tokens (./textAnalysis stop words, page language) + adjacent pairs of them. Term frequency
+//    is field-weighted (title ×3, H1 ×2, body ×1), log-scaled; idf = ln((N + 1) / (df + 1)) + 1; vectors are
+//    L2-normalized and cut to the strongest TOPIC_TERMS terms.
+//  - Primary term: the term the page emphasizes most (field-weighted count, word pairs ×1.5) among those in
+//    its title or H1 (what the page visibly targets); body-only when it has neither. No idf here: a term only
+//    one page uses cannot be contested. Terms in the title / H1 of more than half the pages (brand name,
+//    "blog") are never primary: every page carries them, no page targets them.
+//  - Clusters: average-linkage agglomerative clustering on cosine similarity, merged while the average
+//    similarity stays ≥ TOPIC_CLUSTER_THRESHOLD. Label = strongest terms of the summed vectors.
+//  - Cannibalization: 2+ pages with the same primary term, or whose title / H1 carries it among their three
+//    most emphasized title / H1 terms. Severity from the average pairwise similarity of those pages (≥ 0.5 high,
+//    ≥ 0.25 medium): near-identical pages split ranking signals, different pages only share a head term.
+//  - Suggested primary = 0.6 × term weight + 0.4 × internal link authority (both relative to the best
+//    competitor; weight alone without a link graph), then shallower click depth, then shorter path.
+//  - Noindex pages and pages canonicalized elsewhere are left out: they already defer to another URL.
+
+'use strict';
+
+const { URL } = require('url');
+const { tokenize, isKeywordToken } = require('./textAnalysis');
+
+const TOPIC_MAX_PAGES = Math.max(10, Math.min(1000, Number(process.env.TOPIC_MAX_PAGES) || 200));
+const TOPIC_CLUSTER_THRESHOLD = Math.max(0.05, Math.min(0.95, Number(process.env.TOPIC_CLUSTER_THRESHOLD) || 0.25));
+const TOPIC_TERMS = 40;
+const MAX_BODY_CHARS = 20_000;
+const FIELD_WEIGHT = { title: 3, h1: 2, body: 1 };
+const HIGH_SIMILARITY = 0.5;
+const MEDIUM_SIMILARITY = 0.25;
+const SITE_WIDE_MIN_PAGES = 4;
+const PAIR_BOOST = 1.5;
+const SEPARATORS = /[|–—·•:;,.!?()[\]{}"“”«»\/]+|\s-\s/;
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const pathOf = (u) => { try { return new URL(u).pathname; } catch { return String(u || ''); } };
+const sameUrl = (a, b) => {
+  const key = (u) => { try { const x = new URL(u); return x.host.toLowerCase() + x.pathname.replace(/\/+$/, '') + x.search; } catch { return u; } };
+  return key(a) === key(b);
+};
+
+// Keyword tokens and adjacent pairs of them, in document order; pairs never span punctuation or a title
+// separator ("Hiking boots | Acme" has no "boots acme"). Each chunk is tokenized once.
+function terms(text, lang) {
+  const keep = isKeywordToken(lang);
+  const out = [];
+  for (const part of String(text || '').split(SEPARATORS)) {
+    let prev = null;
+    for (const w of tokenize(part, lang)) {
+      if (!keep(w)) { prev = null; continue; }
+      out.push(w);
+      if (prev) out.push(`${prev} ${w}`);
+      prev = w;
+    }
+  }
+  return out;
+}
+
+function fieldCounts(doc) {
+  const counts = new Map();
+  const fields = {
+    title: terms(doc.title, doc.lang),
+    h1: (doc.h1s || []).flatMap((h) => terms(h, doc.lang)),
+    body: terms(String(doc.text || '').slice(0, MAX_BODY_CHARS), doc.lang),
+  };
+  for (const [field, list] of Object.entries(fields)) {
+    for (const t of list) counts.set(t, (counts.get(t) || 0) + FIELD_WEIGHT[field]);
+  }
+  return { counts, visible: new Set([...fields.title, ...fields.h1]), title: new Set(fields.title), h1: new Set(fields.h1) };
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) {
+    const v = large.get(t);
+    if (v) dot += w * v;
+  }
+  return dot;
+}
+
+function normalize(vec) {
+  const norm = Math.sqrt([...vec.values()].reduce((n, w) => n + w * w, 0)) || 1;
+  return new Map([...vec].map(([t, w]) => [t, w / norm]));
+}
+
+// Average linkage over a precomputed similarity matrix (Lance–Williams update)
+function cluster(sim, n) {
+  const members = Array.from({ length: n }, (_, i) => [i]);
+  const active = new Set(members.keys());
+  const link = sim.map((row) => row.slice());
+  for (;;) {
+    let best = -1;
+    let pair = null;
+    const ids = [...active];
+    for (let x = 0; x < ids.length; x++) {
+      for (let y = x + 1; y < ids.length; y++) {
+        const s = link[ids[x]][ids[y]];
+        if (s > best) { best = s; pair = [ids[x], ids[y]]; }
+      }
+    }
+    if (!pair || best < TOPIC_CLUSTER_THRESHOLD) break;
+    const [a, b] = pair;
+    const na = members[a].length;
+    const nb = members[b].length;
+    for (const c of active) {
+      if (c === a || c === b) continue;
+      link[a][c] = link[c][a] = (na * link[a][c] + nb * link[b][c]) / (na + nb);
+    }
+    members[a] = members[a].concat(members[b]);
+    active.delete(b);
+  }
+  return [...active].map((id) => members[id]);
+}
+
+function averageSimilarity(sim, idx) {
+  let total = 0;
+  let pairs = 0;
+  for (let x = 0; x < idx.length; x++) {
+    for (let y = x + 1; y < idx.length; y++) { total += sim[idx[x]][idx[y]]; pairs++; }
+  }
+  return pairs ? total / pairs : 1;
+}
+
+function topTerms(vec, n) {
+  return [...vec].sort((a, b) => b[1] - a[1]).slice(0, n);
+}
+
+/**
+ * @param {Array<{ url: string, title: string, h1s: string[], text: string, lang: string,
+ *                 indexable?: boolean, canonical?: string|null }>} docs
+ * @param {{ authority?: Map<string, number>, depth?: Map<string, number> }} opts
+ */
+function topicReport(docs = [], opts = {}) {
+  const authority = opts.authority instanceof Map ? opts.authority : null;
+  const depth = opts.depth instanceof Map ? opts.depth : new Map();
+
+  const rows = docs
+    .filter((d) => d && d.url && d.indexable !== false && (!d.canonical || sameUrl(d.canonical, d.url)))
+    .slice(0, TOPIC_MAX_PAGES)
+    .map((d) => ({ doc: d, ...fieldCounts(d) }))
+    .filter((r) => r.counts.size);
+  const n = rows.length;
+
+  const df = new Map();
+  for (const r of rows) for (const t of r.counts.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const headlineDf = new Map();
+  for (const r of rows) for (const t of r.visible) headlineDf.set(t, (headlineDf.get(t) || 0) + 1);
+  const siteWide = (t) => n >= SITE_WIDE_MIN_PAGES && (headlineDf.get(t) || 0) > n / 2;
+  for (const r of rows) {
+    const weighted = new Map([...r.counts].map(([t, c]) => [t, (1 + Math.log(c)) * (Math.log((n + 1) / (df.get(t) + 1)) + 1)]));
+    r.vector = normalize(new Map(topTerms(weighted, TOPIC_TERMS)));
+    // Emphasis = field-weighted count, no idf: a term only one page uses cannot be contested
+    const emphasis = [...r.counts]
+      .filter(([t]) => !siteWide(t))
+      .map(([t, c]) => [t, t.includes(' ') ? c * PAIR_BOOST : c])
+      .sort((a, b) => b[1] - a[1]);
+    const visible = emphasis.filter(([t]) => r.visible.has(t));
+    r.primary = ((visible.length ? visible : emphasis)[0] || [null])[0];
+    r.top3 = new Set(visible.slice(0, 3).map(([t]) => t));
+  }
+
+  const sim = rows.map((a, i) => rows.map((b, j) => (i === j ? 1 : j < i ? 0 : cosine(a.vector, b.vector))));
+  for (let i = 0; i < n; i++) for (let j = 0; j < i; j++) sim[i][j] = sim[j][i];
+
+  // Topic clusters (singletons are pages with a topic of their own, not reported)
+  const groups = n ? cluster(sim, n).filter((g) => g.length > 1) : [];
+  groups.sort((a, b) => b.length - a.length);
+  const clusterOf = new Map();
+  const clusters = groups.map((g, i) => {
+    const sum = new Map();
+    for (const idx of g) {
+      clusterOf.set(idx, i);
+      for (const [t, w] of rows[idx].vector) sum.set(t, (sum.get(t) || 0) + w);
+    }
+    return {
+      label: topTerms(sum, 3).map(([t]) => t),
+      urls: g.map((idx) => rows[idx].doc.url),
+      cohesion: round2(averageSimilarity(sim, g)),
+    };
+  });
+
+  // Cannibalization: every primary term claimed by more than one page
+  const claimants = new Map();
+  rows.forEach((r, i) => {
+    if (!r.primary) return;
+    if (!claimants.has(r.primary)) claimants.set(r.primary, new Set());
+    claimants.get(r.primary).add(i);
+  });
+  const conflicts = [];
+  for (const [term, owners] of claimants) {
+    const competing = new Set(owners);
+    rows.forEach((r, i) => { if (r.top3.has(term)) competing.add(i); });
+    if (competing.size < 2) continue;
+
+    const idx = [...competing];
+    const similarity = round2(averageSimilarity(sim, idx));
+    const maxWeight = Math.max(...idx.map((i) => rows[i].vector.get(term) || 0)) || 1;
+    const maxAuthority = authority ? Math.max(...idx.map((i) => authority.get(rows[i].doc.url) || 0)) || 1 : 1;
+    const pages = idx.map((i) => {
+      const r = rows[i];
+      const weight = r.vector.get(term) || 0;
+      const auth = authority ? authority.get(r.doc.url) || 0 : null;
+      return {
+        url: r.doc.url,
+        title: r.doc.title || '',
+        weight: round2(weight),
+        inTitle: r.title.has(term),
+        inH1: r.h1.has(term),
+        authority: auth == null ? null : round2(auth),
+        rank: authority ? 0.6 * weight / maxWeight + 0.4 * auth / maxAuthority : weight / maxWeight,
+        depth: depth.has(r.doc.url) ? depth.get(r.doc.url) : Infinity,
+      };
+    });
+    pages.sort((a, b) => b.rank - a.rank || a.depth - b.depth || pathOf(a.url).length - pathOf(b.url).length);
+
+    const best = pages[0];
+    const strongestMatch = pages.every((p) => p.weight <= best.weight);
+    const mostLinked = !!authority && best.authority > 0 && pages.every((p) => (p.authority || 0) <= best.authority);
+    const reason = strongestMatch && mostLinked ? `strongest match for "${term}" and the most internal link authority`
+      : strongestMatch ? `strongest match for "${term}"`
+        : mostLinked ? `most internal link authority among pages targeting "${term}"`
+          : `best balance of "${term}" relevance and internal links`;
+
+    conflicts.push({
+      term,
+      severity: similarity >= HIGH_SIMILARITY ? 'high' : similarity >= MEDIUM_SIMILARITY ? 'medium' : 'low',
+      similarity,
+      pages: pages.map(({ rank, depth: d, ...p }, i) => ({ ...p, primary: i === 0 })),
+      suggested: best.url,
+      reason,
+    });
+  }
+  const SEVERITY = { high: 3, medium: 2, low: 1 };
+  conflicts.sort((a, b) => SEVERITY[b.severity] - SEVERITY[a.severity] || b.pages.length - a.pages.length || b.similarity - a.similarity);
+
+  const yielding = new Set(conflicts
+    .filter((c) => c.severity !== 'low')
+    .flatMap((c) => c.pages.filter((p) => !p.primary).map((p) => p.url)));
+
+  return {
+    compared: n,
+    clusters,
+    conflicts,
+    pages: rows.map((r, i) => ({
+      url: r.doc.url,
+      primaryTerm: r.primary,
+      terms: topTerms(r.vector, 5).map(([term, w]) => ({ term, weight: round2(w) })),
+      cluster: clusterOf.has(i) ? clusterOf.get(i) : null,
+    })),
+    cannibalizedPages: yielding.size,
+    ratio: n ? round2(yielding.size / n) : 0,
+  };
+}
+
+module.exports = { topicReport };
@@ -0,0 +1,15 @@
+// /server/userAgent.js — the one User-Agent every audit request sends (tabs, raw fetches, probes, link checks)
+// Contract:
+//   AUDIT_UA: string   // AUDIT_UA env override, else a current desktop Chrome string
+//
+// Notes:
+//  - A desktop browser string rather than a bot token: sites that vary markup or block by user agent should
+//    be judged on what visitors get. robots.txt groups are still selected by ROBOTS_AGENT (./robots).
+
+'use strict';
+
+const AUDIT_UA =
+  process.env.AUDIT_UA ||
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+module.exports = { AUDIT_UA };